@@ -0,0 +1,88 @@
+/**
+ * Auth / Session Configuration
+ * Loads session secret and cookie settings from environment variables
+ */
+
+require('dotenv').config();
+
+const DEV_SECRET = 'boticario_ooh_planner_secret_key_change_in_prod';
+const positive = (value, fallback) => (parseInt(value) > 0 ? parseInt(value) : fallback);
+
+// "ooh-admins=admin,ooh-planners=planner" → { 'ooh-admins': 'admin', 'ooh-planners': 'planner' }
+const parseGroupRoles = (value) => Object.fromEntries(
+    (value || '').split(',')
+        .map(pair => pair.split('=').map(s => s.trim()))
+        .filter(([group, role]) => group && role)
+);
+
+const config = {
+    // Several secrets (comma-separated) allow rotation: the first signs, all verify
+    sessionSecret: (process.env.SESSION_SECRET || DEV_SECRET).split(',').map(s => s.trim()).filter(Boolean),
+    cookieName: process.env.SESSION_COOKIE_NAME || 'connect.sid',
+    cookieSecure: process.env.SESSION_COOKIE_SECURE === 'true',
+    cookieSameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+    // Behind a reverse proxy/load balancer terminating HTTPS
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    // Session ends after this long without requests…
+    idleTimeout: positive(process.env.SESSION_IDLE_MINUTES, 60) * 60 * 1000,
+    // …and in any case this long after login
+    absoluteTimeout: positive(process.env.SESSION_MAX_HOURS, 24) * 60 * 60 * 1000,
+
+    // Login protection: an account locks after N consecutive failures…
+    maxFailedAttempts: positive(process.env.LOGIN_MAX_FAILURES, 5),
+    lockoutMinutes: positive(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+    // …and an IP is refused after N failures (any account) within the window
+    ipMaxFailures: positive(process.env.LOGIN_IP_MAX_FAILURES, 20),
+    ipWindowMinutes: positive(process.env.LOGIN_IP_WINDOW_MINUTES, 15),
+    // Public signups per IP per hour
+    signupMaxPerIp: positive(process.env.SIGNUP_MAX_PER_IP, 5),
+
+    passwordPolicy: {
+        minLength: positive(process.env.PASSWORD_MIN_LENGTH, 10),
+        requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+    },
+
+    // Username/password login (/login, /signup). Turn off once everyone signs in via SSO
+    localLogin: process.env.LOCAL_LOGIN !== 'false',
+
+    // OpenID Connect single sign-on, enabled by OIDC_ISSUER
+    oidc: process.env.OIDC_ISSUER ? {
+        issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+        redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3001}/auth/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+        label: process.env.OIDC_LABEL || 'Entrar com SSO',
+        usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+        groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+        // IdP group → role; users in none of the groups get `defaultRole` (none: access denied)
+        groupRoles: parseGroupRoles(process.env.OIDC_GROUP_ROLES),
+        defaultRole: process.env.OIDC_DEFAULT_ROLE || null
+    } : null
+};
+
+// Validate configuration
+function validateConfig() {
+    if (config.sessionSecret.includes(DEV_SECRET)) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('SESSION_SECRET must be set in production');
+        }
+        console.warn('⚠️  SESSION_SECRET não definido: usando segredo de desenvolvimento');
+    }
+
+    if (config.oidc && !config.oidc.clientId) {
+        throw new Error('OIDC_CLIENT_ID must be set when OIDC_ISSUER is set');
+    }
+    if (!config.localLogin && !config.oidc) {
+        throw new Error('LOCAL_LOGIN=false requires single sign-on (OIDC_ISSUER)');
+    }
+
+    return true;
+}
+
+module.exports = {
+    config,
+    validateConfig
+};
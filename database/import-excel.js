@@ -3,17 +3,28 @@
  * 
  * Reads all *PLAN tabs from the client's Excel file,
  * normalizes columns, resolves ranking→pesos via lookup table,
- * and inserts into the inventory table.
+ * validates every row (see inventory-validation.js) and inserts
+ * into the inventory table.
+ *
+ * Usage: node database/import-excel.js [--strict] [--report-dir <dir>]
+ * - the validation report is written as JSON + XLSX to --report-dir
+ *   (default database/reports)
+ * - the rows are loaded into a new inventory snapshot (database/snapshots,
+ *   see services/inventory-snapshot-service.js) that replaces ooh_planner.db
+ *   only at the end; with --strict it stays inactive when there are blocking
+ *   errors (an admin can still activate it via the API)
  */
 
 const fs = require('fs');
 const path = require('path');
 const XLSX = require('xlsx');
 const Database = require('better-sqlite3');
+const { InventoryValidator, writeReport } = require('./inventory-validation');
+const snapshotService = require('../services/inventory-snapshot-service');
 
-const DB_PATH = path.join(__dirname, 'ooh_planner.db');
 const EXCEL_PATH = path.join(__dirname, '../Datasets/Planilhas OOH PLANNER_enviadas_2026-03-23.xlsx');
 const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+const DEFAULT_REPORT_DIR = path.join(__dirname, 'reports');
 
 // Standard column order in PLAN sheets (by position index)
 const COL_MAP = [
@@ -44,8 +55,123 @@ const COL_MAP = [
     'total_bruto_negociado'   // 24
 ];
 
+// Numeric fields
+const parseNum = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    if (typeof v === 'number') return v;
+    const n = parseFloat(String(v).replace(',', '.'));
+    return isNaN(n) ? null : n;
+};
+
+const parseIntSafe = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    if (typeof v === 'number') return Math.round(v);
+    const n = parseInt(String(v), 10);
+    return isNaN(n) ? null : n;
+};
+
+/**
+ * Parse one PLAN sheet row into an inventory record
+ * @returns {Object|null} record (null for empty/header rows)
+ */
+function parseRow(row, pesosLookup) {
+    const taxonomia = String(row[0] || '').trim().toLowerCase();
+    const regional = String(row[1] || '').trim().toLowerCase();
+    const uf = String(row[2] || '').trim().toLowerCase();
+    const praca = String(row[3] || '').trim().toLowerCase();
+    const exibidores = String(row[4] || '').trim();
+    const formato = String(row[5] || '').trim();
+
+    // Skip empty/header rows
+    if (!praca || praca === 'praca' || !formato) return null;
+
+    // Circuito / Avulso (new columns at indices 6 and 7)
+    const circuito = row[6] ? String(row[6]).trim() : null;
+    const avulso = (String(row[7] || '').trim().toUpperCase() === 'X') ? 1 : 0;
+
+    // Ranking: must be integer 1-12
+    let ranking = null;
+    const rawRanking = row[8];
+    if (typeof rawRanking === 'number' && Number.isInteger(rawRanking) && rawRanking >= 1 && rawRanking <= 12) {
+        ranking = rawRanking;
+    }
+
+    // Pesos: resolve via lookup if ranking is valid, otherwise use raw value
+    let pesos = null;
+    if (ranking !== null && pesosLookup[ranking] !== undefined) {
+        pesos = pesosLookup[ranking];
+    } else {
+        const rawPesos = row[9];
+        if (typeof rawPesos === 'number' && rawPesos > 0 && rawPesos <= 1) {
+            pesos = rawPesos;
+        }
+    }
+
+    return {
+        taxonomia,
+        regional_boticario: regional,
+        uf,
+        praca,
+        exibidores,
+        formato,
+        circuito,
+        avulso,
+        rawRanking: rawRanking === undefined ? null : rawRanking,
+        ranking,
+        pesos,
+        // Estatico/Digital: "X" → 1, anything else → 0
+        estatico: (String(row[10] || '').trim().toUpperCase() === 'X') ? 1 : 0,
+        digital: (String(row[11] || '').trim().toUpperCase() === 'X') ? 1 : 0,
+        range_minimo: parseIntSafe(row[12]),
+        range_maximo: parseIntSafe(row[13]),
+        quantidade: parseIntSafe(row[14]),
+        periodicidade: row[15] ? String(row[15]).trim() : null,
+        s1: parseIntSafe(row[16]) || 0,
+        s2: parseIntSafe(row[17]) || 0,
+        s3: parseIntSafe(row[18]) || 0,
+        s4: parseIntSafe(row[19]) || 0,
+        flight: parseIntSafe(row[20]) || 1,
+        unitario_bruto_tabela: parseNum(row[21]),
+        desconto: parseNum(row[22]),
+        unitario_bruto_negociado: parseNum(row[23]),
+        total_bruto_negociado: parseNum(row[24])
+    };
+}
+
+function parseArgs(argv) {
+    const options = { strict: false, reportDir: DEFAULT_REPORT_DIR };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--strict') options.strict = true;
+        else if (argv[i] === '--report-dir' && argv[i + 1]) options.reportDir = path.resolve(argv[++i]);
+        else if (argv[i].startsWith('--report-dir=')) options.reportDir = path.resolve(argv[i].split('=')[1]);
+    }
+    return options;
+}
+
+function printValidation(report) {
+    console.log(`\n🔎 Validação: ${report.totals.errors} erro(s) bloqueante(s), ${report.totals.warnings} aviso(s)`);
+    Object.entries(report.rules)
+        .filter(([, rule]) => rule.count > 0)
+        .forEach(([code, rule]) => {
+            console.log(`   ${rule.severity === 'error' ? '❌' : '⚠️ '} ${code}: ${rule.count} — ${rule.description}`);
+        });
+
+    const top = (items) => items.slice(0, 5).map(item => `${item.label} (${item.errors})`).join(', ');
+    const withErrors = report.byPraca.filter(p => p.errors > 0);
+    if (withErrors.length > 0) {
+        const exibidores = new Map();
+        withErrors.forEach(p => p.exibidores.forEach(e => exibidores.set(e.exibidor, (exibidores.get(e.exibidor) || 0) + e.errors)));
+        console.log(`   Praças com mais erros: ${top(withErrors.map(p => ({ label: p.praca, errors: p.errors })))}`);
+        console.log(`   Exibidores com mais erros: ${top([...exibidores.entries()]
+            .map(([label, errors]) => ({ label, errors }))
+            .filter(e => e.errors > 0)
+            .sort((a, b) => b.errors - a.errors))}`);
+    }
+}
+
 function importExcel() {
-    console.log('🚀 Iniciando importação do Excel...\n');
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`🚀 Iniciando importação do Excel...${options.strict ? ' (modo estrito)' : ''}\n`);
 
     if (!fs.existsSync(EXCEL_PATH)) {
         console.error('❌ Arquivo Excel não encontrado:', EXCEL_PATH);
@@ -77,14 +203,51 @@ function importExcel() {
         });
     }
 
-    // 3. Create/recreate database
-    if (fs.existsSync(DB_PATH)) {
-        console.log('🗑️  Removendo banco de dados existente...');
-        fs.unlinkSync(DB_PATH);
+    // 3. Parse and validate each PLAN sheet
+    const planSheets = wb.SheetNames.filter(n => n.toUpperCase().includes('PLAN'));
+    console.log(`📊 Processando ${planSheets.length} abas PLAN...\n`);
+
+    const validator = new InventoryValidator();
+    const records = [];
+    let auxiliaryRows = 0;
+    for (const sheetName of planSheets) {
+        const data = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1 });
+        // Skip header row (index 0)
+        for (let i = 1; i < data.length; i++) {
+            const record = parseRow(data[i] || [], pesosLookup);
+            if (!record) continue;
+
+            // CPF/summary tables below the PLAN table: no UF and no price
+            if (record.unitario_bruto_tabela === null && !/^[a-z]{2}$/.test(record.uf)) {
+                auxiliaryRows++;
+                continue;
+            }
+
+            record.sheetName = sheetName;
+            record.line = i + 1;
+            validator.check(record);
+            // Rows without price data are not imported (reported as sem_preco)
+            if (record.unitario_bruto_tabela !== null) records.push(record);
+        }
+        console.log(`   📄 ${sheetName}: ${data.length - 1} linhas`);
+    }
+    if (auxiliaryRows > 0) {
+        console.log(`   ↪️  ${auxiliaryRows} linhas de tabelas auxiliares (sem UF e sem preço) ignoradas`);
     }
 
-    const db = new Database(DB_PATH);
-    console.log('✅ Banco de dados criado\n');
+    const preliminary = validator.buildReport({ source: EXCEL_PATH, strict: options.strict, imported: 0, auxiliaryRows });
+    printValidation(preliminary);
+
+    const reportName = `import-excel-${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}`;
+
+    // 4. Build the new database as an inventory snapshot (the current one is
+    // kept as a snapshot first, so this import can be rolled back)
+    const baseline = snapshotService.ensureBaseline();
+    if (baseline) console.log(`\n💾 Banco atual guardado como snapshot ${baseline.id}`);
+
+    const snapshot = snapshotService.create(EXCEL_PATH);
+    const db = new Database(snapshot.path);
+    console.log(`\n✅ Snapshot ${snapshot.id} criado\n`);
 
     // Execute schema
     console.log('📋 Criando tabelas...');
@@ -92,7 +255,7 @@ function importExcel() {
     db.exec(schema);
     console.log('✅ Tabelas criadas\n');
 
-    // 4. Prepare insert statement
+    // 5. Prepare insert statement
     const insert = db.prepare(`
         INSERT INTO inventory (
             taxonomia, regional_boticario, uf, praca,
@@ -105,133 +268,39 @@ function importExcel() {
             unitario_bruto_tabela, desconto,
             unitario_bruto_negociado, total_bruto_negociado
         ) VALUES (
-            ?, ?, ?, ?,
-            ?, ?,
-            ?, ?,
-            ?, ?,
-            ?, ?,
-            ?, ?, ?,
-            ?, ?, ?, ?, ?, ?,
-            ?, ?,
-            ?, ?
+            @taxonomia, @regional_boticario, @uf, @praca,
+            @exibidores, @formato,
+            @circuito, @avulso,
+            @ranking, @pesos,
+            @estatico, @digital,
+            @range_minimo, @range_maximo, @quantidade,
+            @periodicidade, @s1, @s2, @s3, @s4, @flight,
+            @unitario_bruto_tabela, @desconto,
+            @unitario_bruto_negociado, @total_bruto_negociado
         )
     `);
 
-    // 5. Process each PLAN sheet
-    const planSheets = wb.SheetNames.filter(n => n.toUpperCase().includes('PLAN'));
-    console.log(`📊 Processando ${planSheets.length} abas PLAN...\n`);
-
     let totalImported = 0;
     let totalErrors = 0;
 
-    const insertMany = db.transaction((allRows) => {
-        for (const { sheetName, row, rowIndex } of allRows) {
+    const insertMany = db.transaction((allRecords) => {
+        for (const record of allRecords) {
             try {
-                // Parse values
-                const taxonomia = String(row[0] || '').trim().toLowerCase();
-                const regional = String(row[1] || '').trim().toLowerCase();
-                const uf = String(row[2] || '').trim().toLowerCase();
-                const praca = String(row[3] || '').trim().toLowerCase();
-                const exibidores = String(row[4] || '').trim();
-                const formato = String(row[5] || '').trim();
-
-                // Skip empty/header rows
-                if (!praca || praca === 'praca' || !formato) continue;
-
-                // Circuito / Avulso (new columns at indices 6 and 7)
-                const circuito = row[6] ? String(row[6]).trim() : null;
-                const avulso = (String(row[7] || '').trim().toUpperCase() === 'X') ? 1 : 0;
-
-                // Ranking: must be integer 1-12
-                let ranking = null;
-                const rawRanking = row[8];
-                if (typeof rawRanking === 'number' && Number.isInteger(rawRanking) && rawRanking >= 1 && rawRanking <= 12) {
-                    ranking = rawRanking;
-                }
-
-                // Pesos: resolve via lookup if ranking is valid, otherwise use raw value
-                let pesos = null;
-                if (ranking !== null && pesosLookup[ranking] !== undefined) {
-                    pesos = pesosLookup[ranking];
-                } else {
-                    const rawPesos = row[9];
-                    if (typeof rawPesos === 'number' && rawPesos > 0 && rawPesos <= 1) {
-                        pesos = rawPesos;
-                    }
-                }
-
-                // Estatico/Digital: "X" → 1, anything else → 0
-                const estatico = (String(row[10] || '').trim().toUpperCase() === 'X') ? 1 : 0;
-                const digital = (String(row[11] || '').trim().toUpperCase() === 'X') ? 1 : 0;
-
-                // Numeric fields
-                const parseNum = (v) => {
-                    if (v === null || v === undefined || v === '') return null;
-                    if (typeof v === 'number') return v;
-                    const n = parseFloat(String(v).replace(',', '.'));
-                    return isNaN(n) ? null : n;
-                };
-
-                const parseIntSafe = (v) => {
-                    if (v === null || v === undefined || v === '') return null;
-                    if (typeof v === 'number') return Math.round(v);
-                    const n = parseInt(String(v), 10);
-                    return isNaN(n) ? null : n;
-                };
-
-                const range_minimo = parseIntSafe(row[12]);
-                const range_maximo = parseIntSafe(row[13]);
-                const quantidade = parseIntSafe(row[14]);
-                const periodicidade = row[15] ? String(row[15]).trim() : null;
-                const s1 = parseIntSafe(row[16]) || 0;
-                const s2 = parseIntSafe(row[17]) || 0;
-                const s3 = parseIntSafe(row[18]) || 0;
-                const s4 = parseIntSafe(row[19]) || 0;
-                const flight = parseIntSafe(row[20]) || 1;
-                const unitario_bruto_tabela = parseNum(row[21]);
-                const desconto = parseNum(row[22]);
-                const unitario_bruto_negociado = parseNum(row[23]);
-                const total_bruto_negociado = parseNum(row[24]);
-
-                // Skip rows without price data
-                if (unitario_bruto_tabela === null) continue;
-
-                insert.run(
-                    taxonomia, regional, uf, praca,
-                    exibidores, formato,
-                    circuito, avulso,
-                    ranking, pesos,
-                    estatico, digital,
-                    range_minimo, range_maximo, quantidade,
-                    periodicidade, s1, s2, s3, s4, flight,
-                    unitario_bruto_tabela, desconto,
-                    unitario_bruto_negociado, total_bruto_negociado
-                );
-
+                const { sheetName, line, rawRanking, ...values } = record;
+                insert.run(values);
                 totalImported++;
             } catch (err) {
                 totalErrors++;
                 if (totalErrors <= 5) {
-                    console.error(`   ❌ Erro em ${sheetName} linha ${rowIndex}:`, err.message);
+                    console.error(`   ❌ Erro em ${record.sheetName} linha ${record.line}:`, err.message);
                 }
             }
         }
     });
 
-    // Collect all rows first
-    const allRows = [];
-    for (const sheetName of planSheets) {
-        const data = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1 });
-        // Skip header row (index 0)
-        for (let i = 1; i < data.length; i++) {
-            allRows.push({ sheetName, row: data[i], rowIndex: i });
-        }
-        console.log(`   📄 ${sheetName}: ${data.length - 1} linhas`);
-    }
-
     // Insert in a single transaction
-    console.log('\n💾 Inserindo dados...');
-    insertMany(allRows);
+    console.log('💾 Inserindo dados...');
+    insertMany(records);
 
     console.log(`\n✅ Importação concluída!`);
     console.log(`   📥 ${totalImported} registros importados`);
@@ -258,7 +327,38 @@ function importExcel() {
     console.log(`\n📊 Distribuição de Rankings:`);
     dist.forEach(r => console.log(`   Ranking ${r.ranking} (peso ${r.pesos}): ${r.count} registros`));
 
+    const audienceParams = snapshotService.carryOverAudienceParams(db);
+    if (audienceParams > 0) console.log(`\n🎯 ${audienceParams} parâmetros de audiência copiados do inventário ativo`);
+
     db.close();
+
+    const report = validator.buildReport({ source: EXCEL_PATH, strict: options.strict, imported: totalImported, auxiliaryRows });
+    report.snapshot = snapshot.id;
+    const files = writeReport(report, options.reportDir, reportName);
+    console.log(`\n📝 Relatório de validação: ${files.json}\n                           ${files.xlsx}`);
+
+    snapshotService.register({
+        ...snapshot,
+        source: EXCEL_PATH,
+        importer: 'import-excel',
+        rows: stats.total,
+        validation: {
+            passed: report.published,
+            strict: options.strict,
+            errors: report.totals.errors,
+            warnings: report.totals.warnings,
+            report: files.json
+        }
+    });
+
+    if (!report.published) {
+        console.error(`\n❌ Modo estrito: ${report.totals.errors} erro(s) bloqueante(s); o snapshot ${snapshot.id} NÃO foi ativado.\n`);
+        process.exit(1);
+    }
+
+    // 7. Publish: switch the active inventory in one step
+    snapshotService.activate(snapshot.id, { by: 'import-excel' });
+    console.log(`📦 Snapshot ${snapshot.id} ativo (últimos ${snapshotService.keep} mantidos para rollback)`);
     console.log('\n🎉 Importação finalizada com sucesso!\n');
 }
 
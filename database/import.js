@@ -2,10 +2,11 @@ const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
 const Database = require('better-sqlite3');
+const snapshotService = require('../services/inventory-snapshot-service');
 
-const DB_PATH = path.join(__dirname, 'ooh_planner.db');
 const CSV_PATH = path.join(__dirname, '../Datasets/Dados_Consolidados_base_adicional - base.csv');
 const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+const STRICT = process.argv.includes('--strict');
 
 // Função para converter string com vírgula para número
 function parseDecimal(value) {
@@ -21,14 +22,14 @@ function parseInt10(value) {
 async function importData() {
     console.log('🚀 Iniciando importação de dados...\n');
 
-    // Criar/recriar banco de dados
-    if (fs.existsSync(DB_PATH)) {
-        console.log('🗑️  Removendo banco de dados existente...');
-        fs.unlinkSync(DB_PATH);
-    }
+    // Novo snapshot do inventário; o banco ativo só é trocado no final
+    // (e antes é guardado como snapshot, para permitir rollback)
+    const baseline = snapshotService.ensureBaseline();
+    if (baseline) console.log(`💾 Banco atual guardado como snapshot ${baseline.id}`);
 
-    const db = new Database(DB_PATH);
-    console.log('✅ Banco de dados criado\n');
+    const snapshot = snapshotService.create(CSV_PATH);
+    const db = new Database(snapshot.path);
+    console.log(`✅ Snapshot ${snapshot.id} criado\n`);
 
     // Executar schema
     console.log('📋 Criando tabelas...');
@@ -131,7 +132,30 @@ async function importData() {
                 console.log(`   UFs únicas: ${ufs.total}`);
                 console.log(`   Praças únicas: ${pracas.total}`);
 
+                const audienceParams = snapshotService.carryOverAudienceParams(db);
+                if (audienceParams > 0) console.log(`\n🎯 ${audienceParams} parâmetros de audiência copiados do inventário ativo`);
+
                 db.close();
+
+                // Validação: inventário não vazio (e, com --strict, sem linhas rejeitadas)
+                const passed = stats.total > 0 && !(STRICT && result.errors > 0);
+                snapshotService.register({
+                    ...snapshot,
+                    source: CSV_PATH,
+                    importer: 'import',
+                    rows: stats.total,
+                    validation: { passed, strict: STRICT, errors: result.errors, warnings: 0, report: null }
+                });
+
+                if (!passed) {
+                    const reason = stats.total === 0 ? 'nenhum registro importado' : `modo estrito, ${result.errors} linha(s) rejeitada(s)`;
+                    console.error(`\n❌ Validação falhou (${reason}); o snapshot ${snapshot.id} NÃO foi ativado.\n`);
+                    process.exitCode = 1;
+                    return resolve();
+                }
+
+                snapshotService.activate(snapshot.id, { by: 'import' });
+                console.log(`📦 Snapshot ${snapshot.id} ativo (últimos ${snapshotService.keep} mantidos para rollback)`);
                 console.log('\n🎉 Importação finalizada com sucesso!\n');
                 resolve();
             })
@@ -0,0 +1,114 @@
+/**
+ * Compare two inventory snapshots
+ *
+ * Lists new and removed media, price/range/peso changes and the saved plans
+ * that buy changed or removed media (see services/inventory-diff.js).
+ *
+ * Usage: node database/inventory-diff.js [from] [to] [--report-dir <dir>]
+ * - from/to are snapshot ids (GET /api/inventory/snapshots) or paths of
+ *   inventory .db files; by default the active snapshot is compared with the
+ *   one before it
+ * - the full diff is written as JSON to --report-dir (default database/reports)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const authService = require('../services/auth-service');
+const workspaceService = require('../services/workspace-service');
+const snapshotService = require('../services/inventory-snapshot-service');
+const inventoryDiff = require('../services/inventory-diff');
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, 'reports');
+const MAX_LISTED = 15;
+
+function parseArgs(argv) {
+    const options = { refs: [], reportDir: DEFAULT_REPORT_DIR };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--report-dir' && argv[i + 1]) options.reportDir = path.resolve(argv[++i]);
+        else if (argv[i].startsWith('--report-dir=')) options.reportDir = path.resolve(argv[i].split('=')[1]);
+        else options.refs.push(argv[i]);
+    }
+    return options;
+}
+
+/**
+ * Saved plans (latest version) with their workspace
+ */
+function loadPlans() {
+    // Same setup as the server (creates/migrates the users database if needed)
+    authService.initialize();
+    workspaceService.initialize();
+
+    return authService.db.prepare(`
+        SELECT p.id, p.name, p.status, w.name AS workspace_name
+        FROM plans p LEFT JOIN workspaces w ON w.id = p.workspace_id
+        ORDER BY p.id
+    `).all().map(plan => {
+        const full = authService.getPlanById(plan.id);
+        return full ? { ...plan, data: full.data } : null;
+    }).filter(Boolean);
+}
+
+const formatValue = (value) => value === null || value === undefined ? '—' : Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+const describeRow = (row) => `${row.praca} / ${row.taxonomia} — ${row.exibidores} · ${row.formato}${row.circuito ? ` · ${row.circuito}` : ''} (${row.material})`;
+
+function printList(title, items, format) {
+    if (items.length === 0) return;
+    console.log(`\n${title}`);
+    items.slice(0, MAX_LISTED).forEach(item => console.log(`   ${format(item)}`));
+    if (items.length > MAX_LISTED) console.log(`   … e mais ${items.length - MAX_LISTED}`);
+}
+
+function diffInventory() {
+    const options = parseArgs(process.argv.slice(2));
+    const pair = snapshotService.resolvePair(options.refs[0], options.refs[1]);
+    if (pair.error) {
+        console.error(`❌ ${pair.error}`);
+        process.exit(1);
+    }
+
+    const from = snapshotService.readInventory(pair.from, { allowFiles: true });
+    const to = snapshotService.readInventory(pair.to, { allowFiles: true });
+    if (from.error || to.error) {
+        console.error(`❌ ${from.error || to.error}`);
+        process.exit(1);
+    }
+
+    console.log(`🔍 Comparando inventários\n   de:  ${from.snapshot.id} (${from.snapshot.source}, ${from.snapshot.rows} linhas)\n   para: ${to.snapshot.id} (${to.snapshot.source}, ${to.snapshot.rows} linhas)`);
+
+    const diff = inventoryDiff.compare(from.rows, to.rows);
+    const affectedPlans = inventoryDiff.affectedPlans(diff, loadPlans());
+    const { summary } = diff;
+
+    console.log(`\n📊 ${summary.added} nova(s), ${summary.removed} removida(s), ${summary.changed} alterada(s), ${summary.unchanged} sem mudança`);
+    console.log(`   Preço: ${summary.priceChanges} · Range: ${summary.rangeChanges} · Peso: ${summary.pesoChanges}`);
+
+    printList('➕ Novas:', diff.added, row => describeRow(row));
+    printList('➖ Removidas:', diff.removed, row => describeRow(row));
+    printList('✏️  Alteradas:', diff.changed, row => `${describeRow(row)}: ` + Object.values(row.changes).flat()
+        .map(c => `${c.field} ${formatValue(c.from)} → ${formatValue(c.to)}${c.pct !== undefined ? ` (${c.pct > 0 ? '+' : ''}${c.pct}%)` : ''}`)
+        .join(', '));
+
+    if (affectedPlans.length === 0) {
+        console.log('\n✅ Nenhum plano salvo usa mídias alteradas ou removidas');
+    } else {
+        printList(`⚠️  ${affectedPlans.length} plano(s) afetado(s):`, affectedPlans, plan =>
+            `#${plan.id} ${plan.name} [${plan.status}] — ${plan.rows.length} linha(s): ` +
+            plan.rows.map(r => `${r.exibidores} · ${r.formato} (${r.reasons.map(reason => inventoryDiff.reasonLabel(reason)).join(', ')})`).join('; '));
+    }
+
+    fs.mkdirSync(options.reportDir, { recursive: true });
+    const name = (snapshot) => snapshot.id.replace(/\.db$/, '');
+    const reportPath = path.join(options.reportDir, `inventory-diff-${name(from.snapshot)}-${name(to.snapshot)}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        from: from.snapshot,
+        to: to.snapshot,
+        ...diff,
+        affectedPlans
+    }, null, 2));
+    console.log(`\n📝 Relatório: ${reportPath}\n`);
+}
+
+// Run
+diffInventory();
@@ -0,0 +1,231 @@
+/**
+ * Inventory validation rules (used by import-excel.js)
+ *
+ * Every row read from the PLAN sheets is checked against the rules below and
+ * each problem becomes an issue { rule, severity, sheet, line, praca,
+ * exibidor, formato, message, values }. Errors are blocking: with --strict
+ * the importer does not publish the database while there is one. Warnings
+ * are reported only.
+ *
+ * The report (JSON + XLSX) groups the issues by praça and exibidor — the
+ * analysis relatorio_inconsistencias.md used to do by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { DEFAULT_PARAMS } = require('../services/audience-model');
+
+const RULES = {
+    sem_preco: { severity: 'error', description: 'Linha sem unitário bruto tabela (não importada)' },
+    quantidade_abaixo_minimo: { severity: 'error', description: 'Quantidade menor que o range mínimo do exibidor' },
+    quantidade_acima_maximo: { severity: 'error', description: 'Quantidade maior que o range máximo do exibidor' },
+    range_invertido: { severity: 'error', description: 'Range mínimo maior que o range máximo' },
+    negociado_maior_tabela: { severity: 'error', description: 'Unitário negociado maior que o unitário tabela' },
+    chave_duplicada: { severity: 'error', description: 'Mesma mídia (taxonomia, praça, exibidor, formato, circuito, material) repetida' },
+    semanas_diferente_quantidade: { severity: 'warning', description: 'Soma de S1–S4 diferente da quantidade' },
+    sem_pesos: { severity: 'warning', description: 'Sem pesos (planner usa 0,5)' },
+    ranking_invalido: { severity: 'warning', description: 'Ranking fora de 1–12 (descartado)' },
+    praca_desconhecida: { severity: 'warning', description: 'Praça sem população no modelo de audiência (alcance usa o universo padrão)' }
+};
+
+const normalize = (value) => String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+
+// Praças with a population in the audience model
+const KNOWN_PRACAS = new Set(DEFAULT_PARAMS.filter(p => p.praca && p.population).map(p => normalize(p.praca)));
+
+class InventoryValidator {
+    constructor() {
+        this.issues = [];
+        this.keys = new Map();
+        this.rows = 0;
+    }
+
+    add(rule, record, message, values = {}) {
+        this.issues.push({
+            rule,
+            severity: RULES[rule].severity,
+            sheet: record.sheetName,
+            line: record.line,
+            praca: record.praca,
+            exibidor: record.exibidores,
+            formato: record.formato,
+            message,
+            values
+        });
+    }
+
+    /**
+     * Row-level rules. `record` has the parsed inventory columns plus
+     * sheetName, line and rawRanking (the ranking cell before the 1–12 check).
+     */
+    check(record) {
+        this.rows++;
+        const { quantidade, range_minimo: min, range_maximo: max } = record;
+
+        if (record.unitario_bruto_tabela === null) {
+            this.add('sem_preco', record, 'Sem unitário bruto tabela; linha ignorada');
+            return;
+        }
+
+        if (min !== null && max !== null && min > max) {
+            this.add('range_invertido', record, `Range mínimo ${min} > máximo ${max}`, { range_minimo: min, range_maximo: max });
+        }
+        if (quantidade !== null && min !== null && quantidade < min) {
+            this.add('quantidade_abaixo_minimo', record, `Quantidade ${quantidade} < mínimo ${min}`, { quantidade, range_minimo: min });
+        }
+        if (quantidade !== null && max !== null && max > 0 && quantidade > max) {
+            this.add('quantidade_acima_maximo', record, `Quantidade ${quantidade} > máximo ${max}`, { quantidade, range_maximo: max });
+        }
+
+        if (record.unitario_bruto_negociado !== null && record.unitario_bruto_negociado > record.unitario_bruto_tabela) {
+            this.add('negociado_maior_tabela', record,
+                `Negociado ${record.unitario_bruto_negociado} > tabela ${record.unitario_bruto_tabela}`,
+                { unitario_bruto_tabela: record.unitario_bruto_tabela, unitario_bruto_negociado: record.unitario_bruto_negociado });
+        }
+
+        const weeks = record.s1 + record.s2 + record.s3 + record.s4;
+        if (quantidade !== null && weeks !== quantidade) {
+            this.add('semanas_diferente_quantidade', record, `S1–S4 somam ${weeks}, quantidade ${quantidade}`, { semanas: weeks, quantidade });
+        }
+
+        if (record.rawRanking !== null && record.rawRanking !== undefined && record.rawRanking !== '' && record.ranking === null) {
+            this.add('ranking_invalido', record, `Ranking "${record.rawRanking}" descartado`, { ranking: record.rawRanking });
+        }
+        if (record.pesos === null) {
+            this.add('sem_pesos', record, 'Sem ranking válido nem pesos entre 0 e 1');
+        }
+
+        if (!KNOWN_PRACAS.has(normalize(record.praca))) {
+            this.add('praca_desconhecida', record, `Praça "${record.praca}" não conhecida`);
+        }
+
+        const key = [record.taxonomia, record.praca, record.exibidores, record.formato, record.circuito, record.estatico, record.digital]
+            .map(normalize).join('|');
+        const first = this.keys.get(key);
+        if (first) {
+            this.add('chave_duplicada', record, `Repete ${first.sheetName} linha ${first.line}`, { primeira: `${first.sheetName}:${first.line}` });
+        } else {
+            this.keys.set(key, { sheetName: record.sheetName, line: record.line });
+        }
+    }
+
+    /**
+     * @param {Object} context - { source, strict, imported, auxiliaryRows (summary lines skipped by the importer) }
+     * @returns {Object} report { generatedAt, source, strict, published, totals, rules, byPraca, issues }
+     */
+    buildReport({ source, strict, imported, auxiliaryRows = 0 }) {
+        const count = (issues, severity) => issues.filter(i => i.severity === severity).length;
+        const byRule = (issues) => issues.reduce((acc, issue) => {
+            acc[issue.rule] = (acc[issue.rule] || 0) + 1;
+            return acc;
+        }, {});
+
+        const pracas = new Map();
+        this.issues.forEach(issue => {
+            const praca = issue.praca || '(sem praça)';
+            if (!pracas.has(praca)) pracas.set(praca, { praca, issues: [], exibidores: new Map() });
+            const group = pracas.get(praca);
+            group.issues.push(issue);
+
+            const exibidor = issue.exibidor || '(sem exibidor)';
+            if (!group.exibidores.has(exibidor)) group.exibidores.set(exibidor, []);
+            group.exibidores.get(exibidor).push(issue);
+        });
+
+        const byPraca = [...pracas.values()]
+            .map(group => ({
+                praca: group.praca,
+                errors: count(group.issues, 'error'),
+                warnings: count(group.issues, 'warning'),
+                byRule: byRule(group.issues),
+                exibidores: [...group.exibidores.entries()]
+                    .map(([exibidor, issues]) => ({
+                        exibidor,
+                        errors: count(issues, 'error'),
+                        warnings: count(issues, 'warning'),
+                        byRule: byRule(issues)
+                    }))
+                    .sort((a, b) => b.errors - a.errors || b.warnings - a.warnings)
+            }))
+            .sort((a, b) => b.errors - a.errors || b.warnings - a.warnings);
+
+        const ruleCounts = byRule(this.issues);
+        const errors = count(this.issues, 'error');
+
+        return {
+            generatedAt: new Date().toISOString(),
+            source,
+            strict,
+            published: !(strict && errors > 0),
+            totals: {
+                rows: this.rows,
+                imported,
+                skipped: ruleCounts.sem_preco || 0,
+                auxiliaryRows,
+                errors,
+                warnings: count(this.issues, 'warning')
+            },
+            rules: Object.fromEntries(Object.entries(RULES).map(([rule, info]) => [rule, { ...info, count: ruleCounts[rule] || 0 }])),
+            byPraca,
+            issues: this.issues
+        };
+    }
+}
+
+/**
+ * Write the report as <dir>/<name>.json and <dir>/<name>.xlsx
+ * @returns {Object} { json, xlsx } file paths
+ */
+function writeReport(report, dir, name) {
+    fs.mkdirSync(dir, { recursive: true });
+    const jsonPath = path.join(dir, `${name}.json`);
+    const xlsxPath = path.join(dir, `${name}.xlsx`);
+
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+
+    const rules = Object.keys(RULES);
+    const workbook = XLSX.utils.book_new();
+
+    const summary = [
+        ['Gerado em', report.generatedAt],
+        ['Origem', report.source],
+        ['Modo estrito', report.strict ? 'sim' : 'não'],
+        ['Publicado', report.published ? 'sim' : 'não'],
+        ['Linhas lidas', report.totals.rows],
+        ['Importadas', report.totals.imported],
+        ['Linhas auxiliares ignoradas', report.totals.auxiliaryRows],
+        ['Erros (bloqueantes)', report.totals.errors],
+        ['Avisos', report.totals.warnings],
+        [],
+        ['Regra', 'Severidade', 'Descrição', 'Ocorrências'],
+        ...rules.map(rule => [rule, report.rules[rule].severity, report.rules[rule].description, report.rules[rule].count])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Resumo');
+
+    const grouped = [['Praça', 'Exibidor', 'Erros', 'Avisos', ...rules]];
+    report.byPraca.forEach(group => {
+        grouped.push([group.praca, '(total)', group.errors, group.warnings, ...rules.map(rule => group.byRule[rule] || 0)]);
+        group.exibidores.forEach(item => {
+            grouped.push([group.praca, item.exibidor, item.errors, item.warnings, ...rules.map(rule => item.byRule[rule] || 0)]);
+        });
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(grouped), 'Por praça e exibidor');
+
+    const issues = [['Severidade', 'Regra', 'Aba', 'Linha', 'Praça', 'Exibidor', 'Formato', 'Mensagem']];
+    report.issues.forEach(issue => {
+        issues.push([issue.severity, issue.rule, issue.sheet, issue.line, issue.praca, issue.exibidor, issue.formato, issue.message]);
+    });
+    const issuesSheet = XLSX.utils.aoa_to_sheet(issues);
+    issuesSheet['!autofilter'] = { ref: `A1:H${issues.length}` };
+    XLSX.utils.book_append_sheet(workbook, issuesSheet, 'Ocorrências');
+
+    XLSX.writeFile(workbook, xlsxPath);
+    return { json: jsonPath, xlsx: xlsxPath };
+}
+
+module.exports = { RULES, InventoryValidator, writeReport };
@@ -48,3 +48,21 @@ CREATE INDEX idx_estatico ON inventory(estatico);
 -- Índice composto para filtros combinados
 CREATE INDEX idx_filters ON inventory(uf, praca, taxonomia, formato);
 CREATE INDEX idx_ranking ON inventory(ranking);
+
+-- Parâmetros de audiência (modelo de alcance & frequência)
+-- Linhas casam por praça ('*' = todas), trecho do formato ('*' = todos) e digital (NULL = ambos).
+-- Popule com: npm run seed-audience
+CREATE TABLE IF NOT EXISTS audience_params (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    praca TEXT NOT NULL DEFAULT '*',
+    formato TEXT NOT NULL DEFAULT '*',
+    digital INTEGER,
+    priority INTEGER NOT NULL DEFAULT 50,
+    impressions_per_face REAL,      -- impactos semanais por face
+    weekly_duplication REAL,        -- 0..1, sobreposição de audiência entre semanas
+    impact_rate REAL,               -- impacto / exposição
+    population REAL,                -- universo da praça (pessoas)
+    source TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audience_praca ON audience_params(praca);
@@ -0,0 +1,91 @@
+/**
+ * Seed audience_params for the reach & frequency model
+ *
+ * Writes the default parameters (format ladder, impact rates, praça
+ * populations) and, where the inventory carries exposicao_unit/impacto_unit,
+ * praça+formato specific rows averaged from it. Re-running replaces the
+ * previous seed.
+ *
+ * Usage: npm run seed-audience
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DEFAULT_PARAMS } = require('../services/audience-model');
+
+const DB_PATH = path.join(__dirname, 'ooh_planner.db');
+const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+
+function seedAudience() {
+    console.log('🚀 Populando parâmetros de audiência...\n');
+
+    if (!fs.existsSync(DB_PATH)) {
+        console.error('❌ Banco de dados não encontrado:', DB_PATH);
+        process.exit(1);
+    }
+
+    const db = new Database(DB_PATH);
+
+    // Only the audience_params part of the schema (the rest drops inventory)
+    const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+    const audienceSchema = schema.slice(schema.indexOf('CREATE TABLE IF NOT EXISTS audience_params'));
+    db.exec(audienceSchema);
+
+    const insert = db.prepare(`
+        INSERT INTO audience_params
+            (praca, formato, digital, priority, impressions_per_face, weekly_duplication, impact_rate, population, source)
+        VALUES
+            (@praca, @formato, @digital, @priority, @impressions_per_face, @weekly_duplication, @impact_rate, @population, @source)
+    `);
+
+    const toRow = (params, source) => ({
+        praca: params.praca || '*',
+        formato: params.formato || '*',
+        digital: params.digital ?? null,
+        priority: params.priority ?? 50,
+        impressions_per_face: params.impressions_per_face ?? null,
+        weekly_duplication: params.weekly_duplication ?? null,
+        impact_rate: params.impact_rate ?? null,
+        population: params.population ?? null,
+        source
+    });
+
+    // Measured audience per praça/formato, when the inventory has it
+    const measured = db.prepare(`
+        SELECT praca, formato, digital,
+               AVG(exposicao_unit) AS exposicao,
+               AVG(impacto_unit) AS impacto
+        FROM inventory
+        WHERE exposicao_unit > 0
+        GROUP BY praca, formato, digital
+    `).all();
+
+    const seed = db.transaction(() => {
+        db.prepare('DELETE FROM audience_params').run();
+
+        DEFAULT_PARAMS.forEach(params => insert.run(toRow(params, 'default')));
+
+        measured.forEach(m => insert.run(toRow({
+            praca: m.praca,
+            formato: m.formato,
+            digital: m.digital,
+            priority: 0,
+            impressions_per_face: m.exposicao,
+            impact_rate: m.impacto > 0 ? m.impacto / m.exposicao : null
+        }, 'inventory')));
+    });
+
+    seed();
+
+    console.log(`✅ ${DEFAULT_PARAMS.length} parâmetros padrão`);
+    console.log(`✅ ${measured.length} parâmetros medidos (exposicao_unit/impacto_unit)`);
+    if (measured.length === 0) {
+        console.log('   ⚠️  Inventário sem exposicao_unit — usando apenas os padrões');
+    }
+
+    db.close();
+    console.log('\n🎉 Parâmetros de audiência populados!\n');
+}
+
+seedAudience();
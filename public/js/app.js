@@ -2,6 +2,7 @@
 // GLOBAL STATE
 // ============================================
 const API_BASE = '/api';
+const MAX_CAMPAIGN_WEEKS = 52;
 
 // ============================================
 // HELPERS
@@ -58,41 +59,56 @@ function normalizeTotalFaces(row) {
     return Math.min(Math.max(current, min), max);
 }
 
+// Week columns (S1..Sn) follow the block's campaign cycle
+function getWeekCount(block) {
+    return Math.min(Math.max(parseInt(block.campaignCycle) || 4, 1), MAX_CAMPAIGN_WEEKS);
+}
+
+function sumWeeks(row) {
+    return (row.weeks_edit || []).reduce((s, v) => s + (v || 0), 0);
+}
+
+// Base week profile stretched to `weekCount` weeks (the base repeats every 4 weeks)
+function resizeWeekProfile(weeks, weekCount) {
+    const source = Array.isArray(weeks) && weeks.length > 0 ? weeks.slice(0, 4) : [0];
+    return Array.from({ length: weekCount }, (_, i) => source[i % source.length] || 0);
+}
+
+function setRowWeekCount(row, weekCount) {
+    const edits = row.weeks_edit || [];
+    row.weeks = resizeWeekProfile(row.weeks, weekCount);
+    row.weeks_edit = Array.from({ length: weekCount }, (_, i) => edits[i] || 0);
+}
+
 function distributeFacesAcrossWeeks(row, facesTotal) {
-    const totalWeight = (row.s1 || 0) + (row.s2 || 0) + (row.s3 || 0) + (row.s4 || 0);
+    const weekCount = (row.weeks_edit || []).length || 4;
+    const profile = resizeWeekProfile(row.weeks, weekCount);
+    const totalWeight = profile.reduce((s, v) => s + v, 0);
 
     if (totalWeight <= 0) {
-        // No base week profile: deterministic even split with remainder in S4.
-        const perWeek = Math.floor(facesTotal / 4);
-        row.s1_edit = perWeek;
-        row.s2_edit = perWeek;
-        row.s3_edit = perWeek;
-        row.s4_edit = facesTotal - (perWeek * 3);
+        // No base week profile: deterministic even split with remainder in the last week.
+        const perWeek = Math.floor(facesTotal / weekCount);
+        row.weeks_edit = profile.map(() => perWeek);
+        row.weeks_edit[weekCount - 1] = facesTotal - (perWeek * (weekCount - 1));
         return;
     }
 
-    // Deterministic split following base week proportions (S1-S4).
-    row.s1_edit = Math.round(facesTotal * ((row.s1 || 0) / totalWeight));
-    row.s2_edit = Math.round(facesTotal * ((row.s2 || 0) / totalWeight));
-    row.s3_edit = Math.round(facesTotal * ((row.s3 || 0) / totalWeight));
-    row.s4_edit = Math.round(facesTotal * ((row.s4 || 0) / totalWeight));
-
-    // Round-fix to keep exact total.
-    const currentSum = row.s1_edit + row.s2_edit + row.s3_edit + row.s4_edit;
-    if (currentSum !== facesTotal) {
-        const diff = facesTotal - currentSum;
-        if (row.s1_edit > 0) row.s1_edit += diff;
-        else if (row.s2_edit > 0) row.s2_edit += diff;
-        else if (row.s3_edit > 0) row.s3_edit += diff;
-        else if (row.s4_edit > 0) row.s4_edit += diff;
-        else row.s1_edit += diff;
+    // Deterministic split following base week proportions.
+    row.weeks_edit = profile.map(weight => Math.round(facesTotal * (weight / totalWeight)));
+
+    // Round-fix to keep exact total, on the first week with faces.
+    const diff = facesTotal - row.weeks_edit.reduce((s, v) => s + v, 0);
+    if (diff !== 0) {
+        const target = row.weeks_edit.findIndex(v => v > 0);
+        row.weeks_edit[target >= 0 ? target : 0] += diff;
     }
 }
 
 const state = {
     filters: {},
     nextBlockId: 2,
-    mediaBlocks: [createBlockState(1)]
+    mediaBlocks: [createBlockState(1)],
+    currentPlan: null // { id, name, version } of the saved plan being edited
 };
 
 // ============================================
@@ -102,10 +118,20 @@ async function checkAuth() {
     try {
         const response = await fetch('/api/check-auth');
         const data = await response.json();
-        if (!data.authenticated) {
+        if (!data.authenticated || data.user.mustChangePassword) {
             window.location.href = '/login.html';
             return false;
         }
+
+        // Client accounts only browse saved plans; read-only roles cannot save
+        const permissions = data.user.permissions || [];
+        if (!permissions.includes('inventory:read')) {
+            window.location.href = '/history.html';
+            return false;
+        }
+        if (!permissions.includes('plans:write')) {
+            document.getElementById('btnSavePlan').style.display = 'none';
+        }
         return true;
     } catch (error) {
         console.error('Erro ao verificar autenticação:', error);
@@ -127,7 +153,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const planId = urlParams.get('planId');
 
         if (planId) {
-            await loadPlan(planId);
+            await loadPlan(planId, urlParams.get('version'));
         } else {
             renderMediaBlocks();
         }
@@ -235,7 +261,8 @@ async function fetchPlanningData(blockId) {
                 taxonomia: block.taxonomia,
                 praca: block.praca,
                 formato: block.formato,
-                exibidores: block.exibidores
+                exibidores: block.exibidores,
+                campaignCycle: getWeekCount(block)
             })
         });
 
@@ -267,10 +294,7 @@ async function fetchPlanningData(blockId) {
                     maxFaces,
                     negociacao_edit: row.desconto || 0,
                     obs: '',
-                    s1_edit: 0,
-                    s2_edit: 0,
-                    s3_edit: 0,
-                    s4_edit: 0,
+                    weeks_edit: new Array(getWeekCount(block)).fill(0),
                     facesUsadas: 0,
                     budgetIdeal: 0,
                     custoFace: 0,
@@ -283,6 +307,9 @@ async function fetchPlanningData(blockId) {
             autoAllocateFaces(block);
         }
 
+        // A previous curve belongs to the old praça/taxonomia
+        clearBudgetFrontier(blockId);
+
         updateBlockUI(blockId);
         updateConsolidated();
 
@@ -315,8 +342,7 @@ function autoAllocateFaces(block) {
         return (Number.isFinite(rMax) && rMax > 0) ? rMax : (row.maxFaces || 0);
     };
 
-    const getFacesCount = (row) =>
-        (row.s1_edit || 0) + (row.s2_edit || 0) + (row.s3_edit || 0) + (row.s4_edit || 0);
+    const getFacesCount = sumWeeks;
 
     const isCircuito = (row) => !!row.circuito;
 
@@ -328,8 +354,10 @@ function autoAllocateFaces(block) {
     const getRowCost = (row) => row.unitario_bruto_tabela * (getCapacity(row) / getFpu(row));
 
     // Reset all allocations before recomputing
+    const weekCount = getWeekCount(block);
     rows.forEach(row => {
-        row.s1_edit = 0; row.s2_edit = 0; row.s3_edit = 0; row.s4_edit = 0;
+        setRowWeekCount(row, weekCount);
+        row.weeks_edit.fill(0);
     });
 
     // Total cost at MAX capacity (all rows fully allocated)
@@ -464,9 +492,9 @@ function recalculatePlanningRows(block) {
     if (!block.planningRows) return;
 
     block.planningRows.forEach(row => {
-        // Faces being used = sum of S1-S4 (total units across the period)
-        // Base distributes 'quantidade' into s1/s2/s3/s4, so the sum is the total count.
-        row.facesUsadas = (row.s1_edit || 0) + (row.s2_edit || 0) + (row.s3_edit || 0) + (row.s4_edit || 0);
+        // Faces being used = sum of S1..Sn (total units across the period)
+        // Base distributes 'quantidade' into the weeks, so the sum is the total count.
+        row.facesUsadas = sumWeeks(row);
         // Keep TT Faces aligned with weekly distribution to avoid inconsistencies in the table.
         row.totalFaces = row.facesUsadas;
 
@@ -513,6 +541,7 @@ function renderMediaBlocks() {
 
         // Restore values
         if (blockState.budget) block.querySelector('.input-budget').value = blockState.budget;
+        block.querySelector('.input-campaign-cycle').value = getWeekCount(blockState);
         if (blockState.taxonomia) block.querySelector('.input-taxonomia').value = blockState.taxonomia;
         if (blockState.praca) block.querySelector('.input-praca').value = blockState.praca;
 
@@ -567,6 +596,26 @@ function setupBlockListeners(blockElement, blockId) {
         }, 400);
     });
 
+    const cycleInput = blockElement.querySelector('.input-campaign-cycle');
+    cycleInput.addEventListener('change', (e) => {
+        const blk = getBlockById(blockId);
+        blk.campaignCycle = parseInt(e.target.value) || 4;
+        blk.campaignCycle = getWeekCount(blk);
+        e.target.value = blk.campaignCycle;
+        if (!blk.planningRows) return;
+
+        // Each row keeps its faces, spread over the new number of weeks
+        blk.planningRows.forEach(row => {
+            const faces = sumWeeks(row);
+            setRowWeekCount(row, blk.campaignCycle);
+            distributeFacesAcrossWeeks(row, faces);
+        });
+        recalculatePlanningRows(blk);
+        renderPlanningTableBody(blockId);
+        updateGauges(blockId);
+        updateConsolidated();
+    });
+
     const taxonomiaSelect = blockElement.querySelector('.input-taxonomia');
     taxonomiaSelect.addEventListener('change', (e) => {
         getBlockById(blockId).taxonomia = e.target.value || null;
@@ -603,6 +652,25 @@ function setupBlockListeners(blockElement, blockId) {
         });
     });
 
+    const flightingBtn = blockElement.querySelector('.btn-flighting');
+    flightingBtn.addEventListener('click', () => {
+        const goal = blockElement.querySelector('.input-flighting-goal').value;
+        flightingBtn.disabled = true;
+        fetchFlighting(blockId, goal).finally(() => {
+            flightingBtn.disabled = false;
+        });
+    });
+
+    const frontierBtn = blockElement.querySelector('.btn-frontier');
+    frontierBtn.addEventListener('click', () => {
+        frontierBtn.disabled = true;
+        frontierBtn.textContent = '⏳ Calculando…';
+        fetchBudgetFrontier(blockId).finally(() => {
+            frontierBtn.disabled = false;
+            frontierBtn.textContent = '📈 Calcular curva';
+        });
+    });
+
     const deleteBtn = blockElement.querySelector('.btn-delete');
     deleteBtn.addEventListener('click', () => removeBlock(blockId));
 
@@ -618,11 +686,24 @@ function setupBlockListeners(blockElement, blockId) {
 function setupEventListeners() {
     document.getElementById('btnResetAll').addEventListener('click', resetAll);
     document.getElementById('btnExport').addEventListener('click', exportCSV);
+    document.getElementById('btnExportXlsx').addEventListener('click', exportXLSX);
+    document.getElementById('btnExportPdf').addEventListener('click', exportProposalPDF);
+    document.getElementById('btnImportPlanFile').addEventListener('click', () => {
+        if (!state.currentPlan) {
+            alert('Abra um plano salvo antes de importar a planilha editada.');
+            return;
+        }
+        document.getElementById('importPlanFileInput').click();
+    });
+    document.getElementById('importPlanFileInput').addEventListener('change', importPlanFile);
 
     const btnSavePlan = document.getElementById('btnSavePlan');
     if (btnSavePlan) {
-        btnSavePlan.addEventListener('click', savePlan);
+        btnSavePlan.addEventListener('click', openSavePlanModal);
     }
+    setupSavePlanModal();
+
+    setupNationalAllocator();
 
     // Help modal
     const helpBtn = document.getElementById('btnHelp');
@@ -681,6 +762,8 @@ function renderPlanningTableBody(blockId) {
     const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
     if (!blockElement || !block.planningRows) return;
 
+    renderWeekColumns(blockElement, getWeekCount(block));
+
     const tbody = blockElement.querySelector('.planning-body');
     tbody.innerHTML = '';
 
@@ -715,18 +798,10 @@ function renderPlanningTableBody(blockId) {
                     ? '<span class="material-badge material-badge-digital">📺 DIG</span>'
                     : '<span class="material-badge material-badge-estatico">🪟 EST</span>'}
             </td>
+            ${row.weeks_edit.map((faces, week) => `
             <td class="cell-week">
-                <input type="number" class="inline-input input-s1" value="${row.s1_edit}" min="0" max="${rangeMax}" data-row="${index}" data-field="s1_edit">
-            </td>
-            <td class="cell-week">
-                <input type="number" class="inline-input input-s2" value="${row.s2_edit}" min="0" max="${rangeMax}" data-row="${index}" data-field="s2_edit">
-            </td>
-            <td class="cell-week">
-                <input type="number" class="inline-input input-s3" value="${row.s3_edit}" min="0" max="${rangeMax}" data-row="${index}" data-field="s3_edit">
-            </td>
-            <td class="cell-week">
-                <input type="number" class="inline-input input-s4" value="${row.s4_edit}" min="0" max="${rangeMax}" data-row="${index}" data-field="s4_edit">
-            </td>
+                <input type="number" class="inline-input input-week" value="${faces}" min="0" max="${rangeMax}" data-row="${index}" data-week="${week}">
+            </td>`).join('')}
             <td class="cell-currency cell-tabela-unit">
                 <input type="number" class="inline-input input-tabela-unit" value="${row.unitario_bruto_tabela}" min="0" step="0.01" data-row="${index}" title="Tabela Unitário (editável)">
             </td>
@@ -774,8 +849,8 @@ function renderPlanningTableBody(blockId) {
         faceInput.addEventListener('input', validateFaceRange.bind(null, faceInput));
         validateFaceRange(faceInput);
 
-        // Inline input events for S1-S4 weeks with min/max validation
-        tr.querySelectorAll('.input-s1, .input-s2, .input-s3, .input-s4').forEach(input => {
+        // Inline input events for S1..Sn weeks with min/max validation
+        tr.querySelectorAll('.input-week').forEach(input => {
             const validateRange = (el) => {
                 const val = parseInt(el.value) || 0;
                 const max = parseInt(el.max) || Infinity;
@@ -789,8 +864,8 @@ function renderPlanningTableBody(blockId) {
             };
             input.addEventListener('change', (e) => {
                 const rowIdx = parseInt(e.target.dataset.row);
-                const field = e.target.dataset.field;
-                block.planningRows[rowIdx][field] = parseInt(e.target.value) || 0;
+                const week = parseInt(e.target.dataset.week);
+                block.planningRows[rowIdx].weeks_edit[week] = parseInt(e.target.value) || 0;
                 validateRange(e.target);
                 recalculatePlanningRows(block);
                 const totalFacesInput = tr.querySelector('.input-total-faces');
@@ -804,8 +879,8 @@ function renderPlanningTableBody(blockId) {
             });
             input.addEventListener('input', (e) => {
                 const rowIdx = parseInt(e.target.dataset.row);
-                const field = e.target.dataset.field;
-                block.planningRows[rowIdx][field] = parseInt(e.target.value) || 0;
+                const week = parseInt(e.target.dataset.week);
+                block.planningRows[rowIdx].weeks_edit[week] = parseInt(e.target.value) || 0;
                 validateRange(e.target);
                 recalculatePlanningRows(block);
                 const totalFacesInput = tr.querySelector('.input-total-faces');
@@ -853,6 +928,23 @@ function renderPlanningTableBody(blockId) {
     updatePlanningTotals(blockId);
 }
 
+// Header and totals cells for one column per campaign week
+function renderWeekColumns(blockElement, weekCount) {
+    blockElement.querySelector('.weeks-header').colSpan = weekCount;
+    blockElement.querySelector('.planning-header-weeks').innerHTML =
+        Array.from({ length: weekCount }, (_, i) => `<th>S${i + 1}</th>`).join('');
+
+    const totalsRow = blockElement.querySelector('.planning-totals');
+    totalsRow.querySelectorAll('.total-week').forEach(td => td.remove());
+    const anchor = totalsRow.querySelector('.total-tabela');
+    for (let i = 0; i < weekCount; i++) {
+        const td = document.createElement('td');
+        td.className = 'total-week';
+        td.textContent = '--';
+        totalsRow.insertBefore(td, anchor);
+    }
+}
+
 function updatePlanningTotals(blockId) {
     const block = getBlockById(blockId);
     const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
@@ -865,10 +957,8 @@ function updatePlanningTotals(blockId) {
         rangeMax: rows.reduce((s, r) => s + (Number(r.range_maximo) > 0 ? Number(r.range_maximo) : (Number(r.maxFaces) || 0)), 0),
         faces: rows.reduce((s, r) => s + (Number(r.totalFaces) || 0), 0),
         index: rows.reduce((s, r) => s + (Number(r.index) || 0), 0),
-        s1: rows.reduce((s, r) => s + (r.s1_edit || 0), 0),
-        s2: rows.reduce((s, r) => s + (r.s2_edit || 0), 0),
-        s3: rows.reduce((s, r) => s + (r.s3_edit || 0), 0),
-        s4: rows.reduce((s, r) => s + (r.s4_edit || 0), 0),
+        weeks: Array.from({ length: getWeekCount(block) }, (_, i) =>
+            rows.reduce((s, r) => s + ((r.weeks_edit || [])[i] || 0), 0)),
         tabela: rows.reduce((s, r) => s + r.unitario_bruto_tabela, 0),
         totalLinha: rows.reduce((s, r) => s + (r.totalLinha || 0), 0),
         neg: rows.reduce((s, r) => s + r.ttNeg, 0),
@@ -880,10 +970,9 @@ function updatePlanningTotals(blockId) {
     blockElement.querySelector('.total-faces-max').textContent = totals.rangeMax;
     blockElement.querySelector('.total-tt-faces').textContent = totals.faces;
     blockElement.querySelector('.total-index').textContent = totals.index.toFixed(2);
-    blockElement.querySelector('.total-s1').textContent = totals.s1;
-    blockElement.querySelector('.total-s2').textContent = totals.s2;
-    blockElement.querySelector('.total-s3').textContent = totals.s3;
-    blockElement.querySelector('.total-s4').textContent = totals.s4;
+    blockElement.querySelectorAll('.total-week').forEach((td, i) => {
+        td.textContent = totals.weeks[i] || 0;
+    });
     blockElement.querySelector('.total-tabela').textContent = formatNumber(totals.tabela);
     blockElement.querySelector('.total-linha').textContent = formatNumber(totals.totalLinha);
     blockElement.querySelector('.total-neg').textContent = formatNumber(totals.neg);
@@ -923,7 +1012,7 @@ function updateExposureGauge(block, blockElement) {
     blockElement.querySelector('.exp-total-median').textContent = totalMedian;
 
     // Exposure gauge: allocated faces vs. total maximum capacity in the current cycle.
-    const totalAllocated = rows.reduce((s, r) => s + (r.s1_edit || 0) + (r.s2_edit || 0) + (r.s3_edit || 0) + (r.s4_edit || 0), 0);
+    const totalAllocated = rows.reduce((s, r) => s + sumWeeks(r), 0);
     const maxPossible = totalMax;
     const exposureRatio = maxPossible > 0 ? totalAllocated / maxPossible : 0;
     const exposurePercent = Math.min(Math.max(exposureRatio * 100, 2), 98);
@@ -1026,6 +1115,217 @@ function updateEfficiencyGauge(block, blockElement) {
 // ============================================
 // HINT SYSTEM LOGIC
 // ============================================
+// ============================================
+// FLIGHTING (server-side weekly distribution)
+// ============================================
+async function fetchFlighting(blockId, goal) {
+    const block = getBlockById(blockId);
+    if (!block || !block.planningRows) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/flighting`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                campaignCycle: getWeekCount(block),
+                goal,
+                burstWeek: 1,
+                rows: block.planningRows.map(row => ({
+                    exibidores: row.exibidores,
+                    formato: row.formato,
+                    circuito: row.circuito,
+                    faces_por_unidade: row.faces_por_unidade,
+                    periodicidade: row.periodicidade,
+                    range_minimo: row.range_minimo,
+                    range_maximo: row.range_maximo,
+                    totalFaces: sumWeeks(row)
+                }))
+            })
+        });
+
+        if (!response.ok) throw new Error('Erro ao distribuir semanas');
+
+        const result = await response.json();
+        if (result.status === 'error') {
+            showBlockMessage(blockId, result.message, 'error');
+            return;
+        }
+
+        // Calendar rows come back in the same order as planningRows
+        result.rows.forEach((calendarRow, index) => {
+            block.planningRows[index].weeks_edit = calendarRow.weeks;
+        });
+
+        recalculatePlanningRows(block);
+        renderPlanningTableBody(blockId);
+        updateGauges(blockId);
+        updateConsolidated();
+
+        const warnings = result.rows.flatMap(r => r.warnings.map(w => `${r.exibidores} / ${r.formato}: ${w}`));
+        if (warnings.length > 0) {
+            showBlockMessage(blockId, `⚠️ ${warnings.join(' · ')}`, 'warning');
+        }
+
+    } catch (err) {
+        console.error(`Erro ao distribuir semanas do bloco ${blockId}:`, err);
+        showBlockMessage(blockId, 'Erro de conexão ao distribuir semanas', 'error');
+    }
+}
+
+// ============================================
+// BUDGET FRONTIER (budget vs. exposure curve)
+// ============================================
+const frontierCharts = {}; // blockId -> Chart instance
+
+async function fetchBudgetFrontier(blockId) {
+    const block = getBlockById(blockId);
+    const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
+    if (!block || !blockElement || !block.praca || !block.taxonomia) return;
+
+    const summary = blockElement.querySelector('.frontier-summary');
+
+    try {
+        const response = await fetch(`${API_BASE}/budget-frontier`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                praca: block.praca,
+                taxonomia: block.taxonomia,
+                campaignCycle: block.campaignCycle || 4
+            })
+        });
+
+        if (!response.ok) throw new Error('Erro ao calcular fronteira');
+
+        const result = await response.json();
+
+        if (result.status === 'error' || !result.frontier || result.frontier.length === 0) {
+            clearBudgetFrontier(blockId);
+            summary.textContent = result.message || 'Nenhum ponto viável para esta praça/taxonomia';
+            return;
+        }
+
+        renderBudgetFrontier(blockId, result);
+
+    } catch (err) {
+        console.error(`Erro ao calcular fronteira do bloco ${blockId}:`, err);
+        summary.textContent = 'Erro de conexão ao calcular a fronteira';
+    }
+}
+
+function renderBudgetFrontier(blockId, result) {
+    const block = getBlockById(blockId);
+    const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
+    if (!blockElement) return;
+
+    const canvasWrap = blockElement.querySelector('.frontier-canvas-wrap');
+    const canvas = blockElement.querySelector('.frontier-chart');
+    const summary = blockElement.querySelector('.frontier-summary');
+
+    if (frontierCharts[blockId]) frontierCharts[blockId].destroy();
+    canvasWrap.style.display = 'block';
+
+    const frontierPoints = result.frontier.map(p => ({ x: p.allocatedBudget, y: p.exposure, point: p }));
+    const datasets = [{
+        label: 'Fronteira eficiente',
+        data: frontierPoints,
+        borderColor: '#3B82F6',
+        backgroundColor: '#3B82F6',
+        showLine: true,
+        tension: 0.2,
+        pointRadius: 3
+    }];
+
+    if (result.knee) {
+        datasets.push({
+            label: 'Joelho',
+            data: [{ x: result.knee.allocatedBudget, y: result.knee.exposure, point: result.knee }],
+            borderColor: '#F59E0B',
+            backgroundColor: '#F59E0B',
+            pointRadius: 7,
+            pointStyle: 'rectRot'
+        });
+    }
+
+    // Current budget: exposure interpolated along the frontier
+    const budget = block.budget || 0;
+    if (budget > 0) {
+        const next = frontierPoints.findIndex(p => p.x >= budget);
+        let y;
+        if (next === -1) {
+            y = frontierPoints[frontierPoints.length - 1].y;
+        } else if (next === 0) {
+            y = frontierPoints[0].y * (budget / frontierPoints[0].x);
+        } else {
+            const a = frontierPoints[next - 1];
+            const b = frontierPoints[next];
+            y = a.y + (b.y - a.y) * ((budget - a.x) / (b.x - a.x));
+        }
+        datasets.push({
+            label: 'Budget atual',
+            data: [{ x: budget, y }],
+            borderColor: '#10B981',
+            backgroundColor: '#10B981',
+            pointRadius: 6
+        });
+    }
+
+    frontierCharts[blockId] = new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: '#64748B', font: { size: 10 }, boxWidth: 12, padding: 10 }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (ctx) => {
+                            const p = ctx.raw.point;
+                            if (!p) return ` ${ctx.dataset.label}: ${formatCurrency(ctx.raw.x)} → ${formatExposure(ctx.raw.y)}`;
+                            const topFormats = p.formatMix.slice(0, 3)
+                                .map(f => `${f.formato} ${(f.share * 100).toFixed(0)}%`).join(', ');
+                            return [
+                                ` ${formatCurrency(p.allocatedBudget)} → ${formatExposure(p.exposure)} exposição`,
+                                ` ${p.faces} faces · CPF ${formatCurrency(p.cpf)}`,
+                                ` ${topFormats}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: 'Budget (R$)', color: '#64748B', font: { size: 10 } },
+                    ticks: { color: '#64748B', font: { size: 10 }, callback: (v) => formatExposure(v) }
+                },
+                y: {
+                    title: { display: true, text: 'Exposição', color: '#64748B', font: { size: 10 } },
+                    ticks: { color: '#64748B', font: { size: 10 }, callback: (v) => formatExposure(v) }
+                }
+            }
+        }
+    });
+
+    summary.textContent = result.knee
+        ? `Joelho em ${formatCurrency(result.knee.allocatedBudget)} (${formatExposure(result.knee.exposure)} de exposição, ${result.knee.faces} faces). Acima disso cada real extra rende menos exposição.`
+        : `${result.frontier.length} pontos eficientes entre ${formatCurrency(result.minBudget)} e ${formatCurrency(result.maxBudget)}.`;
+}
+
+function clearBudgetFrontier(blockId) {
+    if (frontierCharts[blockId]) {
+        frontierCharts[blockId].destroy();
+        delete frontierCharts[blockId];
+    }
+    const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
+    if (!blockElement) return;
+    blockElement.querySelector('.frontier-canvas-wrap').style.display = 'none';
+    blockElement.querySelector('.frontier-summary').textContent = '';
+}
+
 function updateBlockHints(blockId) {
     const block = getBlockById(blockId);
     const blockElement = document.querySelector(`[data-block-id="${blockId}"]`);
@@ -1038,7 +1338,7 @@ function updateBlockHints(blockId) {
     const budget = block.budget || 0;
     const totalNeg = block.planningRows.reduce((s, r) => s + r.ttNeg, 0);
     const totalTabela = block.planningRows.reduce((s, r) => s + r.totalLinha, 0);
-    const facesAllocated = block.planningRows.reduce((s, r) => s + (r.s1_edit || 0) + (r.s2_edit || 0) + (r.s3_edit || 0) + (r.s4_edit || 0), 0);
+    const facesAllocated = block.planningRows.reduce((s, r) => s + sumWeeks(r), 0);
     const totalAvailable = block.planningRows.reduce((s, r) => s + (r.range_maximo || r.totalFaces || 0), 0);
 
     const savingsRatio = totalTabela > 0 ? 1 - (totalNeg / totalTabela) : 0;
@@ -1385,6 +1685,160 @@ function renderMap() {
     }, 150);
 }
 
+// ============================================
+// NATIONAL BUDGET SPLIT
+// ============================================
+let lastNationalAllocation = null;
+
+function setupNationalAllocator() {
+    const modal = document.getElementById('nationalModal');
+    const openBtn = document.getElementById('btnNational');
+    if (!modal || !openBtn) return;
+
+    openBtn.addEventListener('click', () => {
+        if (!document.getElementById('nationalRows').children.length) addNationalRow();
+        modal.style.display = 'flex';
+    });
+    document.getElementById('nationalModalClose').addEventListener('click', () => modal.style.display = 'none');
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.style.display = 'none';
+    });
+
+    document.getElementById('btnNationalAddRow').addEventListener('click', () => addNationalRow());
+    document.getElementById('btnNationalRun').addEventListener('click', runNationalAllocation);
+    document.getElementById('btnNationalCreate').addEventListener('click', () => {
+        createBlocksFromNational(lastNationalAllocation);
+        modal.style.display = 'none';
+    });
+}
+
+function addNationalRow() {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td><select class="form-control input-praca"><option value="">Selecione...</option></select></td>
+        <td><select class="form-control input-taxonomia"><option value="">Selecione...</option></select></td>
+        <td><input type="number" class="form-control input-min-budget" min="0" placeholder="--"></td>
+        <td><input type="number" class="form-control input-max-budget" min="0" placeholder="--"></td>
+        <td><button class="btn-icon btn-remove-row" title="Remover praça">🗑️</button></td>
+    `;
+
+    // Same selects as the media blocks (praça drives the available ciclos)
+    populateCoreSelects(tr);
+    tr.querySelector('.input-praca').addEventListener('change', (e) => {
+        updateTaxonomiaOptions(tr, e.target.value || null);
+    });
+    tr.querySelector('.btn-remove-row').addEventListener('click', () => tr.remove());
+
+    document.getElementById('nationalRows').appendChild(tr);
+}
+
+async function runNationalAllocation() {
+    const totalBudget = parseFloat(document.getElementById('nationalBudget').value);
+    const campaignCycle = parseInt(document.getElementById('nationalCycle').value) || 4;
+
+    if (!totalBudget || totalBudget <= 0) {
+        alert('Informe o budget total.');
+        return;
+    }
+
+    const pracas = Array.from(document.querySelectorAll('#nationalRows tr'))
+        .map(tr => ({
+            praca: tr.querySelector('.input-praca').value,
+            taxonomia: tr.querySelector('.input-taxonomia').value,
+            minBudget: parseFloat(tr.querySelector('.input-min-budget').value) || 0,
+            maxBudget: parseFloat(tr.querySelector('.input-max-budget').value) || null
+        }))
+        .filter(p => p.praca || p.taxonomia);
+
+    if (pracas.length === 0) {
+        alert('Adicione ao menos uma praça.');
+        return;
+    }
+
+    const runBtn = document.getElementById('btnNationalRun');
+    runBtn.disabled = true;
+    runBtn.textContent = '⏳ Distribuindo…';
+
+    try {
+        const response = await fetch(`${API_BASE}/national-allocation`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ totalBudget, campaignCycle, pracas })
+        });
+
+        if (!response.ok) throw new Error('Erro ao distribuir budget nacional');
+
+        const result = await response.json();
+        if (result.status === 'error') {
+            showError(result.message);
+            return;
+        }
+
+        lastNationalAllocation = result;
+        renderNationalResult(result);
+
+    } catch (err) {
+        console.error('Erro ao distribuir budget nacional:', err);
+        showError('Erro de conexão ao distribuir budget nacional');
+    } finally {
+        runBtn.disabled = false;
+        runBtn.textContent = '▶ Distribuir';
+    }
+}
+
+function renderNationalResult(result) {
+    const tbody = document.getElementById('nationalResultRows');
+    tbody.innerHTML = '';
+
+    result.allocations.forEach(a => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${toTitleCase(a.praca)}</td>
+            <td>${a.taxonomia}</td>
+            <td>${formatCurrency(a.budget)}</td>
+            <td>${(a.share * 100).toFixed(0)}%</td>
+            <td>${a.facesCount}</td>
+            <td>${formatExposure(a.exposicao_estimada)}</td>
+            <td>${a.marginalExposurePerReal.toFixed(2)}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById('nationalSummary').textContent =
+        `${formatCurrency(result.allocatedBudget)} alocados de ${formatCurrency(result.totalBudget)} ` +
+        `(passo de ${formatCurrency(result.step)} por praça).`;
+    document.getElementById('nationalResult').style.display = 'block';
+}
+
+/**
+ * One media block per praça with budget, auto-allocated on load
+ */
+async function createBlocksFromNational(result) {
+    if (!result) return;
+
+    const funded = result.allocations.filter(a => a.budget > 0);
+    if (funded.length === 0) return;
+
+    // Replace the untouched starter block instead of leaving it empty
+    state.mediaBlocks = state.mediaBlocks.filter(b => b.praca || b.taxonomia || b.planningRows);
+
+    const newIds = funded.map(a => {
+        const block = createBlockState(state.nextBlockId++);
+        block.praca = a.praca;
+        block.taxonomia = a.taxonomia;
+        block.budget = Math.round(a.budget);
+        block.campaignCycle = result.campaignCycle;
+        state.mediaBlocks.push(block);
+        return block.id;
+    });
+
+    renderMediaBlocks();
+
+    // fetchPlanningData runs autoAllocateFaces against each block's budget
+    await Promise.all(newIds.map(id => fetchPlanningData(id)));
+    updateConsolidated();
+}
+
 // ============================================
 // ACTIONS
 // ============================================
@@ -1405,6 +1859,7 @@ function resetBlock(blockId) {
         blockElement.querySelectorAll('select').forEach(select => select.selectedIndex = 0);
     }
 
+    clearBudgetFrontier(blockId);
     updateBlockUI(blockId);
     updateConsolidated();
 }
@@ -1413,33 +1868,111 @@ function resetAll() {
     if (!confirm('Tem certeza que deseja resetar tudo?')) return;
     state.mediaBlocks = [createBlockState(1)];
     state.nextBlockId = 2;
+    state.currentPlan = null;
     renderMediaBlocks();
     updateConsolidated();
 }
 
-async function savePlan() {
+function setupSavePlanModal() {
+    const modal = document.getElementById('savePlanModal');
+    if (!modal) return;
+
+    document.getElementById('savePlanModalClose').addEventListener('click', () => modal.style.display = 'none');
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.style.display = 'none';
+    });
+    modal.querySelectorAll('input[name="savePlanMode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            // A new plan gets its own name; a new version keeps the plan's name by default
+            document.getElementById('savePlanName').value = radio.value === 'version' && state.currentPlan
+                ? state.currentPlan.name
+                : '';
+            // Versions stay in the plan's workspace
+            document.getElementById('savePlanWorkspaceGroup').style.display = radio.value === 'version' ? 'none' : 'block';
+        });
+    });
+    document.getElementById('btnSavePlanConfirm').addEventListener('click', savePlan);
+}
+
+// Workspaces where the user can create plans (viewers only read)
+async function loadSaveWorkspaces() {
+    const select = document.getElementById('savePlanWorkspace');
+    try {
+        const response = await fetch(`${API_BASE}/workspaces`);
+        const result = await response.json();
+        const writable = (result.workspaces || []).filter(w => w.member_role !== 'viewer');
+
+        select.innerHTML = '<option value="">Pessoal</option>' + writable
+            .filter(w => !w.name.startsWith('Pessoal - '))
+            .map(w => `<option value="${w.id}">${w.name}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Erro ao carregar workspaces:', error);
+        select.innerHTML = '<option value="">Pessoal</option>';
+    }
+}
+
+function openSavePlanModal() {
     const activeBlocks = state.mediaBlocks.filter(b => b.active);
     if (activeBlocks.length === 0) {
         alert('❌ Nenhuma mídia configurada para salvar');
         return;
     }
 
-    const planName = prompt("Digite um nome para este plano:", "Meu Plano");
-    if (!planName) return;
+    const current = state.currentPlan;
+    // Plans under review, approved or sent are locked: only "save as new plan"
+    const locked = current && ['in_review', 'approved', 'sent'].includes(current.status);
+    const asVersion = current && !locked;
+    document.getElementById('savePlanModes').style.display = current ? 'flex' : 'none';
+    if (current) {
+        document.getElementById('savePlanCurrent').textContent = locked
+            ? `${current.name} (bloqueado: ${current.status})`
+            : `${current.name} (v${current.version} → v${current.latestVersion + 1})`;
+        document.querySelector('input[name="savePlanMode"][value="version"]').disabled = locked;
+    }
+    document.querySelector(`input[name="savePlanMode"][value="${asVersion ? 'version' : 'plan'}"]`).checked = true;
+    document.getElementById('savePlanName').value = asVersion ? current.name : 'Meu Plano';
+    document.getElementById('savePlanNote').value = '';
+    document.getElementById('savePlanWorkspaceGroup').style.display = asVersion ? 'none' : 'block';
+    loadSaveWorkspaces();
+    document.getElementById('savePlanModal').style.display = 'flex';
+}
+
+async function savePlan() {
+    const mode = document.querySelector('input[name="savePlanMode"]:checked').value;
+    const asVersion = mode === 'version' && state.currentPlan;
+    const planName = document.getElementById('savePlanName').value.trim();
+    const note = document.getElementById('savePlanNote').value.trim() || null;
+
+    if (!planName) {
+        alert('❌ Digite um nome para o plano');
+        return;
+    }
 
     try {
-        const response = await fetch(`${API_BASE}/plans`, {
+        const url = asVersion ? `${API_BASE}/plans/${state.currentPlan.id}/versions` : `${API_BASE}/plans`;
+        const response = await fetch(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 name: planName,
+                note,
+                workspaceId: asVersion ? undefined : (document.getElementById('savePlanWorkspace').value || undefined),
                 data: state.mediaBlocks
             })
         });
 
         const result = await response.json();
         if (result.success) {
-            alert(`✅ Plano '${planName}' salvo com sucesso!`);
+            state.currentPlan = {
+                id: result.planId,
+                name: planName,
+                version: result.version,
+                latestVersion: result.version,
+                status: asVersion ? state.currentPlan.status : 'draft'
+            };
+            document.getElementById('savePlanModal').style.display = 'none';
+            alert(`✅ Plano '${planName}' salvo com sucesso (v${result.version})!`);
         } else {
             throw new Error(result.message);
         }
@@ -1456,7 +1989,11 @@ function exportCSV() {
         return;
     }
 
-    const headers = ['Plano', 'Veículo', 'Peso', 'Formato', 'Circuito', 'Periodicidade', 'Min', 'Max', 'TT Faces', 'Index', 'Tipo Material', 'S1', 'S2', 'S3', 'S4', 'Tabela Unit.', 'Negociação %', 'TT Neg.', 'Valor Líquido', 'Custo/Face', 'OBS'];
+    // One column per week of the longest campaign; shorter plans leave the rest blank
+    const weekCount = Math.max(...activeBlocks.map(getWeekCount));
+    const weekHeaders = Array.from({ length: weekCount }, (_, i) => `S${i + 1}`);
+
+    const headers = ['Plano', 'Veículo', 'Peso', 'Formato', 'Circuito', 'Periodicidade', 'Min', 'Max', 'TT Faces', 'Index', 'Tipo Material', ...weekHeaders, 'Tabela Unit.', 'Negociação %', 'TT Neg.', 'Valor Líquido', 'Custo/Face', 'OBS'];
 
     const rows = [];
     activeBlocks.forEach(block => {
@@ -1473,10 +2010,7 @@ function exportCSV() {
                 row.totalFaces,
                 row.index,
                 row.digital ? 'DIGITAL' : 'ESTÁTICO',
-                row.s1_edit || 0,
-                row.s2_edit || 0,
-                row.s3_edit || 0,
-                row.s4_edit || 0,
+                ...weekHeaders.map((_, i) => (i < getWeekCount(block) ? ((row.weeks_edit || [])[i] || 0) : '')),
                 row.unitario_bruto_tabela,
                 ((row.negociacao_edit || 0) * 100).toFixed(0) + '%',
                 row.ttNeg,
@@ -1500,15 +2034,166 @@ function exportCSV() {
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
+
+    // Exports are part of the audit trail
+    fetch(`${API_BASE}/audit/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            action: 'plan.export_csv',
+            planId: state.currentPlan ? state.currentPlan.id : null,
+            detail: { blocks: activeBlocks.length, rows: rows.length }
+        })
+    }).catch(() => { });
+}
+
+/**
+ * Download the saved plan (the version open in the editor) as XLSX in the
+ * agency's spreadsheet layout, generated by the server
+ */
+function exportXLSX() {
+    return downloadPlanFile('export.xlsx', 'XLSX');
+}
+
+/**
+ * Download the saved plan as the client-ready PDF proposal, generated by the server
+ */
+function exportProposalPDF() {
+    return downloadPlanFile('proposal.pdf', 'PDF');
+}
+
+/**
+ * POST /api/plans/:id/<file> for the open version and save the response
+ * under the file name sent by the server
+ */
+async function downloadPlanFile(file, label) {
+    if (!state.currentPlan) {
+        alert(`Salve o plano antes de exportar em ${label}.`);
+        return;
+    }
+
+    try {
+        const { id, version } = state.currentPlan;
+        const response = await fetch(`${API_BASE}/plans/${id}/${file}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ version })
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            alert(`❌ ${result.message || 'Erro ao exportar plano'}`);
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = /filename="([^"]+)"/.exec(disposition);
+        const link = document.createElement('a');
+        link.setAttribute('href', URL.createObjectURL(await response.blob()));
+        link.setAttribute('download', match ? match[1] : `plano_${id}.${file.split('.').pop()}`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    } catch (error) {
+        console.error(`Erro ao exportar ${label}:`, error);
+        alert('Erro de conexão ao exportar plano');
+    }
 }
 
-async function loadPlan(planId) {
+/**
+ * Re-import an edited CSV/XLSX export of the open plan: the server matches
+ * the rows, returns a preview of the changes and, once confirmed, saves them
+ * as a new version, which is then loaded in the editor
+ */
+async function importPlanFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !state.currentPlan) return;
+
+    const { id } = state.currentPlan;
+    const send = async (query) => {
+        const response = await fetch(`${API_BASE}/plans/${id}/import?fileName=${encodeURIComponent(file.name)}&${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        return response.json();
+    };
+
     try {
-        const response = await fetch(`${API_BASE}/plans/${planId}`);
+        const preview = await send('preview=1');
+        if (!preview.success) throw new Error(preview.message);
+
+        if (preview.changedRows === 0) {
+            alert(`ℹ️ Nenhuma alteração em ${file.name}.\n\n${describeImport(preview)}`);
+            return;
+        }
+        if (!confirm(`${describeImport(preview)}\n\nSalvar como nova versão do plano? Alterações não salvas no editor serão descartadas.`)) return;
+
+        const result = await send(`baseVersion=${preview.baseVersion}`);
+        if (!result.success) throw new Error(result.message);
+
+        await loadPlan(id);
+        alert(`✅ ${result.message}`);
+    } catch (error) {
+        console.error('Erro ao importar planilha:', error);
+        alert('❌ Erro ao importar planilha: ' + error.message);
+    }
+}
+
+// Text preview of an import: counts, changed rows, unmatched rows and warnings
+function describeImport(preview) {
+    const MAX_LINES = 12;
+    const percent = value => `${Math.round((value || 0) * 1000) / 10}%`;
+    const lines = [
+        `📄 ${preview.fileName} (sobre a v${preview.baseVersion}): ${preview.rows} linha(s) lidas, ${preview.matched} reconhecidas, ${preview.changedRows} alterada(s)`
+    ];
+
+    const changes = [];
+    ((preview.diff && preview.diff.blocks) || []).forEach(block => {
+        block.rows.forEach(row => {
+            const details = row.changes.map(change => {
+                if (change.field === 'week') return `S${change.week} ${change.from} → ${change.to}`;
+                if (change.field === 'discount') return `desconto ${percent(change.from)} → ${percent(change.to)}`;
+                return `tabela ${formatCurrency(change.from)} → ${formatCurrency(change.to)}`;
+            });
+            changes.push(`• Recorte ${block.blockId} (${block.praca}) · ${row.exibidores} / ${row.formato}: ${details.join('; ')}`);
+        });
+    });
+    lines.push(...changes.slice(0, MAX_LINES));
+    if (changes.length > MAX_LINES) lines.push(`… e mais ${changes.length - MAX_LINES}`);
+
+    if (preview.diff && preview.diff.delta) {
+        lines.push(`Δ faces: ${formatNumber(preview.diff.delta.faces)} · Δ investimento: ${formatCurrency(preview.diff.delta.investment)}`);
+    }
+    if (preview.unmatchedCount > 0) {
+        lines.push('', `⚠️ ${preview.unmatchedCount} linha(s) sem correspondência no plano (ignoradas):`);
+        preview.unmatched.slice(0, 5).forEach(row => lines.push(`• Linha ${row.line}: ${row.exibidor} / ${row.formato} — ${row.reason}`));
+    }
+    if (preview.warnings.length > 0) {
+        lines.push('', '⚠️ Avisos:', ...preview.warnings.slice(0, 5).map(text => `• ${text}`));
+    }
+    return lines.join('\n');
+}
+
+async function loadPlan(planId, version = null) {
+    try {
+        const url = version ? `${API_BASE}/plans/${planId}/versions/${version}` : `${API_BASE}/plans/${planId}`;
+        const response = await fetch(url);
         const result = await response.json();
 
         if (result.success && result.plan) {
-            const planData = JSON.parse(result.plan.data);
+            state.currentPlan = {
+                id: result.plan.id,
+                name: result.plan.name,
+                version: result.plan.version || result.plan.current_version,
+                latestVersion: result.plan.current_version,
+                status: result.plan.status || 'draft'
+            };
+
+            // Parsed (and migrated to weekly arrays) by the server
+            const planData = result.plan.data;
             state.mediaBlocks = planData;
             state.nextBlockId = Math.max(...planData.map(b => b.id)) + 1;
             renderMediaBlocks();
@@ -1519,6 +2204,7 @@ async function loadPlan(planId) {
                     if (block.planningRows && block.planningRows.length > 0) {
                         // Saved plan already has planningRows – just mark as active and render
                         block.planningRows.forEach(row => {
+                            setRowWeekCount(row, getWeekCount(block));
                             row.totalFaces = normalizeTotalFaces(row);
                         });
                         recalculatePlanningRows(block);
@@ -1,25 +1,55 @@
+// ============================================
+// STATE
+// ============================================
+let allPlans = [];
+let currentUser = null;
+const MAX_COMPARE = 5;
+
+const PLAN_STATUS_LABELS = {
+    draft: 'Rascunho',
+    in_review: 'Em revisão',
+    approved: 'Aprovado',
+    rejected: 'Reprovado',
+    sent: 'Enviado aos veículos'
+};
+// Statuses in which the server refuses new versions
+const LOCKED_STATUSES = ['in_review', 'approved', 'sent'];
+// Compare selection: "planId" (current version) or "planId@version"
+const selectedIds = new Set();
+const versionsCache = {};
+
+// ============================================
+// INITIALIZATION
+// ============================================
 document.addEventListener('DOMContentLoaded', async () => {
-    // Check auth first
+    // Check auth
     try {
         const authResponse = await fetch('/api/check-auth');
         const authData = await authResponse.json();
 
-        if (!authData.authenticated) {
+        if (!authData.authenticated || authData.user.mustChangePassword) {
             window.location.href = '/login.html';
             return;
         }
 
-        // Update user greeting
-        const greeting = document.querySelector('.user-greeting');
-        if (greeting && authData.user) {
-            greeting.textContent = `Olá, ${authData.user.username}`;
+        // Show username
+        if (authData.user) {
+            currentUser = authData.user;
+            document.getElementById('statUser').textContent = authData.user.username;
+        }
+
+        // A share link (?share=token) adds the plan to this user's list
+        const shareToken = new URLSearchParams(window.location.search).get('share');
+        if (shareToken) {
+            await acceptShare(shareToken);
         }
 
         // Load plans
-        loadPlans();
+        await loadPlans();
 
     } catch (error) {
         console.error('Auth check failed:', error);
+        showError('Erro de conexão ao verificar autenticação.');
     }
 
     // Logout handler
@@ -31,53 +61,674 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.error('Logout failed:', error);
         }
     });
+
+    // Search handler
+    document.getElementById('searchInput').addEventListener('input', (e) => {
+        renderPlans(filterAndSort());
+    });
+
+    // Sort handler
+    document.getElementById('sortSelect').addEventListener('change', () => {
+        renderPlans(filterAndSort());
+    });
+
+    // Workspace filter
+    document.getElementById('workspaceSelect').addEventListener('change', () => {
+        renderPlans(filterAndSort());
+    });
+
+    // Compare handler (selection order = baseline first)
+    document.getElementById('btnCompare').addEventListener('click', () => {
+        window.location.href = `/compare.html?ids=${[...selectedIds].join(',')}`;
+    });
 });
 
+// ============================================
+// API
+// ============================================
 async function loadPlans() {
-    const tbody = document.getElementById('historyTableBody');
+    const container = document.getElementById('plansList');
 
     try {
         const response = await fetch('/api/plans');
         const data = await response.json();
 
+        // Approvers also see the plans other users submitted for review
+        if (data.success && currentUser && currentUser.canApprove) {
+            const queueResponse = await fetch('/api/plans/review-queue');
+            const queue = await queueResponse.json();
+            if (queue.success) {
+                const ownIds = new Set(data.plans.map(p => p.id));
+                data.plans.push(...queue.plans.filter(p => !ownIds.has(p.id)));
+            }
+        }
+
         if (data.success && data.plans.length > 0) {
-            tbody.innerHTML = '';
-
-            data.plans.forEach(plan => {
-                const date = new Date(plan.created_at).toLocaleString('pt-BR');
-
-                const row = document.createElement('tr');
-                row.innerHTML = `
-                    <td><strong>${plan.name}</strong></td>
-                    <td><span style="color: #888; font-family: monospace;">#${plan.id}</span></td>
-                    <td>${date}</td>
-                    <td style="text-align: right;">
-                        <button class="btn-load" onclick="loadPlan(${plan.id})">
-                            <span class="material-icons" style="font-size: 14px; vertical-align: middle;">edit</span>
-                            Editar
-                        </button>
-                    </td>
-                `;
-                tbody.appendChild(row);
-            });
+            allPlans = data.plans;
+            updateWorkspaceOptions();
+            updateStats();
+            renderPlans(filterAndSort());
         } else {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="4" class="empty-state">
-                        Nenhum plano salvo encontrado.<br>
-                        <a href="/" style="color: var(--primary); text-decoration: none; margin-top: 10px; display: inline-block;">Criar novo plano</a>
-                    </td>
-                </tr>
-            `;
+            allPlans = [];
+            updateStats();
+            showEmpty();
         }
     } catch (error) {
         console.error('Failed to load plans:', error);
-        tbody.innerHTML = `<tr><td colspan="4" class="empty-state" style="color: #ef4444;">Erro ao carregar planos: ${error.message}</td></tr>`;
+        showError(`Erro ao carregar planos: ${error.message}`);
+    }
+}
+
+async function acceptShare(token) {
+    try {
+        const response = await fetch(`/api/shares/${encodeURIComponent(token)}/accept`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        window.history.replaceState({}, '', '/history.html');
+        alert(`✅ Plano #${data.planId} compartilhado com você (${data.access === 'edit' ? 'edição' : 'leitura'}).`);
+    } catch (error) {
+        console.error('Failed to accept share link:', error);
+        alert(`❌ ${error.message}`);
     }
 }
 
-function loadPlan(id) {
+// ============================================
+// FILTERING & SORTING
+// ============================================
+function updateWorkspaceOptions() {
+    const select = document.getElementById('workspaceSelect');
+    const selected = select.value;
+    const names = [...new Set(allPlans.map(p => p.workspace_name).filter(Boolean))].sort();
+
+    select.innerHTML = '<option value="">Todos</option>' +
+        names.map(name => `<option value="${name}" ${name === selected ? 'selected' : ''}>${name}</option>`).join('');
+}
+
+function filterAndSort() {
+    const query = document.getElementById('searchInput').value.toLowerCase().trim();
+    const sort = document.getElementById('sortSelect').value;
+    const workspace = document.getElementById('workspaceSelect').value;
+
+    let filtered = [...allPlans];
+
+    // Filter by workspace
+    if (workspace) {
+        filtered = filtered.filter(p => p.workspace_name === workspace);
+    }
+
+    // Filter by search query
+    if (query) {
+        filtered = filtered.filter(p =>
+            (p.name || '').toLowerCase().includes(query)
+        );
+    }
+
+    // Sort
+    switch (sort) {
+        case 'newest':
+            filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+            break;
+        case 'oldest':
+            filtered.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            break;
+        case 'name':
+            filtered.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            break;
+        case 'name-desc':
+            filtered.sort((a, b) => (b.name || '').localeCompare(a.name || ''));
+            break;
+    }
+
+    return filtered;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderPlans(plans) {
+    const container = document.getElementById('plansList');
+
+    if (plans.length === 0) {
+        const query = document.getElementById('searchInput').value.trim();
+        if (query) {
+            container.innerHTML = `
+                <div class="empty-state-card">
+                    <span class="empty-state-icon">🔍</span>
+                    <div class="empty-state-title">Nenhum resultado encontrado</div>
+                    <div class="empty-state-text">Não há planos correspondentes à busca "${query}".</div>
+                </div>
+            `;
+        } else {
+            showEmpty();
+        }
+        return;
+    }
+
+    container.innerHTML = plans.map(plan => {
+        const date = new Date(plan.created_at);
+        const dateStr = date.toLocaleDateString('pt-BR', {
+            day: '2-digit', month: 'short', year: 'numeric'
+        });
+        const timeStr = date.toLocaleTimeString('pt-BR', {
+            hour: '2-digit', minute: '2-digit'
+        });
+
+        // Calculate relative time
+        const now = new Date();
+        const diffMs = now - date;
+        const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+        let relativeTime;
+        if (diffDays === 0) relativeTime = 'Hoje';
+        else if (diffDays === 1) relativeTime = 'Ontem';
+        else if (diffDays < 7) relativeTime = `${diffDays} dias atrás`;
+        else if (diffDays < 30) relativeTime = `${Math.floor(diffDays / 7)} sem. atrás`;
+        else relativeTime = `${Math.floor(diffDays / 30)} mês(es) atrás`;
+
+        return `
+            <div class="plan-card">
+                <div class="plan-card-left">
+                    <div class="plan-card-title">
+                        📋 ${plan.name || 'Plano sem nome'}
+                        <span class="plan-id-badge">#${plan.id}</span>
+                        <span class="plan-version-badge">v${plan.current_version || 1}</span>
+                        <span class="plan-status-badge status-${plan.status || 'draft'}">${PLAN_STATUS_LABELS[plan.status || 'draft']}${plan.status_version && plan.status !== 'draft' ? ` · v${plan.status_version}` : ''}</span>
+                    </div>
+                    <div class="plan-card-meta">
+                        <span class="plan-meta-item">
+                            <span class="plan-meta-icon">📅</span>
+                            ${dateStr} às ${timeStr}
+                        </span>
+                        <span class="plan-meta-item">
+                            <span class="plan-meta-icon">🕐</span>
+                            ${relativeTime}
+                        </span>
+                        ${plan.workspace_name ? `
+                        <span class="plan-meta-item">
+                            <span class="plan-meta-icon">🏢</span>
+                            ${plan.workspace_name}
+                        </span>` : ''}
+                        ${plan.owner || plan.created_by ? `
+                        <span class="plan-meta-item">
+                            <span class="plan-meta-icon">👤</span>
+                            ${plan.owner || plan.created_by}
+                        </span>` : ''}
+                        ${plan.access === 'read' ? '<span class="plan-meta-item">👁️ Somente leitura</span>' : ''}
+                    </div>
+                    ${plan.status === 'rejected' && plan.status_comment ? `<div class="plan-status-comment">💬 ${plan.status_comment}</div>` : ''}
+                </div>
+                <div class="plan-card-right">
+                    ${renderWorkflowActions(plan)}
+                    <label class="plan-compare-check">
+                        <input type="checkbox" ${selectedIds.has(String(plan.id)) ? 'checked' : ''}
+                            onchange="toggleCompare('${plan.id}', this)"> Comparar
+                    </label>
+                    ${plan.access === 'edit' ? `<button class="btn-versions" onclick="sharePlan(${plan.id})">🔗 Compartilhar</button>` : ''}
+                    ${['approved', 'sent'].includes(plan.status) ? `<button class="btn-versions" onclick="toggleInsertionOrders(${plan.id})">🧾 PIs</button>` : ''}
+                    <button class="btn-versions" onclick="toggleVersions(${plan.id})">
+                        🗂️ Versões
+                    </button>
+                    <button class="btn-open" onclick="openPlan(${plan.id})">
+                        ✏️ Abrir Plano
+                    </button>
+                </div>
+                <div class="plan-versions" id="planVersions${plan.id}" style="display: none;"></div>
+                <div class="plan-versions" id="planOrders${plan.id}" style="display: none;"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Workflow buttons available to the current user for a plan
+function renderWorkflowActions(plan) {
+    const status = plan.status || 'draft';
+    const permissions = (currentUser && currentUser.permissions) || [];
+    const canEdit = plan.access === 'edit';
+    const canReview = permissions.includes('plans:approve');
+    const button = (action, label) =>
+        `<button class="btn-workflow btn-workflow-${action}" onclick="changePlanStatus(${plan.id}, '${action}')">${label}</button>`;
+
+    const buttons = [];
+    if (canEdit && (status === 'draft' || status === 'rejected')) buttons.push(button('submit', '📤 Enviar p/ revisão'));
+    if (canReview && status === 'in_review') {
+        buttons.push(button('approve', '✅ Aprovar'));
+        buttons.push(button('reject', '❌ Reprovar'));
+    }
+    if (canEdit && status === 'approved') {
+        buttons.push(button('send', '🚚 Enviar aos veículos'));
+        buttons.push(button('reopen', '🔓 Reabrir'));
+    }
+    return buttons.join('');
+}
+
+function showEmpty() {
+    const container = document.getElementById('plansList');
+    container.innerHTML = `
+        <div class="empty-state-card">
+            <span class="empty-state-icon">📂</span>
+            <div class="empty-state-title">Nenhum plano salvo</div>
+            <div class="empty-state-text">Você ainda não salvou nenhum plano de mídia. Comece criando seu primeiro plano no editor.</div>
+            <a href="/" class="btn-create-plan">
+                ➕ Criar Novo Plano
+            </a>
+        </div>
+    `;
+}
+
+function showError(message) {
+    const container = document.getElementById('plansList');
+    container.innerHTML = `
+        <div class="error-state-card">
+            <span class="error-icon">⚠️</span>
+            <div class="error-title">Erro ao carregar</div>
+            <div class="error-text">${message}</div>
+        </div>
+    `;
+}
+
+function updateStats() {
+    document.getElementById('statTotal').textContent = allPlans.length;
+
+    if (allPlans.length > 0) {
+        // Find most recent
+        const sorted = [...allPlans].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        const latest = new Date(sorted[0].created_at);
+        document.getElementById('statLastDate').textContent = latest.toLocaleDateString('pt-BR', {
+            day: '2-digit', month: 'short', year: 'numeric'
+        });
+    } else {
+        document.getElementById('statLastDate').textContent = 'Nenhum';
+    }
+}
+
+// ============================================
+// VERSIONS
+// ============================================
+async function toggleVersions(planId) {
+    const container = document.getElementById(`planVersions${planId}`);
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = '<div class="plan-version-row">⏳ Carregando versões…</div>';
+    await loadVersions(planId);
+}
+
+async function loadVersions(planId) {
+    const container = document.getElementById(`planVersions${planId}`);
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/versions`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        versionsCache[planId] = data;
+        renderVersions(planId);
+    } catch (error) {
+        console.error('Failed to load versions:', error);
+        container.innerHTML = `<div class="plan-version-row">⚠️ Erro ao carregar versões: ${error.message}</div>`;
+    }
+}
+
+function renderVersions(planId) {
+    const { versions, currentVersion } = versionsCache[planId];
+    const container = document.getElementById(`planVersions${planId}`);
+    const plan = allPlans.find(p => p.id === planId);
+    const canRestore = plan && plan.access === 'edit' && !LOCKED_STATUSES.includes(plan.status);
+
+    const options = selected => versions.map(v =>
+        `<option value="${v.version}" ${v.version === selected ? 'selected' : ''}>v${v.version}</option>`
+    ).join('');
+    const toolbar = versions.length < 2 ? '' : `
+        <div class="plan-changelog-toolbar">
+            📝 Mudanças de
+            <select id="changelogFrom${planId}">${options(currentVersion - 1)}</select>
+            para
+            <select id="changelogTo${planId}">${options(currentVersion)}</select>
+            <button class="btn-versions" onclick="loadChangelog(${planId})">Ver mudanças</button>
+        </div>
+        <div class="plan-changelog" id="planChangelog${planId}"></div>
+    `;
+
+    container.innerHTML = toolbar + versions.map(v => {
+        const key = `${planId}@${v.version}`;
+        const date = new Date(v.created_at).toLocaleString('pt-BR', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const isCurrent = v.version === currentVersion;
+
+        return `
+            <div class="plan-version-row ${isCurrent ? 'current' : ''}">
+                <div class="plan-version-info">
+                    <strong>v${v.version}</strong>${isCurrent ? ' <span class="plan-version-current">atual</span>' : ''}
+                    · ${date} · ${v.created_by || '--'}
+                    ${v.name ? `· ${v.name}` : ''}
+                    ${v.note ? `<div class="plan-version-note">📝 ${v.note}</div>` : ''}
+                </div>
+                <div class="plan-version-actions">
+                    <label class="plan-compare-check">
+                        <input type="checkbox" ${selectedIds.has(key) ? 'checked' : ''}
+                            onchange="toggleCompare('${key}', this)"> Comparar
+                    </label>
+                    ${v.version > 1 ? `<button class="btn-versions" onclick="showChangesOf(${planId}, ${v.version})">Mudanças</button>` : ''}
+                    <button class="btn-versions" onclick="openPlan(${planId}, ${v.version})">Abrir</button>
+                    ${isCurrent || !canRestore ? '' : `<button class="btn-versions" onclick="restoreVersion(${planId}, ${v.version})">↩️ Restaurar</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function restoreVersion(planId, version) {
+    if (!confirm(`Restaurar a v${version}? Ela será salva como uma nova versão; o histórico é mantido.`)) return;
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/versions/${version}/restore`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        const plan = allPlans.find(p => p.id === planId);
+        if (plan) plan.current_version = data.version;
+        renderPlans(filterAndSort());
+
+        const container = document.getElementById(`planVersions${planId}`);
+        container.style.display = 'block';
+        await loadVersions(planId);
+    } catch (error) {
+        console.error('Failed to restore version:', error);
+        alert(`❌ Erro ao restaurar versão: ${error.message}`);
+    }
+}
+
+// ============================================
+// APPROVAL WORKFLOW
+// ============================================
+async function changePlanStatus(planId, action) {
+    let comment = null;
+
+    if (action === 'reject') {
+        comment = prompt('Motivo da reprovação:');
+        if (!comment || !comment.trim()) return;
+    } else if (action === 'approve') {
+        comment = prompt('Comentário da aprovação (opcional):', '');
+        if (comment === null) return;
+    } else {
+        const questions = {
+            submit: 'Enviar a versão atual para revisão? O plano ficará bloqueado para edição.',
+            send: 'Marcar o plano aprovado como enviado aos veículos?',
+            reopen: 'Reabrir o plano para edição? Ele precisará ser aprovado novamente.'
+        };
+        if (!confirm(questions[action])) return;
+    }
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ comment })
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        await loadPlans();
+    } catch (error) {
+        console.error(`Failed to ${action} plan:`, error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+// ============================================
+// SHARING
+// ============================================
+async function sharePlan(planId) {
+    const edit = confirm('Permitir edição pelo link?\n\nOK = leitura e edição · Cancelar = somente leitura');
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/shares`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ access: edit ? 'edit' : 'read' })
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        const url = `${window.location.origin}${data.url}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            alert(`🔗 Link copiado (${edit ? 'edição' : 'leitura'}):\n${url}`);
+        } catch (clipboardError) {
+            prompt('Copie o link de compartilhamento:', url);
+        }
+    } catch (error) {
+        console.error('Failed to share plan:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+// ============================================
+// CHANGE LOG
+// ============================================
+function showChangesOf(planId, version) {
+    document.getElementById(`changelogFrom${planId}`).value = version - 1;
+    document.getElementById(`changelogTo${planId}`).value = version;
+    loadChangelog(planId);
+}
+
+async function loadChangelog(planId) {
+    const from = document.getElementById(`changelogFrom${planId}`).value;
+    const to = document.getElementById(`changelogTo${planId}`).value;
+    const container = document.getElementById(`planChangelog${planId}`);
+
+    container.innerHTML = '⏳ Comparando versões…';
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/diff?from=${from}&to=${to}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        container.innerHTML = renderChangelog(data.diff);
+    } catch (error) {
+        console.error('Failed to load change log:', error);
+        container.innerHTML = `⚠️ ${error.message}`;
+    }
+}
+
+function renderChangelog(diff) {
+    const header = `
+        <div class="changelog-summary">
+            <strong>v${diff.from.version} → v${diff.to.version}</strong>
+            · Investimento ${formatSigned(diff.delta.investment, formatCurrency)}
+            · Faces ${formatSigned(diff.delta.faces, formatNumber)}
+            · Exposição ${formatSigned(diff.delta.exposure, formatNumber)}
+        </div>
+    `;
+
+    if (diff.blocks.length === 0) {
+        return header + '<div class="changelog-empty">Nenhuma mudança entre as versões.</div>';
+    }
+
+    return header + diff.blocks.map(block => {
+        const title = `Mídia ${block.blockId} · ${block.praca || '--'} / ${block.taxonomia || '--'}`;
+        const lines = [];
+
+        if (block.status === 'added') lines.push('➕ Mídia adicionada ao plano');
+        if (block.status === 'removed') lines.push('➖ Mídia removida do plano');
+        block.changes.forEach(change => lines.push(describeBlockChange(change)));
+        block.rows.forEach(row => lines.push(describeRowChange(row)));
+
+        return `
+            <div class="changelog-block">
+                <div class="changelog-block-title">${title}
+                    <span class="changelog-block-delta">${formatSigned(block.delta.investment, formatCurrency)}</span>
+                </div>
+                <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+            </div>
+        `;
+    }).join('');
+}
+
+function describeBlockChange(change) {
+    switch (change.field) {
+        case 'campaignCycle':
+            return `Ciclo de ${change.from} para ${change.to} semanas`;
+        case 'budget':
+            return `Budget de ${formatCurrency(change.from)} para ${formatCurrency(change.to)}`;
+        case 'praca':
+            return `Praça de ${change.from || '--'} para ${change.to || '--'}`;
+        case 'taxonomia':
+            return `Taxonomia de ${change.from || '--'} para ${change.to || '--'}`;
+        default:
+            return `${change.field}: ${change.from} → ${change.to}`;
+    }
+}
+
+function describeRowChange(row) {
+    const label = `<strong>${row.exibidores} · ${row.formato} (${row.material})</strong>`;
+
+    if (row.status === 'added') return `➕ ${label} adicionada com ${formatNumber(row.faces.to)} faces (${formatCurrency(row.delta.investment)})`;
+    if (row.status === 'removed') return `➖ ${label} removida (${formatNumber(row.faces.from)} faces, ${formatCurrency(-row.delta.investment)})`;
+
+    const details = [];
+    const weeks = row.changes.filter(c => c.field === 'week');
+    if (weeks.length > 0) {
+        details.push('faces ' + weeks.map(c => `S${c.week} ${c.from}→${c.to}`).join(', '));
+    }
+    row.changes.forEach(change => {
+        if (change.field === 'discount') {
+            details.push(`negociação ${formatPercent(change.from)} → ${formatPercent(change.to)}`);
+        }
+        if (change.field === 'tabela') {
+            const override = change.overridden ? ` (tabela da base: ${formatCurrency(change.base)})` : ' (volta ao preço da base)';
+            details.push(`tabela ${formatCurrency(change.from)} → ${formatCurrency(change.to)}${override}`);
+        }
+    });
+
+    return `✏️ ${label}: ${details.join('; ')} · ${formatSigned(row.delta.investment, formatCurrency)}`;
+}
+
+// ============================================
+// INSERTION ORDERS (Pedidos de Inserção)
+// ============================================
+async function toggleInsertionOrders(planId) {
+    const container = document.getElementById(`planOrders${planId}`);
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = '<div class="plan-version-row">⏳ Carregando pedidos de inserção…</div>';
+    await loadInsertionOrders(planId);
+}
+
+async function loadInsertionOrders(planId) {
+    const container = document.getElementById(`planOrders${planId}`);
+
+    try {
+        const response = await fetch(`/api/plans/${planId}/insertion-orders`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        renderInsertionOrders(planId, data);
+    } catch (error) {
+        console.error('Failed to load insertion orders:', error);
+        container.innerHTML = `<div class="plan-version-row">⚠️ Erro ao carregar pedidos de inserção: ${error.message}</div>`;
+    }
+}
+
+function renderInsertionOrders(planId, { orders, canIssue, statusVersion }) {
+    const container = document.getElementById(`planOrders${planId}`);
+    const plan = allPlans.find(p => p.id === planId);
+    const permissions = (currentUser && currentUser.permissions) || [];
+    const canWrite = plan && plan.access === 'edit' && permissions.includes('plans:write');
+    const issued = orders.some(o => o.plan_version === statusVersion);
+
+    const toolbar = canIssue && canWrite ? `
+        <div class="plan-changelog-toolbar">
+            🧾 Um pedido por exibidor da versão aprovada (v${statusVersion})
+            <button class="btn-versions" onclick="issueInsertionOrders(${planId})">${issued ? 'Atualizar PIs' : 'Emitir PIs'}</button>
+        </div>
+    ` : '';
+
+    if (orders.length === 0) {
+        container.innerHTML = toolbar + '<div class="plan-version-row">Nenhum pedido de inserção emitido.</div>';
+        return;
+    }
+
+    container.innerHTML = toolbar + orders.map(order => {
+        const url = `/api/plans/${planId}/insertion-orders/${encodeURIComponent(order.pi_number)}`;
+        return `
+            <div class="plan-version-row ${order.plan_version === statusVersion ? 'current' : ''}">
+                <div class="plan-version-info">
+                    <strong>${order.pi_number}</strong> · ${order.exibidor} · v${order.plan_version}
+                    · ${formatNumber(order.faces)} faces · ${formatCurrency(order.net_total)}
+                    · ${new Date(order.created_at).toLocaleDateString('pt-BR')} · ${order.created_by || '--'}
+                </div>
+                <div class="plan-version-actions">
+                    <a class="btn-versions" href="${url}.xlsx" download>📊 XLSX</a>
+                    <a class="btn-versions" href="${url}.pdf" download>📄 PDF</a>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function issueInsertionOrders(planId) {
+    try {
+        const response = await fetch(`/api/plans/${planId}/insertion-orders`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        await loadInsertionOrders(planId);
+    } catch (error) {
+        console.error('Failed to issue insertion orders:', error);
+        alert(`❌ Erro ao emitir pedidos de inserção: ${error.message}`);
+    }
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+function formatCurrency(value) {
+    return 'R$ ' + Number(value || 0).toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+}
+
+function formatNumber(value) {
+    return Number(value || 0).toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+}
+
+function formatPercent(value) {
+    return `${Number((value || 0) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+}
+
+function formatSigned(value, formatter) {
+    if (!value) return formatter(0);
+    return `<span class="delta ${value > 0 ? 'up' : 'down'}">${value > 0 ? '+' : '−'}${formatter(Math.abs(value))}</span>`;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+function toggleCompare(id, checkbox) {
+    if (checkbox.checked) {
+        if (selectedIds.size >= MAX_COMPARE) {
+            checkbox.checked = false;
+            alert(`Selecione no máximo ${MAX_COMPARE} planos para comparar.`);
+            return;
+        }
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+
+    document.getElementById('compareCount').textContent = `${selectedIds.size} selecionado(s)`;
+    document.getElementById('btnCompare').disabled = selectedIds.size < 2;
+}
+
+function openPlan(id, version = null) {
     if (confirm('Deseja carregar este plano? O trabalho atual não salvo será perdido.')) {
-        window.location.href = `/?planId=${id}`;
+        window.location.href = version ? `/?planId=${id}&version=${version}` : `/?planId=${id}`;
     }
 }
@@ -13,12 +13,14 @@ try {
     console.log('\n--- Inspecting User Database ---');
     const db = new Database(DB_PATH, { readonly: true });
 
-    const users = db.prepare('SELECT id, username, created_at, password_hash FROM users').all();
+    const users = db.prepare('SELECT id, username, role, disabled, created_at, password_hash FROM users').all();
 
     console.log(`\nFound ${users.length} user(s):`);
     console.table(users.map(u => ({
         id: u.id,
         username: u.username,
+        role: u.role,
+        disabled: Boolean(u.disabled),
         created_at: u.created_at,
         password_hash: u.password_hash.substring(0, 20) + '...'
     })));
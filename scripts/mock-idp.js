@@ -0,0 +1,163 @@
+/**
+ * Mock OpenID Connect identity provider for local/offline testing of SSO.
+ * NOT for production: users are fixed, there are no passwords and keys are
+ * generated at every start.
+ *
+ * Usage: npm run mock-idp   (listens on MOCK_IDP_PORT, default 4000)
+ * Then start the planner with:
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=ooh-planner OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_GROUP_ROLES=ooh-admins=admin,ooh-planners=planner,ooh-viewers=viewer,boticario-clientes=client-readonly
+ *
+ * The login page lists the users below; pick one to sign in as them.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'ooh-planner';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const USERS = [
+    { sub: 'u-1001', preferred_username: 'ana.souza', name: 'Ana Souza', email: 'ana.souza@agencia.example', groups: ['ooh-admins'] },
+    { sub: 'u-1002', preferred_username: 'bruno.lima', name: 'Bruno Lima', email: 'bruno.lima@agencia.example', groups: ['ooh-planners'] },
+    { sub: 'u-1003', preferred_username: 'carla.dias', name: 'Carla Dias', email: 'carla.dias@agencia.example', groups: ['ooh-viewers'] },
+    { sub: 'u-2001', preferred_username: 'diego.rocha', name: 'Diego Rocha', email: 'diego.rocha@boticario.example', groups: ['boticario-clientes'] },
+    { sub: 'u-9999', preferred_username: 'sem.acesso', name: 'Sem Acesso', email: 'sem.acesso@agencia.example', groups: ['financeiro'] }
+];
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const CODE_TTL = 60 * 1000;
+const TOKEN_TTL = 3600;
+
+// Authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+function signJwt(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID })}.${encode(claims)}`;
+    return `${input}.${crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+/**
+ * Login page: one button per mock user. `login_hint=<username>` skips the page (scripts/tests)
+ */
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge: challenge } = req.query;
+
+    if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+    if (responseType !== 'code' || !redirectUri || !challenge || req.query.code_challenge_method !== 'S256') {
+        return res.status(400).send('Expected response_type=code with a S256 code_challenge');
+    }
+
+    const hinted = USERS.find(u => u.preferred_username === req.query.login_hint);
+    if (hinted) return issueCode(req.query, hinted, res);
+
+    const hidden = Object.entries(req.query)
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join('');
+
+    res.send(`<!DOCTYPE html>
+<html lang="pt-BR"><head><meta charset="UTF-8"><title>Mock IdP</title>
+<style>body{font-family:sans-serif;max-width:480px;margin:3rem auto}button{display:block;width:100%;margin:.5rem 0;padding:.75rem;text-align:left;cursor:pointer}small{color:#666}</style>
+</head><body>
+<h2>🧪 Mock IdP — escolha um usuário</h2>
+${USERS.map(user => `<form method="post" action="/authorize">${hidden}
+<button name="user" value="${user.sub}">${escapeHtml(user.name)} (${escapeHtml(user.preferred_username)})<br><small>grupos: ${user.groups.join(', ')}</small></button></form>`).join('')}
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const user = USERS.find(u => u.sub === req.body.user);
+    if (!user || req.body.client_id !== CLIENT_ID) return res.status(400).send('Invalid request');
+    issueCode(req.body, user, res);
+});
+
+function issueCode(params, user, res) {
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+        user,
+        redirectUri: params.redirect_uri,
+        challenge: params.code_challenge,
+        nonce: params.nonce,
+        expires: Date.now() + CODE_TTL
+    });
+
+    const url = new URL(params.redirect_uri);
+    url.searchParams.set('code', code);
+    if (params.state) url.searchParams.set('state', params.state);
+    console.log(`🧪 Code issued for ${user.preferred_username}`);
+    res.redirect(url.toString());
+}
+
+app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret, code_verifier: verifier } = req.body;
+    const entry = codes.get(code);
+    codes.delete(code);
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (grantType !== 'authorization_code' || !entry || entry.expires < Date.now() || entry.redirectUri !== redirectUri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (crypto.createHash('sha256').update(verifier || '').digest('base64url') !== entry.challenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, entry.user);
+
+    res.json({
+        token_type: 'Bearer',
+        access_token: accessToken,
+        expires_in: TOKEN_TTL,
+        id_token: signJwt({
+            iss: ISSUER,
+            aud: CLIENT_ID,
+            iat: now,
+            exp: now + TOKEN_TTL,
+            nonce: entry.nonce,
+            ...entry.user
+        })
+    });
+});
+
+app.get('/userinfo', (req, res) => {
+    const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    if (!user) return res.status(401).json({ error: 'invalid_token' });
+    res.json(user);
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock IdP em ${ISSUER} (client_id=${CLIENT_ID}, client_secret=${CLIENT_SECRET})`);
+    console.log(`   Usuários: ${USERS.map(u => `${u.preferred_username} [${u.groups.join(', ')}]`).join('; ')}`);
+});
@@ -7,13 +7,26 @@ const path = require('path');
 const bigQueryService = require('./services/bigquery-service');
 const sqliteService = require('./services/sqlite-service'); // Fallback
 const authService = require('./services/auth-service');
+const workspaceService = require('./services/workspace-service');
+const tokenService = require('./services/token-service');
+const auditService = require('./services/audit-service');
+const insertionOrderService = require('./services/insertion-order-service');
+const inventorySnapshotService = require('./services/inventory-snapshot-service');
+const budgetOptimizer = require('./services/budget-optimizer');
+const SQLiteSessionStore = require('./services/session-store');
+const OidcStrategy = require('./services/oidc-strategy');
+const { config: authConfig, validateConfig: validateAuthConfig } = require('./config/auth-config');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 // const DB_PATH = path.join(__dirname, 'database/ooh_planner.db'); // Removed
 
-// Initialize Auth Service
+// Initialize Auth Service (and workspaces/API tokens/audit log/insertion orders, stored in the same database)
 authService.initialize();
+workspaceService.initialize();
+tokenService.initialize();
+auditService.initialize();
+insertionOrderService.initialize();
 
 // Middleware
 app.use(cors());
@@ -22,24 +35,131 @@ app.use(express.urlencoded({ extended: true })); // For parsing form data
 app.use(express.static('public'));
 
 // Session Middleware
-app.use(session({
-    secret: 'boticario_ooh_planner_secret_key_change_in_prod',
+// Sessions live in database/sessions.db; the cookie is renewed on every
+// request (rolling), so it expires after `idleTimeout` without activity
+validateAuthConfig();
+if (authConfig.trustProxy) app.set('trust proxy', 1);
+
+// Single sign-on strategies (login page shows one button per strategy)
+if (authConfig.oidc) {
+    authService.registerStrategy(new OidcStrategy(authConfig.oidc), authConfig.oidc);
+}
+
+const sessionStore = new SQLiteSessionStore({ ttl: authConfig.idleTimeout });
+const sessionMiddleware = session({
+    store: sessionStore,
+    name: authConfig.cookieName,
+    secret: authConfig.sessionSecret,
     resave: false,
     saveUninitialized: false,
+    rolling: true,
     cookie: {
-        secure: false, // Set to true if using HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        httpOnly: true,
+        secure: authConfig.cookieSecure,
+        sameSite: authConfig.cookieSameSite,
+        maxAge: authConfig.idleTimeout
     }
-}));
+});
+
+// Requests with an API token (Authorization: Bearer ooh_…) never get a session
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+};
+app.use((req, res, next) => (getBearerToken(req) ? next() : sessionMiddleware(req, res, next)));
+
+/**
+ * Start a fresh session for a user (new session id, so an id known before
+ * login is useless afterwards)
+ */
+function startSession(req, user, callback) {
+    req.session.regenerate(err => {
+        if (err) return callback(err);
+        req.session.user = authService.toSessionUser(user);
+        req.session.loginAt = Date.now();
+        req.session.save(callback);
+    });
+}
+
+// Public signup is on unless ALLOW_PUBLIC_SIGNUP=false; admins create accounts via /api/admin/users
+const ALLOW_PUBLIC_SIGNUP = process.env.ALLOW_PUBLIC_SIGNUP !== 'false';
+
+// Routes still available while a password change is pending
+const PASSWORD_CHANGE_ROUTES = ['/api/change-password', '/api/logout-all'];
 
 // Auth Middleware
+// The user is re-read on every request so role changes and disabled accounts apply immediately.
+// An API token authenticates as its user with permissions limited to the token's scopes;
+// req.session then only holds that user (nothing is stored).
 const isAuthenticated = (req, res, next) => {
-    if (req.session && req.session.user) {
+    const bearer = getBearerToken(req);
+    if (bearer) {
+        const token = tokenService.verifyToken(bearer, req.ip);
+        const user = token && authService.getUserById(token.userId);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Token inválido ou revogado' });
+        }
+        if (user.must_change_password) {
+            return res.status(403).json({ error: 'PasswordChangeRequired', message: 'Troque sua senha para continuar' });
+        }
+        const sessionUser = authService.toSessionUser(user);
+        sessionUser.permissions = sessionUser.permissions.filter(p => token.scopes.includes(p));
+        sessionUser.canApprove = false;
+        req.apiToken = token;
+        req.session = { user: sessionUser };
         return next();
     }
+
+    if (req.session && req.session.user) {
+        const user = authService.getUserById(req.session.user.id);
+        const expired = Date.now() - (req.session.loginAt || 0) > authConfig.absoluteTimeout;
+        if (user && !user.disabled && !expired) {
+            req.session.user = authService.toSessionUser(user);
+            if (user.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+                return res.status(403).json({ error: 'PasswordChangeRequired', message: 'Troque sua senha para continuar' });
+            }
+            return next();
+        }
+        req.session.destroy();
+    }
     res.status(401).json({ error: 'Unauthorized', message: 'Please log in' });
 };
 
+/**
+ * Append an entry for the current request to the audit log (user, route
+ * pattern, IP and whether it came from a session or an API token)
+ * @param {Object} [entry] - { planId, before, after, detail }
+ */
+function audit(req, action, { planId = null, before = null, after = null, detail = null } = {}) {
+    const user = req.session && req.session.user;
+    auditService.record({
+        action,
+        userId: user ? user.id : null,
+        username: user ? user.username : null,
+        route: `${req.method} ${req.route ? req.route.path : req.path}`,
+        planId,
+        ip: req.ip,
+        via: req.apiToken ? `token:${req.apiToken.name}` : 'session',
+        detail,
+        before,
+        after
+    });
+}
+
+// Account routes (password, sessions, tokens) need a browser session, not an API token
+const requireSession = (req, res, next) => {
+    if (!req.apiToken) return next();
+    res.status(403).json({ error: 'Forbidden', message: 'Rota indisponível para tokens de API' });
+};
+
+// Permission Middleware (after isAuthenticated)
+const requirePermission = (permission) => (req, res, next) => {
+    if (req.session.user.permissions.includes(permission)) {
+        return next();
+    }
+    res.status(403).json({ error: 'Forbidden', message: 'Permissão insuficiente' });
+};
+
 // Inicializar banco de dados
 // Migration to BigQuery: We assume BigQuery service handles connection natively
 console.log('✅ Configurado para usar BigQuery (com fallback SQLite)');
@@ -65,31 +185,70 @@ let usingSQLiteFallback = false;
 // AUTH ENDPOINTS
 // ============================================
 
+// 400 listing what the password policy rejected
+function passwordPolicyError(res, problems) {
+    return res.status(400).json({ success: false, message: `Senha fraca: ${problems.join(', ')}`, problems });
+}
+
+// 403 when username/password login is turned off (SSO only)
+function rejectIfLocalLoginDisabled(res) {
+    if (authConfig.localLogin) return false;
+    res.status(403).json({ success: false, message: 'Login com senha desativado. Use o login corporativo (SSO).' });
+    return true;
+}
+
 app.post('/login', (req, res) => {
+    if (rejectIfLocalLoginDisabled(res)) return;
     const { username, password } = req.body;
 
-    const user = authService.verifyUser(username, password);
+    const result = authService.authenticate(username, password, req.ip);
 
-    if (user) {
-        req.session.user = { id: user.id, username: user.username };
-        res.json({ success: true, user: req.session.user });
-    } else {
+    if (result.user) {
+        startSession(req, result.user, err => {
+            if (err) return res.status(500).json({ success: false, message: 'Erro ao iniciar sessão' });
+            res.json({ success: true, user: req.session.user, mustChangePassword: req.session.user.mustChangePassword });
+        });
+    } else if (result.error === 'invalid') {
         res.status(401).json({ success: false, message: 'Credenciais inválidas' });
+    } else {
+        const minutes = Math.ceil(result.retryAfter / 60);
+        res.set('Retry-After', String(result.retryAfter));
+        res.status(429).json({
+            success: false,
+            message: result.error === 'locked'
+                ? `Conta bloqueada por excesso de tentativas. Tente novamente em ${minutes} min.`
+                : `Muitas tentativas deste endereço. Tente novamente em ${minutes} min.`,
+            retryAfter: result.retryAfter
+        });
     }
 });
 
 app.post('/signup', (req, res) => {
+    if (rejectIfLocalLoginDisabled(res)) return;
+    if (!ALLOW_PUBLIC_SIGNUP) {
+        return res.status(403).json({ success: false, message: 'Cadastro desativado. Solicite uma conta ao administrador.' });
+    }
+
     const { username, password } = req.body;
 
     if (!username || !password) {
         return res.status(400).json({ success: false, message: 'Usuário e senha são obrigatórios' });
     }
+    if (authService.countRecentEvents('signup', req.ip, 60) >= authConfig.signupMaxPerIp) {
+        res.set('Retry-After', '3600');
+        return res.status(429).json({ success: false, message: 'Muitos cadastros deste endereço. Tente novamente mais tarde.' });
+    }
+    const problems = authService.validatePassword(password, username);
+    if (problems.length > 0) return passwordPolicyError(res, problems);
 
     try {
         const userId = authService.createUser(username, password);
+        authService.logAuthEvent('signup', { userId, username, ip: req.ip });
         // Auto login after signup
-        req.session.user = { id: userId, username };
-        res.json({ success: true, message: 'Usuário criado com sucesso!', user: req.session.user });
+        startSession(req, authService.getUserById(userId), err => {
+            if (err) return res.status(500).json({ success: false, message: 'Erro ao iniciar sessão' });
+            res.json({ success: true, message: 'Usuário criado com sucesso!', user: req.session.user });
+        });
     } catch (error) {
         if (error.message.includes('UNIQUE constraint failed')) {
             return res.status(409).json({ success: false, message: 'Usuário já existe' });
@@ -98,17 +257,358 @@ app.post('/signup', (req, res) => {
     }
 });
 
+/**
+ * GET /auth/:strategy/login
+ * Start single sign-on: redirect to the identity provider
+ */
+app.get('/auth/:strategy/login', async (req, res) => {
+    const strategy = authService.getStrategy(req.params.strategy);
+    if (!strategy) return res.status(404).send('Login strategy not found');
+
+    try {
+        const { url, pending } = await strategy.createLoginRequest();
+        req.session.authRequest = { strategy: strategy.name, ...pending, createdAt: Date.now() };
+        req.session.save(() => res.redirect(url));
+    } catch (error) {
+        console.error(`❌ SSO (${strategy.name}) indisponível:`, error.message);
+        res.redirect('/login.html?error=sso_unavailable');
+    }
+});
+
+/**
+ * GET /auth/:strategy/callback
+ * Identity provider redirect: verify the response, provision the user (JIT)
+ * with the role from their groups, and start the session
+ */
+app.get('/auth/:strategy/callback', async (req, res) => {
+    const strategy = authService.getStrategy(req.params.strategy);
+    if (!strategy) return res.status(404).send('Login strategy not found');
+
+    const pending = req.session.authRequest;
+    delete req.session.authRequest;
+    const fail = (code, detail, username = null) => {
+        authService.logAuthEvent('sso_failure', { username, ip: req.ip, detail: `${strategy.name}: ${detail}` });
+        res.redirect(`/login.html?error=${code}`);
+    };
+
+    // Login attempts left open for more than 10 minutes are discarded
+    if (!pending || pending.strategy !== strategy.name || Date.now() - pending.createdAt > 10 * 60 * 1000) {
+        return fail('sso', 'no pending login request');
+    }
+
+    try {
+        const profile = await strategy.handleCallback(req.query, pending);
+        const result = authService.provisionExternalUser(strategy.name, profile);
+        if (result.error) return fail(result.error, `${result.error} (groups: ${profile.groups.join(', ') || '-'})`, profile.username);
+
+        authService.logAuthEvent('login_success', { userId: result.user.id, username: result.user.username, ip: req.ip, detail: strategy.name });
+        startSession(req, result.user, err => {
+            if (err) return res.redirect('/login.html?error=sso');
+            res.redirect('/');
+        });
+    } catch (error) {
+        console.error(`❌ SSO (${strategy.name}) falhou:`, error.message);
+        fail('sso', error.message);
+    }
+});
+
 app.post('/logout', (req, res) => {
-    req.session.destroy();
-    res.json({ success: true });
+    const user = req.session && req.session.user;
+    if (user) authService.logAuthEvent('logout', { userId: user.id, username: user.username, ip: req.ip });
+
+    req.session.destroy(() => {
+        res.clearCookie(authConfig.cookieName);
+        res.json({ success: true });
+    });
+});
+
+/**
+ * POST /api/logout-all
+ * End every session of the current user (all browsers/devices)
+ */
+app.post('/api/logout-all', isAuthenticated, requireSession, (req, res) => {
+    const count = sessionStore.destroyUserSessions(req.session.user.id);
+    req.session.destroy(() => {
+        res.clearCookie(authConfig.cookieName);
+        res.json({ success: true, message: `${count} sessão(ões) encerrada(s)`, sessions: count });
+    });
+});
+
+/**
+ * POST /api/change-password
+ * Change the current user's password (required after a reset or for the seeded admin)
+ * Body: { currentPassword, newPassword }
+ */
+app.post('/api/change-password', isAuthenticated, requireSession, (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.session.user;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ success: false, message: 'Senha atual e nova senha são obrigatórias' });
+    }
+    if (currentPassword === newPassword) {
+        return res.status(400).json({ success: false, message: 'A nova senha deve ser diferente da atual' });
+    }
+    if (user.authProvider !== 'local') {
+        return res.status(400).json({ success: false, message: 'A senha desta conta é gerenciada pelo login corporativo (SSO)' });
+    }
+    const problems = authService.validatePassword(newPassword, user.username);
+    if (problems.length > 0) return passwordPolicyError(res, problems);
+
+    if (!authService.changePassword(user.id, currentPassword, newPassword)) {
+        return res.status(401).json({ success: false, message: 'Senha atual incorreta' });
+    }
+    authService.logAuthEvent('password_change', { userId: user.id, username: user.username, ip: req.ip });
+
+    // Other sessions of this user end; this one continues with the new password
+    sessionStore.destroyUserSessions(user.id);
+    startSession(req, authService.getUserById(user.id), err => {
+        if (err) return res.status(500).json({ success: false, message: 'Erro ao iniciar sessão' });
+        res.json({ success: true, message: 'Senha alterada com sucesso', user: req.session.user });
+    });
 });
 
 app.get('/api/check-auth', (req, res) => {
     if (req.session && req.session.user) {
         res.json({ authenticated: true, user: req.session.user });
     } else {
-        res.json({ authenticated: false });
+        res.json({
+            authenticated: false,
+            localLogin: authConfig.localLogin,
+            signupEnabled: ALLOW_PUBLIC_SIGNUP && authConfig.localLogin,
+            strategies: authService.listStrategies()
+        });
+    }
+});
+
+// ============================================
+// API TOKENS
+// ============================================
+
+/**
+ * GET /api/tokens
+ * The current user's API tokens (name, scopes, last use), plus the scopes they may grant
+ */
+app.get('/api/tokens', isAuthenticated, requireSession, (req, res) => {
+    const user = req.session.user;
+    res.json({
+        success: true,
+        scopes: tokenService.TOKEN_SCOPES.filter(scope => user.permissions.includes(scope)),
+        tokens: tokenService.listTokens(user.id)
+    });
+});
+
+/**
+ * POST /api/tokens
+ * Create a token; it is returned once and sent as "Authorization: Bearer <token>"
+ * Body: { name, scopes: ['inventory:read' | 'plans:read' | 'plans:write'] }
+ */
+app.post('/api/tokens', isAuthenticated, requireSession, (req, res) => {
+    const { name, scopes } = req.body;
+    const user = req.session.user;
+
+    if (!name || !String(name).trim()) {
+        return res.status(400).json({ success: false, message: 'Nome do token é obrigatório' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ success: false, message: 'Selecione ao menos um escopo' });
+    }
+    const invalid = scopes.filter(scope => !tokenService.TOKEN_SCOPES.includes(scope) || !user.permissions.includes(scope));
+    if (invalid.length > 0) {
+        return res.status(400).json({ success: false, message: `Escopos não permitidos: ${invalid.join(', ')}` });
+    }
+
+    try {
+        const token = tokenService.createToken(user.id, String(name).trim(), [...new Set(scopes)]);
+        audit(req, 'token.create', { after: { id: token.id, name: token.name, scopes: token.scopes } });
+        res.json({ success: true, message: 'Token criado. Copie-o agora: ele não será exibido novamente.', token });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Erro ao criar token' });
+    }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a token of the current user
+ */
+app.delete('/api/tokens/:id', isAuthenticated, requireSession, (req, res) => {
+    if (!tokenService.revokeToken(req.session.user.id, req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Token não encontrado' });
+    }
+    audit(req, 'token.revoke', { detail: { tokenId: Number(req.params.id) } });
+    res.json({ success: true, message: 'Token revogado' });
+});
+
+// ============================================
+// USER MANAGEMENT (ADMIN)
+// ============================================
+
+/**
+ * GET /api/admin/users
+ * List all accounts with role and status
+ */
+app.get('/api/admin/users', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    res.json({ success: true, roles: authService.ROLES, users: authService.listUsers() });
+});
+
+/**
+ * POST /api/admin/users
+ * Create an account
+ * Body: { username, password, role, canApprove? }
+ */
+app.post('/api/admin/users', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    const { username, password, role = 'planner', canApprove = false } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Usuário e senha são obrigatórios' });
+    }
+    if (!authService.ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Perfil inválido (use ${authService.ROLES.join(', ')})` });
+    }
+    const problems = authService.validatePassword(password, username);
+    if (problems.length > 0) return passwordPolicyError(res, problems);
+
+    try {
+        // The admin picks an initial password; the user replaces it at first login
+        const userId = authService.createUser(username, password, role, canApprove, true);
+        audit(req, 'user.create', { after: { id: Number(userId), username, role, canApprove: Boolean(canApprove) } });
+        res.json({ success: true, message: 'Usuário criado com sucesso!', user: authService.listUsers().find(u => u.id === userId) });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return res.status(409).json({ success: false, message: 'Usuário já existe' });
+        }
+        res.status(500).json({ success: false, message: 'Erro ao criar usuário' });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id
+ * Change role, disable/enable an account or toggle the approver flag
+ * Body: { role?, disabled?, canApprove? }
+ */
+app.patch('/api/admin/users/:id', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    const { role, disabled, canApprove } = req.body;
+    const target = authService.getUserById(req.params.id);
+
+    if (!target) {
+        return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+    if (role !== undefined && !authService.ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Perfil inválido (use ${authService.ROLES.join(', ')})` });
+    }
+
+    // Never leave the system without an active administrator
+    const losesAdmin = target.role === 'admin' && !target.disabled &&
+        ((role !== undefined && role !== 'admin') || disabled === true);
+    if (losesAdmin && authService.countActiveAdmins(target.id) === 0) {
+        return res.status(409).json({ success: false, message: 'É necessário manter ao menos um administrador ativo' });
     }
+
+    try {
+        const user = authService.updateUser(target.id, { role, disabled, canApprove });
+        if (disabled === true) sessionStore.destroyUserSessions(target.id);
+        audit(req, 'user.update', {
+            before: { id: target.id, username: target.username, role: target.role, disabled: Boolean(target.disabled), canApprove: Boolean(target.can_approve) },
+            after: { id: user.id, username: user.username, role: user.role, disabled: user.disabled, canApprove: user.can_approve }
+        });
+        res.json({ success: true, message: 'Usuário atualizado', user });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Erro ao atualizar usuário' });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/logout-all
+ * End every session of a user
+ */
+app.post('/api/admin/users/:id/logout-all', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    const count = sessionStore.destroyUserSessions(req.params.id);
+    audit(req, 'user.logout_all', { detail: { userId: Number(req.params.id), sessions: count } });
+    res.json({ success: true, message: `${count} sessão(ões) encerrada(s)`, sessions: count });
+});
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Set a new password (body { password }) or generate a temporary one, returned once;
+ * the user's open sessions end, a lockout is cleared and a password change is required at next login
+ */
+app.post('/api/admin/users/:id/reset-password', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    const target = authService.getUserById(req.params.id);
+    if (target && target.auth_provider !== 'local') {
+        return res.status(400).json({ success: false, message: 'A senha desta conta é gerenciada pelo login corporativo (SSO)' });
+    }
+    if (req.body.password) {
+        const problems = authService.validatePassword(req.body.password, target ? target.username : '');
+        if (problems.length > 0) return passwordPolicyError(res, problems);
+    }
+
+    try {
+        const password = authService.resetPassword(req.params.id, req.body.password || null);
+        if (!password) {
+            return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+        }
+        sessionStore.destroyUserSessions(req.params.id);
+        audit(req, 'user.reset_password', { detail: { userId: Number(req.params.id), generated: !req.body.password } });
+
+        res.json({
+            success: true,
+            message: 'Senha redefinida',
+            ...(req.body.password ? {} : { temporaryPassword: password })
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Erro ao redefinir senha' });
+    }
+});
+
+/**
+ * GET /api/admin/auth-events
+ * Login history: successes, failures, lockouts, signups and password changes
+ * Query: ?username=&event=&limit=
+ */
+app.get('/api/admin/auth-events', isAuthenticated, requirePermission('users:manage'), (req, res) => {
+    const { username, event, limit } = req.query;
+    res.json({ success: true, events: authService.getAuthEvents({ username, event, limit }) });
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+/**
+ * GET /api/audit
+ * Audit log, newest first (admins). Query: ?username=&userId=&action= (or prefix: plan.*)
+ * &planId=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=; &format=csv downloads every matching entry
+ */
+app.get('/api/audit', isAuthenticated, requirePermission('system:manage'), (req, res) => {
+    const { username, userId, action, planId, from, to, limit, offset, format } = req.query;
+    const filters = { username, userId, action, planId, from, to, limit, offset };
+
+    if (format === 'csv') {
+        audit(req, 'audit.export', { detail: filters });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="auditoria_${Date.now()}.csv"`);
+        return res.send('\ufeff' + auditService.exportCsv(filters));
+    }
+
+    res.json({ success: true, ...auditService.query(filters) });
+});
+
+// Actions the browser reports itself (exports generated client-side)
+const CLIENT_AUDIT_ACTIONS = ['plan.export_csv'];
+
+/**
+ * POST /api/audit/events
+ * Record a client-side action in the audit log
+ * Body: { action, planId?, detail? }
+ */
+app.post('/api/audit/events', isAuthenticated, (req, res) => {
+    const { action, planId, detail } = req.body;
+    if (!CLIENT_AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, message: 'Ação não auditável' });
+    }
+
+    audit(req, action, { planId: Number(planId) || null, detail });
+    res.json({ success: true });
 });
 
 // ============================================
@@ -119,7 +619,7 @@ app.get('/api/check-auth', (req, res) => {
  * GET /api/filters
  * Retorna valores únicos para cada filtro
  */
-app.get('/api/filters', isAuthenticated, async (req, res) => {
+app.get('/api/filters', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
         const filters = await dataService.getFilters();
         res.json(filters);
@@ -133,7 +633,7 @@ app.get('/api/filters', isAuthenticated, async (req, res) => {
  * POST /api/filters/available
  * Retorna valores disponíveis para cada filtro baseado nas seleções atuais
  */
-app.post('/api/filters/available', isAuthenticated, async (req, res) => {
+app.post('/api/filters/available', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
         const { filters } = req.body;
         const availableOptions = await dataService.getAvailableFilters(filters);
@@ -148,7 +648,7 @@ app.post('/api/filters/available', isAuthenticated, async (req, res) => {
  * POST /api/calculate
  * Calcula totais baseado em filtros e inputs do usuário
  */
-app.post('/api/calculate', isAuthenticated, async (req, res) => {
+app.post('/api/calculate', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
         const { filters, seletor_qtd, seletor_desc } = req.body;
 
@@ -186,10 +686,12 @@ app.post('/api/calculate', isAuthenticated, async (req, res) => {
  * POST /api/optimize-budget
  * NEW: Budget-driven optimization endpoint
  * Receives budget and campaign cycle, returns optimal face allocation
+ * Optional `solver`: 'greedy' (default) or 'exact' (branch-and-bound)
+ * Optional `constraints`: { shares, mandatory, banned } planner rules (forces the exact solver)
  */
-app.post('/api/optimize-budget', isAuthenticated, async (req, res) => {
+app.post('/api/optimize-budget', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
-        const { budget, campaignCycle, filters = {} } = req.body;
+        const { budget, campaignCycle, filters = {}, solver = 'greedy', constraints } = req.body;
 
         // Validation
         if (!budget || budget <= 0) {
@@ -206,12 +708,18 @@ app.post('/api/optimize-budget', isAuthenticated, async (req, res) => {
             });
         }
 
+        if (!budgetOptimizer.SOLVERS.includes(solver)) {
+            return res.json({
+                status: 'error',
+                message: `Solver inválido (use ${budgetOptimizer.SOLVERS.join(' ou ')})`
+            });
+        }
+
         // Get filtered inventory from data service
         const inventory = await dataService.getInventory(filters);
 
         // Optimize budget allocation
-        const budgetOptimizer = require('./services/budget-optimizer');
-        const result = budgetOptimizer.optimizeAllocation(budget, campaignCycle, inventory);
+        const result = budgetOptimizer.optimizeAllocation(budget, campaignCycle, inventory, { solver, constraints });
 
         res.json(result);
 
@@ -229,10 +737,12 @@ app.post('/api/optimize-budget', isAuthenticated, async (req, res) => {
  * POST /api/get-ideal-plan
  * NEW: Get ideal plan recommendation based on 4 core inputs
  * Returns format-level recommendations with quantities
+ * Optional `solver`: 'greedy' (default) or 'exact' (branch-and-bound)
+ * Optional `constraints`: { shares, mandatory, banned } planner rules (forces the exact solver)
  */
-app.post('/api/get-ideal-plan', isAuthenticated, async (req, res) => {
+app.post('/api/get-ideal-plan', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
-        const { budget, campaignCycle, taxonomia, praca } = req.body;
+        const { budget, campaignCycle, taxonomia, praca, solver = 'greedy', constraints } = req.body;
 
         // Validation
         if (!budget || budget <= 0) {
@@ -263,6 +773,13 @@ app.post('/api/get-ideal-plan', isAuthenticated, async (req, res) => {
             });
         }
 
+        if (!budgetOptimizer.SOLVERS.includes(solver)) {
+            return res.json({
+                status: 'error',
+                message: `Solver inválido (use ${budgetOptimizer.SOLVERS.join(' ou ')})`
+            });
+        }
+
         // Get full inventory
         const inventory = await dataService.getInventory({});
 
@@ -273,7 +790,8 @@ app.post('/api/get-ideal-plan', isAuthenticated, async (req, res) => {
             campaignCycle,
             taxonomia,
             praca,
-            inventory
+            inventory,
+            { solver, constraints }
         );
 
         res.json(idealPlan);
@@ -289,135 +807,247 @@ app.post('/api/get-ideal-plan', isAuthenticated, async (req, res) => {
 });
 
 /**
- * POST /api/calculate-efficiency
- * NEW: Calculate efficiency metrics comparing manual vs ideal plan
+ * POST /api/flighting
+ * Distribute each planning row's faces over the weeks of the campaign cycle,
+ * respecting periodicidade and range_minimo/range_maximo per insertion
+ * Body: { campaignCycle, goal: 'continuous' | 'burst' | 'pulse', burstWeek?, rows: [...] }
  */
-app.post('/api/calculate-efficiency', isAuthenticated, async (req, res) => {
+app.post('/api/flighting', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
-        const { manualPlan, idealPlan } = req.body;
+        const { campaignCycle, goal = 'continuous', burstWeek, rows } = req.body;
 
-        if (!manualPlan || !idealPlan) {
-            return res.status(400).json({
+        if (!campaignCycle || campaignCycle <= 0) {
+            return res.json({
                 status: 'error',
-                message: 'Manual plan e ideal plan são obrigatórios'
+                message: 'Ciclo de campanha não definido ou inválido'
             });
         }
 
-        const recommendationService = require('./services/recommendation-service');
-        const efficiency = recommendationService.calculateEfficiency(manualPlan, idealPlan);
+        const flightingService = require('./services/flighting-service');
+        const calendar = flightingService.buildCalendar(rows, parseInt(campaignCycle), { goal, burstWeek });
 
-        res.json(efficiency);
+        res.json(calendar);
 
     } catch (err) {
-        console.error('Erro ao calcular eficiência:', err);
+        console.error('Erro ao distribuir semanas:', err);
         res.status(500).json({
             status: 'error',
-            error: 'Erro ao calcular eficiência',
+            error: 'Erro ao distribuir semanas',
             message: err.message
         });
     }
 });
 
 /**
- * POST /api/get-player-list
- * NEW: Generate detailed player/format list based on manual adjustments
+ * POST /api/national-allocation
+ * Split one national budget across praças/taxonomias, maximizing total
+ * peso-weighted exposure; reports the marginal exposure per extra real
+ * Body: { totalBudget, campaignCycle, pracas: [{ praca, taxonomia, minBudget?, maxBudget? }], steps? }
  */
-app.post('/api/get-player-list', isAuthenticated, async (req, res) => {
+app.post('/api/national-allocation', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
-        const { manualPlan, idealPlan } = req.body;
+        const { totalBudget, campaignCycle, pracas, steps } = req.body;
 
-        if (!manualPlan || !idealPlan) {
-            return res.status(400).json({
+        if (!totalBudget || totalBudget <= 0) {
+            return res.json({
                 status: 'error',
-                message: 'Manual plan e ideal plan são obrigatórios'
+                message: 'Budget total não definido ou inválido'
             });
         }
 
-        const recommendationService = require('./services/recommendation-service');
-        const playerList = recommendationService.generatePlayerList(manualPlan, idealPlan);
+        if (!campaignCycle || campaignCycle <= 0) {
+            return res.json({
+                status: 'error',
+                message: 'Ciclo de campanha não definido ou inválido'
+            });
+        }
 
-        res.json({
-            status: 'success',
-            playerList
-        });
+        const inventory = await dataService.getInventory({});
+
+        const nationalAllocator = require('./services/national-allocator');
+        const allocation = nationalAllocator.allocate(totalBudget, pracas, campaignCycle, inventory, { steps });
+
+        res.json(allocation);
 
     } catch (err) {
-        console.error('Erro ao gerar lista de players:', err);
+        console.error('Erro ao distribuir budget nacional:', err);
         res.status(500).json({
             status: 'error',
-            error: 'Erro ao gerar lista de players',
+            error: 'Erro ao distribuir budget nacional',
             message: err.message
         });
     }
 });
 
 /**
- * POST /api/get-planning-data
- * Returns inventory grouped by exibidor+formato for the planning table
+ * POST /api/budget-frontier
+ * Sweep budget levels for a praça/taxonomia/cycle and return the efficient
+ * frontier of budget vs. exposure plus its knee point
+ * Optional: minBudget, maxBudget, steps (default 12), solver (default 'exact'), constraints
  */
-app.post('/api/get-planning-data', isAuthenticated, async (req, res) => {
+app.post('/api/budget-frontier', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
-        const { taxonomia, praca, formato, exibidores } = req.body;
+        const { campaignCycle, taxonomia, praca, minBudget, maxBudget, steps, solver = 'exact', constraints } = req.body;
 
-        if (!taxonomia || !praca) {
-            return res.status(400).json({
+        if (!campaignCycle || campaignCycle <= 0) {
+            return res.json({
                 status: 'error',
-                message: 'Taxonomia e Praça são obrigatórios'
+                message: 'Ciclo de campanha não definido ou inválido'
             });
         }
 
-        // Get filtered inventory
-        const filters = { taxonomia, praca };
-        if (formato) filters.formato = formato;
-        if (exibidores) filters.exibidores = exibidores;
-        const inventory = await dataService.getInventory(filters);
+        if (!taxonomia || !praca) {
+            return res.json({
+                status: 'error',
+                message: 'Praça e taxonomia são obrigatórias'
+            });
+        }
 
-        if (!inventory || inventory.length === 0) {
+        if (!budgetOptimizer.SOLVERS.includes(solver)) {
             return res.json({
-                status: 'success',
-                rows: [],
-                message: 'Nenhum inventário encontrado'
+                status: 'error',
+                message: `Solver inválido (use ${budgetOptimizer.SOLVERS.join(' ou ')})`
             });
         }
 
-        // Detect circuit/package rows:
-        // A row is a circuit if it has a circuito field, if formato contains 'circuito', 'pacote', or
-        // 'full', OR if quantidade == 1 while range_minimo == range_maximo and that value > 1
-        // (meaning 1 buyable unit = many faces).
-        const detectCircuito = (item) => {
-            if (item.circuito) return item.circuito;
-            const fLower = (item.formato || '').toLowerCase();
-            if (fLower.includes('circuito') || fLower.includes('pacote') || fLower.includes(' full')) {
-                return item.formato;
-            }
-            const rMin = item.range_minimo;
-            const rMax = item.range_maximo;
-            const qty = item.quantidade;
-            if (qty === 1 && rMin > 1 && rMin === rMax) return item.formato;
-            return null;
-        };
+        const inventory = await dataService.getInventory({});
 
-        // Group by exibidores + formato + material type
-        const groups = {};
-        inventory.forEach(item => {
-            const materialType = item.digital ? 'DIG' : (item.estatico ? 'EST' : 'N/A');
-            const key = `${item.exibidores}|||${item.formato}|||${materialType}`;
-            if (!groups[key]) {
-                const detectedCircuito = detectCircuito(item);
-                groups[key] = {
-                    exibidores: item.exibidores,
-                    formato: item.formato,
-                    circuito: detectedCircuito,
-                    ranking: item.ranking,
+        const recommendationService = require('./services/recommendation-service');
+        const frontierService = require('./services/frontier-service');
+        const filteredInventory = recommendationService.filterInventory(inventory, taxonomia, praca);
+
+        const frontier = frontierService.computeFrontier(filteredInventory, campaignCycle, {
+            minBudget,
+            maxBudget,
+            steps,
+            solver,
+            constraints
+        });
+
+        res.json({ taxonomia, praca, ...frontier });
+
+    } catch (err) {
+        console.error('Erro ao calcular fronteira de budget:', err);
+        res.status(500).json({
+            status: 'error',
+            error: 'Erro ao calcular fronteira de budget',
+            message: err.message
+        });
+    }
+});
+
+/**
+ * POST /api/calculate-efficiency
+ * NEW: Calculate efficiency metrics comparing manual vs ideal plan
+ */
+app.post('/api/calculate-efficiency', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const { manualPlan, idealPlan } = req.body;
+
+        if (!manualPlan || !idealPlan) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Manual plan e ideal plan são obrigatórios'
+            });
+        }
+
+        const recommendationService = require('./services/recommendation-service');
+        const efficiency = recommendationService.calculateEfficiency(manualPlan, idealPlan);
+
+        res.json(efficiency);
+
+    } catch (err) {
+        console.error('Erro ao calcular eficiência:', err);
+        res.status(500).json({
+            status: 'error',
+            error: 'Erro ao calcular eficiência',
+            message: err.message
+        });
+    }
+});
+
+/**
+ * POST /api/get-player-list
+ * NEW: Generate detailed player/format list based on manual adjustments
+ */
+app.post('/api/get-player-list', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const { manualPlan, idealPlan } = req.body;
+
+        if (!manualPlan || !idealPlan) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Manual plan e ideal plan são obrigatórios'
+            });
+        }
+
+        const recommendationService = require('./services/recommendation-service');
+        const playerList = recommendationService.generatePlayerList(manualPlan, idealPlan);
+
+        res.json({
+            status: 'success',
+            playerList
+        });
+
+    } catch (err) {
+        console.error('Erro ao gerar lista de players:', err);
+        res.status(500).json({
+            status: 'error',
+            error: 'Erro ao gerar lista de players',
+            message: err.message
+        });
+    }
+});
+
+/**
+ * POST /api/get-planning-data
+ * Returns inventory grouped by exibidor+formato for the planning table,
+ * with the base week profile (`weeks`) stretched to `campaignCycle` weeks
+ */
+app.post('/api/get-planning-data', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const { taxonomia, praca, formato, exibidores } = req.body;
+        const campaignCycle = parseInt(req.body.campaignCycle) || 4;
+
+        if (!taxonomia || !praca) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Taxonomia e Praça são obrigatórios'
+            });
+        }
+
+        // Get filtered inventory
+        const filters = { taxonomia, praca };
+        if (formato) filters.formato = formato;
+        if (exibidores) filters.exibidores = exibidores;
+        const inventory = await dataService.getInventory(filters);
+
+        if (!inventory || inventory.length === 0) {
+            return res.json({
+                status: 'success',
+                rows: [],
+                message: 'Nenhum inventário encontrado'
+            });
+        }
+
+        // Group by exibidores + formato + material type
+        const groups = {};
+        inventory.forEach(item => {
+            const materialType = item.digital ? 'DIG' : (item.estatico ? 'EST' : 'N/A');
+            const key = `${item.exibidores}|||${item.formato}|||${materialType}`;
+            if (!groups[key]) {
+                const detectedCircuito = budgetOptimizer.detectCircuito(item);
+                groups[key] = {
+                    exibidores: item.exibidores,
+                    formato: item.formato,
+                    circuito: detectedCircuito,
+                    ranking: item.ranking,
                     pesos: item.pesos,
                     periodicidade: item.periodicidade || null,
                     digital: 0,
                     estatico: 0,
                     totalFaces: 0,
-                    s1: 0,
-                    s2: 0,
-                    s3: 0,
-                    s4: 0,
+                    weeks: new Array(campaignCycle).fill(0),
                     unitario_bruto_tabela: 0,
                     desconto: 0,
                     unitario_bruto_negociado: 0,
@@ -433,13 +1063,12 @@ app.post('/api/get-planning-data', isAuthenticated, async (req, res) => {
             }
             const g = groups[key];
             if (!g.circuito) {
-                g.circuito = detectCircuito(item);
+                g.circuito = budgetOptimizer.detectCircuito(item);
             }
             g.totalFaces += (item.quantidade || 0);
-            g.s1 += (item.s1 || 0);
-            g.s2 += (item.s2 || 0);
-            g.s3 += (item.s3 || 0);
-            g.s4 += (item.s4 || 0);
+            // The base profile covers 4 weeks (s1..s4); longer cycles repeat it
+            const baseWeeks = [item.s1, item.s2, item.s3, item.s4];
+            g.weeks.forEach((_, i) => { g.weeks[i] += (baseWeeks[i % 4] || 0); });
             g.digital = Math.max(g.digital, item.digital || 0);
             g.estatico = Math.max(g.estatico, item.estatico || 0);
             g.unitario_bruto_tabela += (item.unitario_bruto_tabela || 0);
@@ -487,10 +1116,7 @@ app.post('/api/get-planning-data', isAuthenticated, async (req, res) => {
                 index: Math.round(index * 100) / 100,
                 digital: g.digital,
                 estatico: g.estatico,
-                s1: g.s1,
-                s2: g.s2,
-                s3: g.s3,
-                s4: g.s4,
+                weeks: g.weeks,
                 unitario_bruto_tabela: Math.round(avgTabela * 100) / 100,
                 desconto: Math.round(avgDesconto * 100) / 100,
                 unitario_bruto_negociado: Math.round(avgNegociado * 100) / 100,
@@ -510,6 +1136,7 @@ app.post('/api/get-planning-data', isAuthenticated, async (req, res) => {
 
         res.json({
             status: 'success',
+            campaignCycle,
             rows,
             totalRows: rows.length,
             totalFaces: rows.reduce((s, r) => s + r.totalFaces, 0)
@@ -528,7 +1155,7 @@ app.post('/api/get-planning-data', isAuthenticated, async (req, res) => {
  * POST /api/inventory
  * Retorna inventário filtrado (para tabela consolidada)
  */
-app.post('/api/inventory', isAuthenticated, async (req, res) => {
+app.post('/api/inventory', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
         const { filters } = req.body;
         const results = await dataService.getInventory(filters);
@@ -543,7 +1170,7 @@ app.post('/api/inventory', isAuthenticated, async (req, res) => {
  * GET /api/stats
  * Retorna estatísticas do banco de dados
  */
-app.get('/api/stats', isAuthenticated, async (req, res) => {
+app.get('/api/stats', isAuthenticated, requirePermission('inventory:read'), async (req, res) => {
     try {
         const stats = await dataService.getStats();
         res.json(stats);
@@ -553,11 +1180,98 @@ app.get('/api/stats', isAuthenticated, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/inventory/snapshots
+ * Inventory snapshots created by the importers, newest first (active flag,
+ * source file, hash, row count, validation summary)
+ */
+app.get('/api/inventory/snapshots', isAuthenticated, requirePermission('inventory:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            keep: inventorySnapshotService.keep,
+            dataSource: usingSQLiteFallback ? 'sqlite' : 'bigquery',
+            snapshots: inventorySnapshotService.list()
+        });
+    } catch (err) {
+        console.error('Erro ao listar snapshots:', err);
+        res.status(500).json({ success: false, message: 'Erro ao listar snapshots do inventário' });
+    }
+});
+
+/**
+ * GET /api/inventory/diff?from=&to=
+ * Compare two inventory snapshots (default: the active one and the one before
+ * it): new/removed media, price, range and peso changes, and the plans the
+ * user can see that buy changed or removed media
+ */
+app.get('/api/inventory/diff', isAuthenticated, requirePermission('inventory:read'), (req, res) => {
+    try {
+        const inventoryDiff = require('./services/inventory-diff');
+
+        const pair = inventorySnapshotService.resolvePair(req.query.from, req.query.to);
+        if (pair.error) return res.status(pair.status).json({ success: false, message: pair.error });
+
+        const from = inventorySnapshotService.readInventory(pair.from);
+        const to = inventorySnapshotService.readInventory(pair.to);
+        const failed = from.error ? from : (to.error ? to : null);
+        if (failed) return res.status(failed.status).json({ success: false, message: failed.error });
+
+        const diff = inventoryDiff.compare(from.rows, to.rows);
+
+        const user = req.session.user;
+        const plans = user.permissions.includes('plans:read')
+            ? workspaceService.getAccessiblePlans(user).map(plan => {
+                const full = authService.getPlanById(plan.id);
+                return full ? { ...plan, data: full.data } : null;
+            }).filter(Boolean)
+            : [];
+
+        res.json({
+            success: true,
+            from: from.snapshot,
+            to: to.snapshot,
+            ...diff,
+            affectedPlans: inventoryDiff.affectedPlans(diff, plans)
+        });
+    } catch (err) {
+        console.error('Erro ao comparar inventários:', err);
+        res.status(500).json({ success: false, message: 'Erro ao comparar snapshots do inventário' });
+    }
+});
+
+/**
+ * POST /api/inventory/snapshots/:id/activate
+ * Switch the live inventory to a snapshot (rollback). Admins only.
+ * Body: { force? } — required for a snapshot that failed validation
+ */
+app.post('/api/inventory/snapshots/:id/activate', isAuthenticated, requirePermission('system:manage'), async (req, res) => {
+    try {
+        const result = inventorySnapshotService.activate(req.params.id, {
+            by: req.session.user.username,
+            force: req.body && req.body.force === true
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        if (usingSQLiteFallback) await sqliteService.ensureCurrent();
+
+        audit(req, 'inventory.activate', {
+            detail: { snapshot: result.snapshot.id, previous: result.previous, rows: result.snapshot.rows, source: result.snapshot.source }
+        });
+        res.json({ success: true, snapshot: result.snapshot, previous: result.previous });
+    } catch (err) {
+        console.error('Erro ao ativar snapshot:', err);
+        res.status(500).json({ success: false, message: 'Erro ao ativar snapshot do inventário' });
+    }
+});
+
 /**
  * POST /api/bigquery/store
  * Store planning data to BigQuery
  */
-app.post('/api/bigquery/store', isAuthenticated, async (req, res) => {
+app.post('/api/bigquery/store', isAuthenticated, requirePermission('plans:write'), async (req, res) => {
     try {
         const { activeBlocks, totalBudget, planName } = req.body;
 
@@ -575,6 +1289,10 @@ app.post('/api/bigquery/store', isAuthenticated, async (req, res) => {
             totalBudget,
             planName
         });
+        audit(req, 'bigquery.store', {
+            after: { planName, totalBudget, ...auditService.snapshotPlan({ data: activeBlocks }) },
+            detail: { success: result && result.success !== false }
+        });
 
         res.json(result);
 
@@ -587,21 +1305,73 @@ app.post('/api/bigquery/store', isAuthenticated, async (req, res) => {
     }
 });
 
+/**
+ * Load a plan the logged-in user can access (workspace membership, share
+ * link, approver or admin), answering 404/403 otherwise
+ * @param {string} [level] - 'read' (default) or 'edit'
+ * @returns {Object|null} plan with its `access`, or null when the error response was already sent
+ */
+function getPlanAccess(req, res, planId, level = 'read') {
+    const plan = authService.getPlanById(planId);
+
+    if (!plan) {
+        res.status(404).json({ success: false, message: 'Plano não encontrado' });
+        return null;
+    }
+
+    const access = workspaceService.getPlanAccess(req.session.user, plan);
+    if (!access || (level === 'edit' && access !== 'edit')) {
+        res.status(403).json({ success: false, message: 'Acesso negado' });
+        return null;
+    }
+
+    plan.access = access;
+    return plan;
+}
+
+/**
+ * Refuse edits of a plan under review, approved or sent (409)
+ * @returns {boolean} true when the error response was sent
+ */
+function rejectIfLocked(res, plan) {
+    if (!authService.isPlanLocked(plan)) return false;
+
+    res.status(409).json({
+        success: false,
+        message: `Plano bloqueado para edição (status: ${plan.status}). Salve como um novo plano ou reabra-o.`,
+        status: plan.status
+    });
+    return true;
+}
+
 /**
  * POST /api/plans
- * Save a plan to the local user database
+ * Save a new plan (version 1) in a workspace the user can edit
+ * (default: their personal workspace)
  */
-app.post('/api/plans', isAuthenticated, (req, res) => {
+app.post('/api/plans', isAuthenticated, requirePermission('plans:write'), (req, res) => {
     try {
-        const { name, data } = req.body;
-        const userId = req.session.user.id;
+        const { name, data, workspaceId } = req.body;
+        const user = req.session.user;
 
         if (!name || !data) {
             return res.status(400).json({ success: false, message: 'Plan Name and Data are required' });
         }
 
-        const planId = authService.savePlan(userId, name, data);
-        res.json({ success: true, message: 'Plano salvo com sucesso!', planId });
+        let targetWorkspace = workspaceId ? Number(workspaceId) : null;
+        if (targetWorkspace) {
+            const memberRole = workspaceService.getMemberRole(targetWorkspace, user.id);
+            const isAdmin = user.permissions.includes('users:manage');
+            if (!workspaceService.getWorkspace(targetWorkspace) || (!isAdmin && (!memberRole || memberRole === 'viewer'))) {
+                return res.status(403).json({ success: false, message: 'Sem permissão para salvar neste workspace' });
+            }
+        } else {
+            targetWorkspace = workspaceService.getPersonalWorkspaceId(user.id);
+        }
+
+        const planId = authService.savePlan(user.id, name, data, req.body.note || null, targetWorkspace);
+        audit(req, 'plan.create', { planId, after: auditService.snapshotPlan(authService.getPlanById(planId)) });
+        res.json({ success: true, message: 'Plano salvo com sucesso!', planId, version: 1, workspaceId: targetWorkspace });
     } catch (error) {
         res.status(500).json({ success: false, message: 'Erro ao salvar plano' });
     }
@@ -609,12 +1379,11 @@ app.post('/api/plans', isAuthenticated, (req, res) => {
 
 /**
  * GET /api/plans
- * List plans for the current user
+ * List plans of all workspaces the user belongs to, plus plans shared with them
  */
-app.get('/api/plans', isAuthenticated, (req, res) => {
+app.get('/api/plans', isAuthenticated, requirePermission('plans:read'), (req, res) => {
     try {
-        const userId = req.session.user.id;
-        const plans = authService.getUserPlans(userId);
+        const plans = workspaceService.getAccessiblePlans(req.session.user);
         res.json({ success: true, plans });
     } catch (error) {
         console.error('Error fetching plans:', error);
@@ -622,28 +1391,721 @@ app.get('/api/plans', isAuthenticated, (req, res) => {
     }
 });
 
+/**
+ * GET /api/plans/review-queue
+ * Plans of all users waiting for approval (approvers only)
+ */
+app.get('/api/plans/review-queue', isAuthenticated, requirePermission('plans:approve'), (req, res) => {
+    try {
+        res.json({ success: true, plans: authService.getReviewQueue() });
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar planos em revisão' });
+    }
+});
+
 /**
  * GET /api/plans/:id
  * Get a specific plan
  */
-app.get('/api/plans/:id', isAuthenticated, (req, res) => {
+app.get('/api/plans/:id', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        audit(req, 'plan.load', { planId: plan.id, detail: { version: plan.current_version } });
+        res.json({ success: true, plan });
+    } catch (error) {
+        console.error('Error fetching plan:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar plano details' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/versions
+ * List the immutable versions of a plan (newest first)
+ */
+app.get('/api/plans/:id/versions', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        const versions = authService.getPlanVersions(plan.id);
+        res.json({ success: true, planId: plan.id, currentVersion: plan.current_version, versions });
+    } catch (error) {
+        console.error('Error fetching plan versions:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar versões do plano' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/versions/:version
+ * Get one version of a plan
+ */
+app.get('/api/plans/:id/versions/:version', isAuthenticated, requirePermission('plans:read'), (req, res) => {
     try {
-        const planId = req.params.id;
-        const plan = authService.getPlanById(planId);
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
 
-        if (!plan) {
-            return res.status(404).json({ success: false, message: 'Plano não encontrado' });
+        const version = authService.getPlanVersion(plan.id, parseInt(req.params.version));
+        if (!version) {
+            return res.status(404).json({ success: false, message: 'Versão não encontrada' });
         }
 
-        // Verify ownership (optional but recommended)
-        if (plan.user_id !== req.session.user.id) {
-            return res.status(403).json({ success: false, message: 'Acesso negado' });
+        audit(req, 'plan.load', { planId: plan.id, detail: { version: version.version } });
+        res.json({
+            success: true,
+            plan: { ...version, id: plan.id, current_version: plan.current_version, status: plan.status }
+        });
+    } catch (error) {
+        console.error('Error fetching plan version:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar versão do plano' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/import?fileName=&baseVersion=&preview=1
+ * Re-import an edited plan file (editor CSV export or XLSX export): quantities
+ * per week, discounts and tabela prices are matched to the plan by
+ * block + exibidor + formato + material (see services/plan-import.js).
+ * With `preview=1` only returns the diff against the current version;
+ * otherwise saves the result as a new version. The body is the raw file.
+ */
+const planFileBody = express.raw({ type: () => true, limit: '10mb' });
+app.post('/api/plans/:id/import', isAuthenticated, requirePermission('plans:write'), planFileBody, (req, res) => {
+    try {
+        const planAnalytics = require('./services/plan-analytics');
+        const planImport = require('./services/plan-import');
+        const plan = getPlanAccess(req, res, req.params.id, 'edit');
+        if (!plan || rejectIfLocked(res, plan)) return;
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, message: 'Envie o arquivo CSV ou XLSX no corpo da requisição' });
         }
 
-        res.json({ success: true, plan });
+        const preview = req.query.preview === '1' || req.query.preview === 'true';
+        const baseVersion = parseInt(req.query.baseVersion);
+        if (!preview && baseVersion && baseVersion !== plan.current_version) {
+            return res.status(409).json({
+                success: false,
+                message: `O plano mudou desde a prévia (v${baseVersion} → v${plan.current_version}). Gere a prévia novamente.`,
+                currentVersion: plan.current_version
+            });
+        }
+
+        const fileName = String(req.query.fileName || 'arquivo').slice(0, 200);
+        const result = planImport.apply(plan.data, req.body);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        const { data, ...report } = result;
+        const base = { ...plan, version: plan.current_version };
+        const diff = planAnalytics.diffVersions(base, { name: plan.name, version: plan.current_version + 1, data });
+
+        if (preview) {
+            return res.json({ success: true, preview: true, fileName, baseVersion: plan.current_version, ...report, diff });
+        }
+
+        if (report.changedRows === 0) {
+            return res.status(400).json({ success: false, message: 'Nenhuma alteração encontrada no arquivo', ...report });
+        }
+
+        const saved = authService.savePlanVersion(plan.id, req.session.user.id, data, { note: `Importado de ${fileName}` });
+        audit(req, 'plan.import', {
+            planId: plan.id,
+            before: auditService.snapshotPlan(plan),
+            after: auditService.snapshotPlan(authService.getPlanById(plan.id)),
+            detail: { fileName, layout: report.layout, changedRows: report.changedRows, unmatched: report.unmatchedCount }
+        });
+        res.json({
+            success: true,
+            message: `Versão v${saved.version} salva com ${report.changedRows} linha(s) alterada(s)`,
+            ...saved,
+            ...report,
+            diff
+        });
     } catch (error) {
-        console.error('Error fetching plan:', error);
-        res.status(500).json({ success: false, message: 'Erro ao buscar plano details' });
+        console.error('Error importing plan file:', error);
+        res.status(500).json({ success: false, message: 'Erro ao importar arquivo do plano' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/diff?from=&to=
+ * Block- and row-level changes between two versions of a plan
+ * (defaults: to = current version, from = the one before it)
+ */
+app.get('/api/plans/:id/diff', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const planAnalytics = require('./services/plan-analytics');
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        const to = req.query.to ? parseInt(req.query.to) : plan.current_version;
+        const from = req.query.from ? parseInt(req.query.from) : to - 1;
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from === to) {
+            return res.status(400).json({ success: false, message: 'Informe duas versões diferentes (from e to)' });
+        }
+
+        const fromVersion = authService.getPlanVersion(plan.id, from);
+        const toVersion = authService.getPlanVersion(plan.id, to);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ success: false, message: 'Versão não encontrada' });
+        }
+
+        const diff = planAnalytics.diffVersions(fromVersion, toVersion);
+        if (diff.status === 'error') {
+            return res.status(500).json({ success: false, message: diff.message });
+        }
+
+        res.json({ success: true, planId: plan.id, diff });
+    } catch (error) {
+        console.error('Error diffing plan versions:', error);
+        res.status(500).json({ success: false, message: 'Erro ao comparar versões do plano' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/versions
+ * Save the editor state as a new version of an existing plan
+ * Body: { data, name?, note? }
+ */
+app.post('/api/plans/:id/versions', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    try {
+        const { data, name, note } = req.body;
+        if (!data) {
+            return res.status(400).json({ success: false, message: 'Plan Data is required' });
+        }
+
+        const plan = getPlanAccess(req, res, req.params.id, 'edit');
+        if (!plan || rejectIfLocked(res, plan)) return;
+
+        const saved = authService.savePlanVersion(plan.id, req.session.user.id, data, { name, note });
+        audit(req, 'plan.version', {
+            planId: plan.id,
+            before: auditService.snapshotPlan(plan),
+            after: auditService.snapshotPlan(authService.getPlanById(plan.id))
+        });
+        res.json({ success: true, message: `Versão v${saved.version} salva com sucesso!`, ...saved });
+    } catch (error) {
+        console.error('Error saving plan version:', error);
+        res.status(500).json({ success: false, message: 'Erro ao salvar versão do plano' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/versions/:version/restore
+ * Make an older version current again (appended as a new version)
+ */
+app.post('/api/plans/:id/versions/:version/restore', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id, 'edit');
+        if (!plan || rejectIfLocked(res, plan)) return;
+
+        const saved = authService.restorePlanVersion(plan.id, parseInt(req.params.version), req.session.user.id);
+        if (!saved) {
+            return res.status(404).json({ success: false, message: 'Versão não encontrada' });
+        }
+        audit(req, 'plan.restore', {
+            planId: plan.id,
+            before: auditService.snapshotPlan(plan),
+            after: auditService.snapshotPlan(authService.getPlanById(plan.id)),
+            detail: { restoredVersion: parseInt(req.params.version) }
+        });
+
+        res.json({ success: true, message: `v${req.params.version} restaurada como v${saved.version}`, ...saved });
+    } catch (error) {
+        console.error('Error restoring plan version:', error);
+        res.status(500).json({ success: false, message: 'Erro ao restaurar versão do plano' });
+    }
+});
+
+/**
+ * Regional and UF of each praça of a plan, from the inventory (for exports)
+ * @returns {Object} praça → { regional, uf }
+ */
+async function getPracaLocations(blocks) {
+    const locations = {};
+    const pracas = [...new Set((blocks || []).filter(b => b.active && b.praca).map(b => b.praca))];
+
+    for (const praca of pracas) {
+        try {
+            const [item] = await dataService.getInventory({ praca });
+            if (item) locations[praca] = { regional: item.regional_boticario, uf: item.uf };
+        } catch (error) {
+            console.warn(`⚠️  Regional/UF indisponível para ${praca}:`, error.message);
+        }
+    }
+    return locations;
+}
+
+/**
+ * POST /api/plans/:id/export.xlsx
+ * Download the plan as XLSX: summary sheet plus one PLAN sheet per block in the
+ * client's spreadsheet layout (see services/plan-export.js)
+ * Body: { version? } (default: current version)
+ */
+app.post('/api/plans/:id/export.xlsx', isAuthenticated, requirePermission('plans:read'), async (req, res) => {
+    try {
+        const planExport = require('./services/plan-export');
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        const requested = parseInt(req.body.version);
+        const version = requested ? authService.getPlanVersion(plan.id, requested) : null;
+        if (requested && !version) {
+            return res.status(404).json({ success: false, message: 'Versão não encontrada' });
+        }
+
+        const source = version
+            ? { ...version, status: plan.status }
+            : { ...plan, version: plan.current_version };
+        const buffer = planExport.toBuffer(source, await getPracaLocations(source.data));
+        const fileName = `${source.name.replace(/[^\w\-]+/g, '_')}_v${source.version}.xlsx`;
+
+        audit(req, 'plan.export_xlsx', { planId: plan.id, detail: { version: source.version } });
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error exporting plan to XLSX:', error);
+        res.status(500).json({ success: false, message: 'Erro ao exportar plano' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/proposal.pdf
+ * Download the client proposal as PDF: cover with KPIs, summary per praça,
+ * mix charts and one planning table per block (see services/plan-proposal.js)
+ * Body: { version? } (default: current version)
+ */
+app.post('/api/plans/:id/proposal.pdf', isAuthenticated, requirePermission('plans:read'), async (req, res) => {
+    try {
+        const planProposal = require('./services/plan-proposal');
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        const requested = parseInt(req.body.version);
+        const version = requested ? authService.getPlanVersion(plan.id, requested) : null;
+        if (requested && !version) {
+            return res.status(404).json({ success: false, message: 'Versão não encontrada' });
+        }
+
+        const source = version
+            ? { ...version, status: plan.status }
+            : { ...plan, version: plan.current_version };
+        const workspace = plan.workspace_id ? workspaceService.getWorkspace(plan.workspace_id) : null;
+        const buffer = await planProposal.render(source, {
+            workspace: workspace ? workspace.name : null,
+            author: req.session.user.username
+        });
+        const fileName = `Proposta_${source.name.replace(/[^\w\-]+/g, '_')}_v${source.version}.pdf`;
+
+        audit(req, 'plan.export_pdf', { planId: plan.id, detail: { version: source.version } });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating plan proposal PDF:', error);
+        res.status(500).json({ success: false, message: 'Erro ao gerar proposta em PDF' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/insertion-orders
+ * Pedidos de Inserção issued for a plan (one per exibidor and version)
+ */
+app.get('/api/plans/:id/insertion-orders', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        res.json({
+            success: true,
+            planId: plan.id,
+            status: plan.status,
+            statusVersion: plan.status_version,
+            canIssue: insertionOrderService.canIssue(plan),
+            orders: insertionOrderService.listOrders(plan.id)
+        });
+    } catch (error) {
+        console.error('Error fetching insertion orders:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar pedidos de inserção' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/insertion-orders
+ * Issue one Pedido de Inserção per exibidor of the approved version, with
+ * sequential PI numbers. Issuing again keeps the numbers already given.
+ */
+app.post('/api/plans/:id/insertion-orders', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id, 'edit');
+        if (!plan) return;
+
+        if (!insertionOrderService.canIssue(plan)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Pedidos de inserção só podem ser emitidos para planos aprovados',
+                status: plan.status
+            });
+        }
+
+        const result = insertionOrderService.issueOrders(plan, req.session.user.id);
+        if (result.orders.filter(o => o.plan_version === result.version).length === 0) {
+            return res.status(400).json({ success: false, message: 'A versão aprovada não tem mídias com faces' });
+        }
+
+        if (result.created > 0) {
+            audit(req, 'plan.insertion_orders', {
+                planId: plan.id,
+                detail: {
+                    version: result.version,
+                    orders: result.orders.filter(o => o.plan_version === result.version).map(o => `${o.pi_number} ${o.exibidor}`)
+                }
+            });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error issuing insertion orders:', error);
+        res.status(500).json({ success: false, message: 'Erro ao emitir pedidos de inserção' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/insertion-orders/:number.(xlsx|pdf)
+ * Download a Pedido de Inserção, rebuilt from the plan version it was issued from
+ */
+app.get('/api/plans/:id/insertion-orders/:number.:format(xlsx|pdf)', isAuthenticated, requirePermission('plans:read'), async (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        const order = insertionOrderService.getOrder(plan.id, req.params.number);
+        const document = order ? insertionOrderService.getOrderDocument(plan, order) : null;
+        if (!document) {
+            return res.status(404).json({ success: false, message: 'Pedido de inserção não encontrado' });
+        }
+
+        const pdf = req.params.format === 'pdf';
+        const buffer = pdf ? await insertionOrderService.toPdf(document) : insertionOrderService.toXlsx(document);
+        const fileName = `${order.pi_number}_${order.exibidor.replace(/[^\w\-]+/g, '_')}.${req.params.format}`;
+
+        audit(req, 'plan.export_pi', { planId: plan.id, detail: { piNumber: order.pi_number, format: req.params.format } });
+        res.setHeader('Content-Type', pdf ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error exporting insertion order:', error);
+        res.status(500).json({ success: false, message: 'Erro ao exportar pedido de inserção' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/reviews
+ * Workflow trail of a plan (submissions, approvals, rejections), newest first
+ */
+app.get('/api/plans/:id/reviews', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const plan = getPlanAccess(req, res, req.params.id);
+        if (!plan) return;
+
+        res.json({
+            success: true,
+            planId: plan.id,
+            status: plan.status,
+            statusVersion: plan.status_version,
+            reviews: authService.getPlanReviews(plan.id)
+        });
+    } catch (error) {
+        console.error('Error fetching plan reviews:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar histórico de aprovação' });
+    }
+});
+
+/**
+ * POST /api/plans/:id/submit | approve | reject | send | reopen
+ * Approval workflow transitions. Submit/send/reopen need edit access to the
+ * plan; approve/reject belong to approvers, and a rejection needs a comment.
+ * Body: { comment? }
+ */
+const transitionMessages = {
+    submit: 'Plano enviado para revisão',
+    approve: 'Plano aprovado',
+    reject: 'Plano reprovado',
+    send: 'Plano enviado aos veículos',
+    reopen: 'Plano reaberto para edição'
+};
+
+Object.keys(authService.PLAN_TRANSITIONS).forEach(action => {
+    const transition = authService.PLAN_TRANSITIONS[action];
+    const permission = transition.reviewer ? 'plans:approve' : 'plans:write';
+
+    app.post(`/api/plans/:id/${action}`, isAuthenticated, requirePermission(permission), (req, res) => {
+        try {
+            const comment = (req.body.comment || '').trim() || null;
+            const user = req.session.user;
+
+            const plan = getPlanAccess(req, res, req.params.id, transition.reviewer ? 'read' : 'edit');
+            if (!plan) return;
+
+            if (action === 'reject' && !comment) {
+                return res.status(400).json({ success: false, message: 'Informe o motivo da reprovação' });
+            }
+
+            const result = authService.transitionPlan(plan.id, action, user.id, comment);
+            if (!result) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Ação '${action}' não permitida para um plano com status '${plan.status}'`,
+                    status: plan.status
+                });
+            }
+
+            audit(req, `plan.${action}`, {
+                planId: plan.id,
+                before: { status: plan.status },
+                after: { status: result.status, version: result.version },
+                detail: comment ? { comment } : null
+            });
+            res.json({ success: true, message: `${transitionMessages[action]} (v${result.version})`, ...result });
+        } catch (error) {
+            console.error(`Error on plan ${action}:`, error);
+            res.status(500).json({ success: false, message: 'Erro ao atualizar status do plano' });
+        }
+    });
+});
+
+// ============================================
+// WORKSPACES & SHARING
+// ============================================
+
+/**
+ * GET /api/workspaces
+ * Workspaces of the current user (admins: all), with their member role
+ */
+app.get('/api/workspaces', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        res.json({ success: true, workspaces: workspaceService.getUserWorkspaces(req.session.user) });
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ success: false, message: 'Erro ao buscar workspaces' });
+    }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace (e.g. one per client/brand); the creator becomes its manager
+ * Body: { name }
+ */
+app.post('/api/workspaces', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).json({ success: false, message: 'Informe o nome do workspace' });
+    }
+
+    try {
+        const workspaceId = workspaceService.createWorkspace(name, req.session.user.id);
+        audit(req, 'workspace.create', { after: { id: workspaceId, name } });
+        res.json({ success: true, message: 'Workspace criado', workspaceId });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return res.status(409).json({ success: false, message: 'Já existe um workspace com esse nome' });
+        }
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ success: false, message: 'Erro ao criar workspace' });
+    }
+});
+
+/**
+ * GET /api/workspaces/:id/members
+ * Members of a workspace (members and admins)
+ */
+app.get('/api/workspaces/:id/members', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    const user = req.session.user;
+    if (!workspaceService.getWorkspace(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Workspace não encontrado' });
+    }
+    if (!workspaceService.getMemberRole(req.params.id, user.id) && !user.permissions.includes('users:manage')) {
+        return res.status(403).json({ success: false, message: 'Acesso negado' });
+    }
+
+    res.json({ success: true, members: workspaceService.getMembers(req.params.id) });
+});
+
+/**
+ * POST /api/workspaces/:id/members
+ * Add a member or change their role (workspace managers and admins)
+ * Body: { username, role: 'manager' | 'editor' | 'viewer' }
+ */
+app.post('/api/workspaces/:id/members', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    const { username, role = 'editor' } = req.body;
+
+    if (!workspaceService.getWorkspace(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Workspace não encontrado' });
+    }
+    if (!workspaceService.canManageWorkspace(req.params.id, req.session.user)) {
+        return res.status(403).json({ success: false, message: 'Apenas gestores do workspace podem alterar membros' });
+    }
+    if (!workspaceService.MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Papel inválido (use ${workspaceService.MEMBER_ROLES.join(', ')})` });
+    }
+
+    const member = authService.getUserByUsername(username);
+    if (!member) {
+        return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+    }
+
+    try {
+        const previousRole = workspaceService.getMemberRole(req.params.id, member.id);
+        workspaceService.setMember(Number(req.params.id), member.id, role);
+        audit(req, 'workspace.member_set', {
+            before: previousRole ? { role: previousRole } : null,
+            after: { role },
+            detail: { workspaceId: Number(req.params.id), username: member.username }
+        });
+        res.json({ success: true, message: `${member.username} adicionado como ${role}`, members: workspaceService.getMembers(req.params.id) });
+    } catch (error) {
+        console.error('Error adding workspace member:', error);
+        res.status(500).json({ success: false, message: 'Erro ao adicionar membro' });
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Remove a member (workspace managers and admins); the last manager stays
+ */
+app.delete('/api/workspaces/:id/members/:userId', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    if (!workspaceService.canManageWorkspace(req.params.id, req.session.user)) {
+        return res.status(403).json({ success: false, message: 'Apenas gestores do workspace podem alterar membros' });
+    }
+
+    const members = workspaceService.getMembers(req.params.id);
+    const managers = members.filter(m => m.role === 'manager');
+    if (managers.length === 1 && managers[0].user_id === Number(req.params.userId)) {
+        return res.status(409).json({ success: false, message: 'O workspace precisa de ao menos um gestor' });
+    }
+
+    if (!workspaceService.removeMember(req.params.id, req.params.userId)) {
+        return res.status(404).json({ success: false, message: 'Membro não encontrado' });
+    }
+    audit(req, 'workspace.member_remove', { detail: { workspaceId: Number(req.params.id), userId: Number(req.params.userId) } });
+    res.json({ success: true, message: 'Membro removido', members: workspaceService.getMembers(req.params.id) });
+});
+
+/**
+ * POST /api/plans/:id/shares
+ * Create a share link for a plan (read or edit rights)
+ * Body: { access: 'read' | 'edit' }
+ */
+app.post('/api/plans/:id/shares', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    const access = req.body.access || 'read';
+    if (!workspaceService.SHARE_ACCESS.includes(access)) {
+        return res.status(400).json({ success: false, message: 'Acesso inválido (use read ou edit)' });
+    }
+
+    try {
+        const plan = getPlanAccess(req, res, req.params.id, 'edit');
+        if (!plan) return;
+
+        const share = workspaceService.createShare(plan.id, access, req.session.user.id);
+        audit(req, 'plan.share_create', { planId: plan.id, after: { shareId: share.id, access } });
+        res.json({ success: true, ...share, url: `/history.html?share=${share.token}` });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ success: false, message: 'Erro ao criar link de compartilhamento' });
+    }
+});
+
+/**
+ * GET /api/plans/:id/shares
+ * Share links of a plan, including revoked ones
+ */
+app.get('/api/plans/:id/shares', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    const plan = getPlanAccess(req, res, req.params.id, 'edit');
+    if (!plan) return;
+
+    res.json({ success: true, shares: workspaceService.getShares(plan.id) });
+});
+
+/**
+ * DELETE /api/plans/:id/shares/:shareId
+ * Revoke a share link; users who joined through it lose that access
+ */
+app.delete('/api/plans/:id/shares/:shareId', isAuthenticated, requirePermission('plans:write'), (req, res) => {
+    const plan = getPlanAccess(req, res, req.params.id, 'edit');
+    if (!plan) return;
+
+    if (!workspaceService.revokeShare(plan.id, req.params.shareId)) {
+        return res.status(404).json({ success: false, message: 'Link não encontrado ou já revogado' });
+    }
+    audit(req, 'plan.share_revoke', { planId: plan.id, detail: { shareId: Number(req.params.shareId) } });
+    res.json({ success: true, message: 'Link revogado' });
+});
+
+/**
+ * POST /api/shares/:token/accept
+ * Redeem a share link: the plan shows up in the user's history
+ */
+app.post('/api/shares/:token/accept', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const share = workspaceService.acceptShare(req.params.token, req.session.user.id);
+        if (!share) {
+            return res.status(404).json({ success: false, message: 'Link inválido ou revogado' });
+        }
+        audit(req, 'plan.share_accept', { planId: share.planId, detail: { access: share.access } });
+        res.json({ success: true, ...share });
+    } catch (error) {
+        console.error('Error accepting share link:', error);
+        res.status(500).json({ success: false, message: 'Erro ao abrir link compartilhado' });
+    }
+});
+
+/**
+ * POST /api/plans/compare
+ * Side-by-side KPIs and row-level diffs of 2–5 saved plans (first = baseline)
+ * Body: { plans: [{ id, version? }, ...] } (no version = current version)
+ */
+app.post('/api/plans/compare', isAuthenticated, requirePermission('plans:read'), (req, res) => {
+    try {
+        const planAnalytics = require('./services/plan-analytics');
+        const selection = Array.isArray(req.body.plans) ? req.body.plans : [];
+
+        if (selection.length < 2 || selection.length > planAnalytics.MAX_PLANS) {
+            return res.status(400).json({
+                success: false,
+                message: `Selecione de 2 a ${planAnalytics.MAX_PLANS} planos para comparar`
+            });
+        }
+
+        const plans = [];
+        for (const item of selection) {
+            const plan = getPlanAccess(req, res, item.id);
+            if (!plan) return;
+
+            if (!item.version) {
+                plans.push({ ...plan, version: plan.current_version, label: `${plan.name} v${plan.current_version}` });
+                continue;
+            }
+
+            const version = authService.getPlanVersion(plan.id, item.version);
+            if (!version) {
+                return res.status(404).json({ success: false, message: `Versão v${item.version} do plano #${plan.id} não encontrada` });
+            }
+            plans.push({ ...version, id: plan.id, label: `${version.name} v${version.version}` });
+        }
+
+        const comparison = planAnalytics.compare(plans);
+        if (comparison.status === 'error') {
+            return res.status(400).json({ success: false, message: comparison.message });
+        }
+
+        res.json({ success: true, comparison });
+    } catch (error) {
+        console.error('Error comparing plans:', error);
+        res.status(500).json({ success: false, message: 'Erro ao comparar planos' });
     }
 });
 
@@ -651,7 +2113,7 @@ app.get('/api/plans/:id', isAuthenticated, (req, res) => {
  * GET /api/bigquery/test
  * Test BigQuery connection
  */
-app.get('/api/bigquery/test', isAuthenticated, async (req, res) => {
+app.get('/api/bigquery/test', isAuthenticated, requirePermission('system:manage'), async (req, res) => {
     try {
         const isConnected = await bigQueryService.testConnection();
 
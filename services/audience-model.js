@@ -0,0 +1,281 @@
+/**
+ * Audience Model Service
+ *
+ * Single source of per-face audience parameters and of the reach & frequency
+ * estimates built on them. Parameters come from the `audience_params` table
+ * (seeded by database/seed-audience.js) and fall back to DEFAULT_PARAMS, the
+ * format ladder the services used to hard-code.
+ *
+ * Each parameter row is matched by praça ('*' = any), a formato fragment
+ * ('*' = any) and digital (null = both). When several rows match, the most
+ * specific wins per field: praça-specific, then formato-specific, then table
+ * rows over defaults, then lowest priority, then digital-specific.
+ *
+ * Reach uses a duplication formula:
+ * - one face for one week reaches r1 = impressions_per_face / population
+ * - faces of a line are distinct locations (independent): 1 - (1 - r1)^faces
+ * - weeks repeat the same locations, so extra weeks only add the
+ *   non-duplicated share: effective weeks = 1 + (weeks - 1) × (1 - weekly_duplication)
+ * - lines in the same praça combine independently (Sainsbury); praças add up
+ * Frequency = impressions / people reached; GRP = impressions / population × 100.
+ *
+ * The parameter source is pluggable through setProvider().
+ */
+
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '../database/ooh_planner.db');
+
+// Universe used when a praça has no population parameter
+const FALLBACK_POPULATION = 1000000;
+const DEFAULT_WEEKLY_DUPLICATION = 0.7;
+
+/**
+ * Defaults: the former getExposureFactor ladder (first match wins → priority),
+ * impact rates by material and praça populations (IBGE, Censo 2022)
+ */
+const DEFAULT_PARAMS = [
+    { formato: 'empena', priority: 1, impressions_per_face: 50000 },
+    { formato: 'painel', priority: 1, impressions_per_face: 50000 },
+    { formato: 'metro', priority: 2, impressions_per_face: 45000 },
+    { formato: 'aeroporto', priority: 3, impressions_per_face: 40000 },
+    { formato: 'shopping', priority: 4, impressions_per_face: 35000 },
+    { formato: 'parque', priority: 5, impressions_per_face: 30000 },
+    { formato: 'abrigo', digital: 1, priority: 6, impressions_per_face: 25000 },
+    { formato: 'abrigo', digital: 0, priority: 6, impressions_per_face: 20000 },
+    { formato: 'onibus', digital: 1, priority: 6, impressions_per_face: 25000 },
+    { formato: 'onibus', digital: 0, priority: 6, impressions_per_face: 20000 },
+    { formato: 'mub', priority: 7, impressions_per_face: 22000 },
+    { formato: 'banca', priority: 7, impressions_per_face: 22000 },
+    { formato: 'totem', digital: 1, priority: 8, impressions_per_face: 28000 },
+    { formato: 'totem', digital: 0, priority: 8, impressions_per_face: 18000 },
+    { formato: 'circuito', priority: 9, impressions_per_face: 20000 },
+    { formato: 'backbus', priority: 10, impressions_per_face: 18000 },
+    { formato: 'back bus', priority: 10, impressions_per_face: 18000 },
+    { formato: 'backseat', priority: 11, impressions_per_face: 8000 },
+    { formato: 'back seat', priority: 11, impressions_per_face: 8000 },
+    { formato: 'envelopamento', priority: 12, impressions_per_face: 35000 },
+    { formato: 'exterior', priority: 13, impressions_per_face: 25000 },
+    { digital: 1, priority: 99, impressions_per_face: 15000, impact_rate: 0.25 },
+    { digital: 0, priority: 99, impressions_per_face: 12000, impact_rate: 0.15 },
+    { priority: 99, weekly_duplication: DEFAULT_WEEKLY_DUPLICATION },
+    ...Object.entries({
+        'sao paulo': 11451245, 'rio de janeiro': 6211423, 'brasilia': 2817068,
+        'fortaleza': 2428678, 'salvador': 2418005, 'belo horizonte': 2315560,
+        'manaus': 2063547, 'curitiba': 1773733, 'recife': 1488920,
+        'goiania': 1437237, 'porto alegre': 1332570, 'belem': 1303403,
+        'sao luis': 1037775, 'maceio': 957916, 'campo grande': 898100,
+        'teresina': 866300, 'joao pessoa': 833932, 'natal': 751300,
+        'cuiaba': 650877, 'aracaju': 602757, 'florianopolis': 537211,
+        'porto velho': 460434, 'macapa': 442933, 'boa vista': 413486,
+        'rio branco': 364756, 'vitoria': 322869, 'palmas': 302692
+    }).map(([praca, population]) => ({ praca, priority: 99, population }))
+];
+
+const PARAM_FIELDS = {
+    impressions_per_face: 'impressionsPerFace',
+    weekly_duplication: 'weeklyDuplication',
+    impact_rate: 'impactRate',
+    population: 'population'
+};
+
+/**
+ * Default provider: audience_params table of the local SQLite database
+ * (returns [] when the table or the driver is unavailable)
+ */
+function sqliteProvider() {
+    try {
+        const Database = require('better-sqlite3');
+        const db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+        try {
+            const hasTable = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'audience_params'").get();
+            return hasTable ? db.prepare('SELECT * FROM audience_params').all() : [];
+        } finally {
+            db.close();
+        }
+    } catch (error) {
+        console.warn('⚠️  audience_params indisponível, usando parâmetros padrão:', error.message);
+        return [];
+    }
+}
+
+class AudienceModel {
+    constructor() {
+        this.provider = sqliteProvider;
+        this.params = null;
+        this.cache = new Map();
+    }
+
+    /**
+     * Plug a different parameter source
+     * @param {Function} provider - Returns audience_params-shaped rows
+     */
+    setProvider(provider) {
+        this.provider = provider;
+        this.reload();
+    }
+
+    /**
+     * Drop cached parameters (e.g. after re-seeding the table)
+     */
+    reload() {
+        this.params = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Case/accent-insensitive key ("Metrô" → "metro")
+     */
+    normalizeText(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim()
+            .toLowerCase();
+    }
+
+    normalizeRow(row, origin) {
+        const digital = row.digital === null || row.digital === undefined ? null : Number(row.digital);
+        return {
+            praca: row.praca && row.praca !== '*' ? this.normalizeText(row.praca) : '*',
+            formato: row.formato && row.formato !== '*' ? this.normalizeText(row.formato) : '*',
+            digital,
+            priority: row.priority !== null && row.priority !== undefined ? Number(row.priority) : 50,
+            origin,
+            impressions_per_face: row.impressions_per_face ?? null,
+            weekly_duplication: row.weekly_duplication ?? null,
+            impact_rate: row.impact_rate ?? null,
+            population: row.population ?? null
+        };
+    }
+
+    /**
+     * Table rows plus defaults, ordered from most to least specific
+     */
+    loadParams() {
+        if (this.params) return this.params;
+
+        const tableRows = (this.provider() || []).map(row => this.normalizeRow(row, 0));
+        const defaultRows = DEFAULT_PARAMS.map(row => this.normalizeRow(row, 1));
+
+        this.params = [...tableRows, ...defaultRows].sort((a, b) =>
+            (a.praca === '*') - (b.praca === '*') ||
+            (a.formato === '*') - (b.formato === '*') ||
+            a.origin - b.origin ||
+            a.priority - b.priority ||
+            (a.digital === null) - (b.digital === null)
+        );
+
+        console.log(`📡 Modelo de audiência: ${tableRows.length} parâmetros da tabela, ${defaultRows.length} padrão`);
+        return this.params;
+    }
+
+    /**
+     * Audience parameters of one inventory row
+     * @param {Object} face - { praca, formato, digital }
+     * @returns {Object} { impressionsPerFace, weeklyDuplication, impactRate, population }
+     */
+    getParams(face) {
+        const praca = this.normalizeText(face.praca);
+        const formato = this.normalizeText(face.formato);
+        const digital = Number(face.digital) === 1 || face.digital === true ? 1 : 0;
+        const key = `${praca}|${formato}|${digital}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const matching = this.loadParams().filter(row =>
+            (row.praca === '*' || row.praca === praca) &&
+            (row.formato === '*' || formato.includes(row.formato)) &&
+            (row.digital === null || row.digital === digital)
+        );
+
+        const resolved = {};
+        Object.entries(PARAM_FIELDS).forEach(([column, name]) => {
+            const row = matching.find(r => r[column] !== null);
+            resolved[name] = row ? row[column] : null;
+        });
+        if (resolved.population === null) resolved.population = FALLBACK_POPULATION;
+        if (resolved.weeklyDuplication === null) resolved.weeklyDuplication = DEFAULT_WEEKLY_DUPLICATION;
+
+        this.cache.set(key, resolved);
+        return resolved;
+    }
+
+    /**
+     * Weekly impressions of one face (drop-in for the old getExposureFactor)
+     */
+    getExposureFactor(formato, digital, estatico, praca) {
+        return this.getParams({ formato, digital, praca }).impressionsPerFace;
+    }
+
+    /**
+     * Share of impressions counted as impact
+     */
+    getImpactRate(face) {
+        return this.getParams(face).impactRate;
+    }
+
+    /**
+     * Reach & frequency of a set of plan lines
+     * @param {Array<Object>} lines - { praca, formato, digital, faces, weeks? }
+     * @param {number} [weeks=1] - Weeks for lines without their own `weeks`
+     * @returns {Object} { impressions, grp, reach, reachPercent, frequency, population, byPraca }
+     */
+    estimate(lines, weeks = 1) {
+        const pracas = new Map();
+
+        (lines || []).forEach(line => {
+            const faces = Number(line.faces) || 0;
+            const lineWeeks = Number(line.weeks) || weeks;
+            if (faces <= 0 || lineWeeks <= 0) return;
+
+            const params = this.getParams(line);
+            const key = this.normalizeText(line.praca);
+            if (!pracas.has(key)) {
+                pracas.set(key, { praca: line.praca, population: params.population, impressions: 0, notReached: 1 });
+            }
+            const group = pracas.get(key);
+
+            const r1 = Math.min(params.impressionsPerFace / params.population, 1);
+            const weekReach = 1 - Math.pow(1 - r1, faces);
+            const effectiveWeeks = 1 + (lineWeeks - 1) * (1 - params.weeklyDuplication);
+            const lineReach = 1 - Math.pow(1 - weekReach, effectiveWeeks);
+
+            group.impressions += faces * lineWeeks * params.impressionsPerFace;
+            group.notReached *= 1 - lineReach;
+        });
+
+        let impressions = 0;
+        let reach = 0;
+        let population = 0;
+
+        const byPraca = [...pracas.values()].map(group => {
+            const pracaReach = (1 - group.notReached) * group.population;
+            impressions += group.impressions;
+            reach += pracaReach;
+            population += group.population;
+
+            return {
+                praca: group.praca,
+                population: group.population,
+                impressions: group.impressions,
+                reach: pracaReach,
+                reachPercent: (1 - group.notReached) * 100,
+                frequency: pracaReach > 0 ? group.impressions / pracaReach : 0,
+                grp: group.population > 0 ? (group.impressions / group.population) * 100 : 0
+            };
+        });
+
+        return {
+            impressions,
+            grp: population > 0 ? (impressions / population) * 100 : 0,
+            reach,
+            reachPercent: population > 0 ? (reach / population) * 100 : 0,
+            frequency: reach > 0 ? impressions / reach : 0,
+            population,
+            byPraca
+        };
+    }
+}
+
+module.exports = new AudienceModel();
+module.exports.DEFAULT_PARAMS = DEFAULT_PARAMS;
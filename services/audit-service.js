@@ -0,0 +1,178 @@
+/**
+ * Audit Service
+ * Append-only log of planning actions (who, when, route, plan) with a
+ * compact before/after payload, kept in the users database next to
+ * AuthService. Updates and deletes are refused by triggers.
+ *
+ * Actions are namespaced: `plan.*` (create, version, restore, load,
+ * workflow, shares, exports, insertion orders), `workspace.*`, `user.*`, `token.*`,
+ * `inventory.activate` (snapshot rollback), `bigquery.store` and `auth.*`
+ * (copied from auth_events).
+ */
+
+const authService = require('./auth-service');
+const planAnalytics = require('./plan-analytics');
+
+const MAX_PAGE = 1000;
+const MAX_EXPORT = 50000;
+// Payloads above this size are cut (the log keeps summaries, not plans)
+const MAX_PAYLOAD = 4000;
+
+const CSV_COLUMNS = ['id', 'created_at', 'user_id', 'username', 'action', 'route', 'plan_id', 'ip', 'via', 'detail', 'before', 'after'];
+
+class AuditService {
+    get db() {
+        return authService.db;
+    }
+
+    initialize() {
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    user_id INTEGER,
+                    username TEXT,
+                    action TEXT NOT NULL,
+                    route TEXT,
+                    plan_id INTEGER,
+                    ip TEXT,
+                    via TEXT,
+                    detail TEXT,
+                    before TEXT,
+                    after TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+                CREATE INDEX IF NOT EXISTS idx_audit_plan ON audit_log(plan_id);
+                CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
+
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+            `);
+            console.log('✅ Audit service initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Audit service:', error.message);
+        }
+    }
+
+    serialize(value) {
+        if (value === undefined || value === null) return null;
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > MAX_PAYLOAD ? `${text.slice(0, MAX_PAYLOAD)}…` : text;
+    }
+
+    /**
+     * Append an entry. Never throws: a failing audit write must not break the action.
+     * @param {Object} entry - { action, userId?, username?, route?, planId?, ip?, via?, detail?, before?, after? }
+     */
+    record(entry) {
+        try {
+            this.db.prepare(`
+                INSERT INTO audit_log (user_id, username, action, route, plan_id, ip, via, detail, before, after)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                entry.userId || null,
+                entry.username || null,
+                entry.action,
+                entry.route || null,
+                entry.planId ? Number(entry.planId) : null,
+                entry.ip || null,
+                entry.via || null,
+                this.serialize(entry.detail),
+                this.serialize(entry.before),
+                this.serialize(entry.after)
+            );
+        } catch (error) {
+            console.error(`Error writing audit entry '${entry.action}':`, error.message);
+        }
+    }
+
+    /**
+     * Compact state of a plan for before/after payloads
+     * @param {Object} plan - plans row or plan_versions row (with parsed `data`)
+     */
+    snapshotPlan(plan) {
+        if (!plan) return null;
+
+        const snapshot = {
+            name: plan.name,
+            version: plan.version || plan.current_version,
+            status: plan.status,
+            workspaceId: plan.workspace_id
+        };
+        try {
+            const kpis = planAnalytics.summarize(plan.data);
+            Object.assign(snapshot, {
+                recortes: kpis.recortes,
+                faces: kpis.totalFaces,
+                investment: Math.round(kpis.totalInvest),
+                pracas: kpis.pracas.length
+            });
+        } catch (error) {
+            // Plans the analytics cannot read are logged without KPIs
+        }
+        return snapshot;
+    }
+
+    /**
+     * Filtered page of the log, newest first
+     * @param {Object} filters - { userId, username, action ('plan.*' for a prefix), planId, from, to, limit, offset }
+     * @param {number} [maxLimit] - cap for `limit`
+     * @returns {Object} { total, entries }
+     */
+    query(filters = {}, maxLimit = MAX_PAGE) {
+        const where = [];
+        const params = [];
+
+        if (filters.userId) { where.push('user_id = ?'); params.push(Number(filters.userId)); }
+        if (filters.username) { where.push('username = ?'); params.push(filters.username); }
+        if (filters.planId) { where.push('plan_id = ?'); params.push(Number(filters.planId)); }
+        if (filters.action) {
+            if (filters.action.endsWith('*')) {
+                where.push('action LIKE ?');
+                params.push(`${filters.action.slice(0, -1)}%`);
+            } else {
+                where.push('action = ?');
+                params.push(filters.action);
+            }
+        }
+        // Dates are compared as text: 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS' (UTC)
+        if (filters.from) { where.push('created_at >= ?'); params.push(filters.from); }
+        if (filters.to) { where.push('created_at <= ?'); params.push(filters.to.length === 10 ? `${filters.to} 23:59:59` : filters.to); }
+
+        const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), maxLimit);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        try {
+            const total = this.db.prepare(`SELECT count(*) AS count FROM audit_log ${clause}`).get(...params).count;
+            const entries = this.db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`)
+                .all(...params, limit, offset);
+            return { total, entries };
+        } catch (error) {
+            console.error('Error querying audit log:', error.message);
+            return { total: 0, entries: [] };
+        }
+    }
+
+    /**
+     * CSV of the entries matching the filters (up to MAX_EXPORT, newest first)
+     */
+    exportCsv(filters = {}) {
+        const { entries } = this.query({ ...filters, limit: filters.limit || MAX_EXPORT, offset: 0 }, MAX_EXPORT);
+        const escape = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        return [
+            CSV_COLUMNS.join(','),
+            ...entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','))
+        ].join('\n');
+    }
+}
+
+module.exports = new AuditService();
@@ -5,13 +5,76 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { config: authConfig } = require('../config/auth-config');
 
 const DB_PATH = path.join(__dirname, '../database/users.db');
 
+/**
+ * Roles and what they may do. Routes in server.js check permissions, never
+ * role names. `plans:approve` is also granted to planners flagged
+ * `can_approve` (media leads).
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['inventory:read', 'plans:read', 'plans:write', 'plans:approve', 'users:manage', 'system:manage'],
+    planner: ['inventory:read', 'plans:read', 'plans:write'],
+    viewer: ['inventory:read', 'plans:read'],
+    'client-readonly': ['plans:read']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Approval workflow: draft → in_review → approved → sent, with rejected
+ * plans going back to the planner. Each action lists the statuses it can
+ * start from; `reviewer` actions need a user allowed to approve.
+ */
+const PLAN_TRANSITIONS = {
+    submit: { from: ['draft', 'rejected'], to: 'in_review', reviewer: false },
+    approve: { from: ['in_review'], to: 'approved', reviewer: true },
+    reject: { from: ['in_review'], to: 'rejected', reviewer: true },
+    send: { from: ['approved'], to: 'sent', reviewer: false },
+    reopen: { from: ['approved'], to: 'draft', reviewer: false }
+};
+
+// Plans in these statuses cannot get new versions
+const LOCKED_STATUSES = ['in_review', 'approved', 'sent'];
+
+/**
+ * Plans saved before variable campaign cycles stored four week columns per
+ * row (s1_edit..s4_edit, base profile s1..s4). Convert them to the
+ * `weeks_edit` / `weeks` arrays the planner uses now.
+ */
+function migratePlanData(blocks) {
+    if (!Array.isArray(blocks)) return blocks;
+
+    const migrateRow = (row) => {
+        if (!Array.isArray(row.weeks_edit) && 's1_edit' in row) {
+            row.weeks_edit = [row.s1_edit, row.s2_edit, row.s3_edit, row.s4_edit].map(v => Number(v) || 0);
+            delete row.s1_edit; delete row.s2_edit; delete row.s3_edit; delete row.s4_edit;
+        }
+        if (!Array.isArray(row.weeks) && 's1' in row) {
+            row.weeks = [row.s1, row.s2, row.s3, row.s4].map(v => Number(v) || 0);
+            delete row.s1; delete row.s2; delete row.s3; delete row.s4;
+        }
+    };
+
+    blocks.forEach(block => {
+        (block.planningRows || []).forEach(migrateRow);
+        if (Array.isArray(block.planningData)) block.planningData.forEach(migrateRow);
+
+        const longest = Math.max(0, ...(block.planningRows || []).map(r => (r.weeks_edit || []).length));
+        block.campaignCycle = Math.max(Number(block.campaignCycle) || 4, longest);
+    });
+
+    return blocks;
+}
+
 class AuthService {
     constructor() {
         this.db = null;
+        // External login strategies (SSO) by name; username/password is built in
+        this.strategies = new Map();
     }
 
     initialize() {
@@ -37,13 +100,19 @@ class AuthService {
                 );
             `);
 
+            this.migratePlanVersions();
+            this.migratePlanWorkflow();
+            this.migrateUserRoles();
+            this.migrateLoginProtection();
+            this.migrateExternalIdentities();
+
             // Check if default user exists, if not create one
             const stmt = this.db.prepare('SELECT count(*) as count FROM users');
             const result = stmt.get();
 
             if (result.count === 0) {
                 console.log('🔒 No users found. Creating default admin user.');
-                this.createUser('admin', 'admin123');
+                this.createUser('admin', 'admin123', 'admin', false, true);
             }
 
             console.log('✅ Auth service initialized');
@@ -52,34 +121,572 @@ class AuthService {
         }
     }
 
-    savePlan(userId, name, data) {
+    /**
+     * Plan versioning: `plans` holds the stable plan id and a copy of the
+     * current version; `plan_versions` keeps every saved state, numbered per
+     * plan and append-only (enforced by triggers). Databases created before
+     * versioning are upgraded in place, each plan becoming its version 1.
+     */
+    migratePlanVersions() {
+        const columns = this.db.prepare('PRAGMA table_info(plans)').all().map(c => c.name);
+        if (!columns.includes('current_version')) {
+            this.db.exec('ALTER TABLE plans ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1');
+        }
+        if (!columns.includes('updated_at')) {
+            this.db.exec('ALTER TABLE plans ADD COLUMN updated_at DATETIME');
+            this.db.exec('UPDATE plans SET updated_at = created_at');
+        }
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS plan_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                plan_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                data TEXT NOT NULL,
+                note TEXT,
+                restored_from INTEGER,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (plan_id, version),
+                FOREIGN KEY (plan_id) REFERENCES plans(id),
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            );
+
+            CREATE TRIGGER IF NOT EXISTS plan_versions_no_update BEFORE UPDATE ON plan_versions
+            BEGIN
+                SELECT RAISE(ABORT, 'plan_versions is append-only');
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS plan_versions_no_delete BEFORE DELETE ON plan_versions
+            BEGIN
+                SELECT RAISE(ABORT, 'plan_versions is append-only');
+            END;
+        `);
+
+        const backfilled = this.db.prepare(`
+            INSERT INTO plan_versions (plan_id, version, name, data, created_by, created_at)
+            SELECT id, current_version, name, data, user_id, COALESCE(updated_at, created_at) FROM plans
+            WHERE id NOT IN (SELECT plan_id FROM plan_versions)
+        `).run();
+        if (backfilled.changes > 0) {
+            console.log(`🗂️  ${backfilled.changes} plano(s) migrado(s) para versões`);
+        }
+    }
+
+    /**
+     * Approval workflow columns: `plans.status` and the version it refers to
+     * (the approved version stays locked), `plan_reviews` as the trail of
+     * submissions/decisions, and `users.can_approve` for media leads. The
+     * existing admin account becomes the first approver.
+     */
+    migratePlanWorkflow() {
+        const planColumns = this.db.prepare('PRAGMA table_info(plans)').all().map(c => c.name);
+        if (!planColumns.includes('status')) {
+            this.db.exec(`ALTER TABLE plans ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'`);
+            this.db.exec('ALTER TABLE plans ADD COLUMN status_version INTEGER');
+        }
+
+        const userColumns = this.db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+        if (!userColumns.includes('can_approve')) {
+            this.db.exec('ALTER TABLE users ADD COLUMN can_approve INTEGER NOT NULL DEFAULT 0');
+            this.db.exec(`UPDATE users SET can_approve = 1 WHERE username = 'admin'`);
+        }
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS plan_reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                plan_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                from_status TEXT NOT NULL,
+                to_status TEXT NOT NULL,
+                comment TEXT,
+                user_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (plan_id) REFERENCES plans(id),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+        `);
+    }
+
+    /**
+     * Roles: every existing account keeps working as a planner, except the
+     * original `admin` account which becomes the administrator.
+     */
+    migrateUserRoles() {
+        const columns = this.db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+        if (!columns.includes('role')) {
+            this.db.exec(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'planner'`);
+            this.db.exec(`UPDATE users SET role = 'admin' WHERE username = 'admin'`);
+        }
+        if (!columns.includes('disabled')) {
+            this.db.exec('ALTER TABLE users ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0');
+        }
+    }
+
+    /**
+     * Login protection: failed-attempt counter and lockout per account,
+     * forced password change, and `auth_events` as the log of logins,
+     * failures, lockouts and password changes (also used for per-IP limits).
+     * An admin still on the seeded admin/admin123 must change it on next login.
+     */
+    migrateLoginProtection() {
+        const columns = this.db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+        if (!columns.includes('failed_attempts')) {
+            this.db.exec('ALTER TABLE users ADD COLUMN failed_attempts INTEGER NOT NULL DEFAULT 0');
+            this.db.exec('ALTER TABLE users ADD COLUMN locked_until INTEGER');
+            this.db.exec('ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+            this.db.exec('ALTER TABLE users ADD COLUMN password_changed_at DATETIME');
+
+            const admin = this.db.prepare(`SELECT id, password_hash FROM users WHERE username = 'admin'`).get();
+            if (admin && bcrypt.compareSync('admin123', admin.password_hash)) {
+                this.db.prepare('UPDATE users SET must_change_password = 1 WHERE id = ?').run(admin.id);
+                console.log('🔒 Senha padrão do admin detectada: troca obrigatória no próximo login');
+            }
+        }
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS auth_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event TEXT NOT NULL,
+                user_id INTEGER,
+                username TEXT,
+                ip TEXT,
+                detail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_auth_events_ip ON auth_events(ip, event, created_at);
+        `);
+    }
+
+    /**
+     * Users signing in through an identity provider are linked by
+     * (auth_provider, external_id) — the provider's stable subject — and
+     * have no usable local password.
+     */
+    migrateExternalIdentities() {
+        const columns = this.db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+        if (!columns.includes('auth_provider')) {
+            this.db.exec(`ALTER TABLE users ADD COLUMN auth_provider TEXT NOT NULL DEFAULT 'local'`);
+            this.db.exec('ALTER TABLE users ADD COLUMN external_id TEXT');
+            this.db.exec('ALTER TABLE users ADD COLUMN last_login_at DATETIME');
+        }
+        this.db.exec(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_users_external
+            ON users(auth_provider, external_id) WHERE external_id IS NOT NULL
+        `);
+    }
+
+    // ============================================
+    // LOGIN STRATEGIES (SSO)
+    // ============================================
+
+    /**
+     * Register an external login strategy (see services/oidc-strategy.js)
+     * @param {Object} strategy - { name, label, createLoginRequest(), handleCallback(query, pending) }
+     * @param {Object} options - { groupRoles: { group: role }, defaultRole } for provisioning
+     */
+    registerStrategy(strategy, options = {}) {
+        Object.entries(options.groupRoles || {}).forEach(([group, role]) => {
+            if (!ROLE_PERMISSIONS[role]) console.warn(`⚠️  ${strategy.name}: grupo '${group}' mapeado para perfil inválido '${role}'`);
+        });
+        this.strategies.set(strategy.name, { strategy, options });
+        console.log(`🔐 Login strategy '${strategy.name}' enabled`);
+    }
+
+    getStrategy(name) {
+        const entry = this.strategies.get(name);
+        return entry ? entry.strategy : null;
+    }
+
+    /**
+     * Strategies offered on the login page
+     */
+    listStrategies() {
+        return [...this.strategies.values()].map(({ strategy }) => ({
+            name: strategy.name,
+            label: strategy.label,
+            loginUrl: `/auth/${strategy.name}/login`
+        }));
+    }
+
+    /**
+     * Role from the user's groups at the identity provider: the most
+     * privileged mapped role wins (ROLES is ordered admin first)
+     * @returns {string|null} null when no group maps and there is no default
+     */
+    roleForGroups(groups, groupRoles = {}, defaultRole = null) {
+        const mapped = groups.map(group => groupRoles[group]).filter(role => ROLE_PERMISSIONS[role]);
+        const role = ROLES.find(r => mapped.includes(r));
+        return role || (ROLE_PERMISSIONS[defaultRole] ? defaultRole : null);
+    }
+
+    /**
+     * Just-in-time provisioning: find the user linked to the provider subject
+     * or create it, and apply the role from the current group mapping on
+     * every login (so removing someone from a group takes effect).
+     * @returns {Object} { user } or { error: 'no_role' | 'disabled' | 'username_taken' }
+     */
+    provisionExternalUser(provider, profile) {
+        const { options } = this.strategies.get(provider);
+        const role = this.roleForGroups(profile.groups, options.groupRoles, options.defaultRole);
+        if (!role) return { error: 'no_role' };
+
+        let user = this.db.prepare('SELECT * FROM users WHERE auth_provider = ? AND external_id = ?').get(provider, profile.subject);
+
+        if (!user) {
+            // Never take over an existing account with the same name
+            if (this.getUserByUsername(profile.username)) return { error: 'username_taken' };
+
+            const info = this.db.prepare(`
+                INSERT INTO users (username, password_hash, role, auth_provider, external_id) VALUES (?, '!', ?, ?, ?)
+            `).run(profile.username, role, provider, profile.subject);
+            console.log(`👤 User '${profile.username}' (${role}) provisioned from ${provider}.`);
+            user = this.getUserById(info.lastInsertRowid);
+        } else if (user.role !== role) {
+            this.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+            console.log(`👤 User '${user.username}' role ${user.role} → ${role} (groups from ${provider}).`);
+            user = this.getUserById(user.id);
+        }
+
+        if (user.disabled) return { error: 'disabled' };
+
+        this.db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+        return { user };
+    }
+
+    logAuthEvent(event, { userId = null, username = null, ip = null, detail = null } = {}) {
+        try {
+            this.db.prepare('INSERT INTO auth_events (event, user_id, username, ip, detail) VALUES (?, ?, ?, ?, ?)')
+                .run(event, userId, username, ip, detail);
+        } catch (error) {
+            console.error('Error logging auth event:', error.message);
+        }
+
+        // Also in the audit log (required here: audit-service depends on this module)
+        require('./audit-service').record({ action: `auth.${event}`, userId, username, ip, detail });
+    }
+
+    countRecentEvents(event, ip, minutes) {
+        return this.db.prepare(`
+            SELECT count(*) AS count FROM auth_events
+            WHERE event = ? AND ip = ? AND created_at > datetime('now', ?)
+        `).get(event, ip, `-${minutes} minutes`).count;
+    }
+
+    getAuthEvents({ limit = 200, username = null, event = null } = {}) {
         try {
-            const stmt = this.db.prepare('INSERT INTO plans (user_id, name, data) VALUES (?, ?, ?)');
-            const info = stmt.run(userId, name, JSON.stringify(data));
+            return this.db.prepare(`
+                SELECT id, event, user_id, username, ip, detail, created_at FROM auth_events
+                WHERE (? IS NULL OR username = ?) AND (? IS NULL OR event = ?)
+                ORDER BY id DESC LIMIT ?
+            `).all(username, username, event, event, Math.min(Number(limit) || 200, 1000));
+        } catch (error) {
+            console.error('Error fetching auth events:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Password policy from config/auth-config.js
+     * @returns {Array<string>} problems (empty when the password is accepted)
+     */
+    validatePassword(password, username = '') {
+        const policy = authConfig.passwordPolicy;
+        const problems = [];
+        const value = String(password || '');
+
+        if (value.length < policy.minLength) problems.push(`mínimo de ${policy.minLength} caracteres`);
+        if (policy.requireLetter && !/[a-zA-Z]/.test(value)) problems.push('ao menos uma letra');
+        if (policy.requireNumber && !/[0-9]/.test(value)) problems.push('ao menos um número');
+        if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(value)) problems.push('ao menos um símbolo');
+        if (username && value.toLowerCase().includes(String(username).toLowerCase())) {
+            problems.push('não pode conter o nome de usuário');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check credentials with lockout. Failures count per account (lockout
+     * after `maxFailedAttempts`) and per IP (refused after `ipMaxFailures`
+     * within `ipWindowMinutes`); every outcome goes to auth_events.
+     * @returns {Object} { user } or { error: 'invalid' | 'locked' | 'ip_blocked', retryAfter? (seconds) }
+     */
+    authenticate(username, password, ip) {
+        const log = (event, user, detail = null) =>
+            this.logAuthEvent(event, { userId: user ? user.id : null, username, ip, detail });
+
+        if (this.countRecentEvents('login_failure', ip, authConfig.ipWindowMinutes) >= authConfig.ipMaxFailures) {
+            log('ip_blocked', null);
+            return { error: 'ip_blocked', retryAfter: authConfig.ipWindowMinutes * 60 };
+        }
+
+        const user = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        if (user && user.locked_until && user.locked_until > Date.now()) {
+            log('login_locked', user);
+            return { error: 'locked', retryAfter: Math.ceil((user.locked_until - Date.now()) / 1000) };
+        }
+
+        if (!user || user.disabled || user.auth_provider !== 'local' ||
+            !bcrypt.compareSync(String(password || ''), user.password_hash)) {
+            const reason = !user ? 'unknown user'
+                : (user.disabled ? 'disabled' : (user.auth_provider !== 'local' ? `${user.auth_provider} account` : 'wrong password'));
+            log('login_failure', user, reason);
+
+            if (user && !user.disabled && user.auth_provider === 'local') {
+                const attempts = user.failed_attempts + 1;
+                if (attempts >= authConfig.maxFailedAttempts) {
+                    const lockedUntil = Date.now() + authConfig.lockoutMinutes * 60 * 1000;
+                    this.db.prepare('UPDATE users SET failed_attempts = 0, locked_until = ? WHERE id = ?').run(lockedUntil, user.id);
+                    log('lockout', user, `${attempts} tentativas`);
+                    console.warn(`🔒 User '${username}' locked for ${authConfig.lockoutMinutes} min.`);
+                    return { error: 'locked', retryAfter: authConfig.lockoutMinutes * 60 };
+                }
+                this.db.prepare('UPDATE users SET failed_attempts = ? WHERE id = ?').run(attempts, user.id);
+            }
+            return { error: 'invalid' };
+        }
+
+        this.db.prepare('UPDATE users SET failed_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(user.id);
+        log('login_success', user);
+        return { user };
+    }
+
+    /**
+     * Change a user's own password (checks the current one)
+     * @returns {boolean} false when the current password is wrong
+     */
+    changePassword(userId, currentPassword, newPassword) {
+        const user = this.getUserById(userId);
+        if (!user || !bcrypt.compareSync(String(currentPassword || ''), user.password_hash)) return false;
+
+        this.db.prepare(`
+            UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(bcrypt.hashSync(newPassword, bcrypt.genSaltSync(10)), userId);
+
+        console.log(`🔑 User ${userId} changed their password.`);
+        return true;
+    }
+
+    getPermissions(user) {
+        const permissions = [...(ROLE_PERMISSIONS[user.role] || [])];
+        if (user.can_approve && permissions.includes('plans:write') && !permissions.includes('plans:approve')) {
+            permissions.push('plans:approve');
+        }
+        return permissions;
+    }
+
+    /**
+     * What the session keeps about a user (and /api/check-auth returns)
+     */
+    toSessionUser(user) {
+        const permissions = this.getPermissions(user);
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            permissions,
+            canApprove: permissions.includes('plans:approve'),
+            mustChangePassword: Boolean(user.must_change_password),
+            authProvider: user.auth_provider || 'local'
+        };
+    }
+
+    isPlanLocked(plan) {
+        return LOCKED_STATUSES.includes(plan.status);
+    }
+
+    /**
+     * Move a plan through the workflow and record the review entry
+     * @param {string} action - key of PLAN_TRANSITIONS
+     * @returns {Object|null} { planId, status, version }, null when the plan is not in a status the action starts from
+     */
+    transitionPlan(planId, action, userId, comment = null) {
+        const transition = PLAN_TRANSITIONS[action];
+        if (!transition) return null;
+
+        try {
+            const apply = this.db.transaction(() => {
+                const plan = this.db.prepare('SELECT id, status, current_version FROM plans WHERE id = ?').get(planId);
+                if (!plan || !transition.from.includes(plan.status)) return null;
+
+                this.db.prepare(`
+                    UPDATE plans SET status = ?, status_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+                `).run(transition.to, plan.current_version, planId);
+
+                this.db.prepare(`
+                    INSERT INTO plan_reviews (plan_id, version, action, from_status, to_status, comment, user_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `).run(planId, plan.current_version, action, plan.status, transition.to, comment, userId);
+
+                return { planId: Number(planId), status: transition.to, version: plan.current_version };
+            });
+
+            const result = apply();
+            if (result) console.log(`📋 Plan ${planId} v${result.version}: ${action} → ${result.status} (user ${userId})`);
+            return result;
+        } catch (error) {
+            console.error('Error changing plan status:', error.message);
+            throw error;
+        }
+    }
+
+    getPlanReviews(planId) {
+        try {
+            return this.db.prepare(`
+                SELECT r.id, r.version, r.action, r.from_status, r.to_status, r.comment, r.created_at,
+                       u.username AS user
+                FROM plan_reviews r
+                LEFT JOIN users u ON u.id = r.user_id
+                WHERE r.plan_id = ?
+                ORDER BY r.id DESC
+            `).all(planId);
+        } catch (error) {
+            console.error('Error fetching plan reviews:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Plans of every user waiting for a decision
+     */
+    getReviewQueue() {
+        try {
+            return this.db.prepare(`
+                SELECT p.id, p.name, p.current_version, p.status, p.status_version, p.created_at, p.updated_at,
+                       u.username AS owner
+                FROM plans p
+                LEFT JOIN users u ON u.id = p.user_id
+                WHERE p.status = 'in_review'
+                ORDER BY p.updated_at ASC
+            `).all();
+        } catch (error) {
+            console.error('Error fetching review queue:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Create a new plan (version 1)
+     * @returns {number} plan id
+     */
+    savePlan(userId, name, data, note = null, workspaceId = null) {
+        try {
+            const create = this.db.transaction(() => {
+                const info = this.db.prepare(`
+                    INSERT INTO plans (user_id, name, data, current_version, updated_at, workspace_id)
+                    VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP, ?)
+                `).run(userId, name, JSON.stringify(data), workspaceId);
+
+                this.db.prepare(`
+                    INSERT INTO plan_versions (plan_id, version, name, data, note, created_by)
+                    VALUES (?, 1, ?, ?, ?, ?)
+                `).run(info.lastInsertRowid, name, JSON.stringify(data), note, userId);
+
+                return info.lastInsertRowid;
+            });
+
+            const planId = create();
             console.log(`💾 Plan '${name}' saved for user ${userId}.`);
-            return info.lastInsertRowid;
+            return planId;
         } catch (error) {
             console.error('Error saving plan:', error.message);
             throw error;
         }
     }
 
-    getUserPlans(userId) {
+    /**
+     * Append a version to an existing plan and make it current
+     * @param {Object} [options] - { name, note, restoredFrom }
+     * @returns {Object|null} { planId, version }, null when the plan does not exist
+     */
+    savePlanVersion(planId, userId, data, options = {}) {
+        try {
+            const append = this.db.transaction(() => {
+                const plan = this.db.prepare('SELECT id, name FROM plans WHERE id = ?').get(planId);
+                if (!plan) return null;
+
+                const { next } = this.db.prepare(
+                    'SELECT COALESCE(MAX(version), 0) + 1 AS next FROM plan_versions WHERE plan_id = ?'
+                ).get(planId);
+                const name = options.name || plan.name;
+
+                this.db.prepare(`
+                    INSERT INTO plan_versions (plan_id, version, name, data, note, restored_from, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `).run(planId, next, name, JSON.stringify(data), options.note || null, options.restoredFrom || null, userId);
+
+                this.db.prepare(`
+                    UPDATE plans SET name = ?, data = ?, current_version = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `).run(name, JSON.stringify(data), next, planId);
+
+                return { planId: Number(planId), version: next };
+            });
+
+            const saved = append();
+            if (saved) console.log(`💾 Plan ${planId} saved as v${saved.version} by user ${userId}.`);
+            return saved;
+        } catch (error) {
+            console.error('Error saving plan version:', error.message);
+            throw error;
+        }
+    }
+
+    getPlanVersions(planId) {
         try {
-            const stmt = this.db.prepare('SELECT id, name, created_at FROM plans WHERE user_id = ? ORDER BY created_at DESC');
-            return stmt.all(userId);
+            return this.db.prepare(`
+                SELECT v.id, v.plan_id, v.version, v.name, v.note, v.restored_from, v.created_at,
+                       u.username AS created_by
+                FROM plan_versions v
+                LEFT JOIN users u ON u.id = v.created_by
+                WHERE v.plan_id = ?
+                ORDER BY v.version DESC
+            `).all(planId);
         } catch (error) {
-            console.error('Error fetching user plans:', error.message);
+            console.error('Error fetching plan versions:', error.message);
             return [];
         }
     }
 
+    getPlanVersion(planId, version) {
+        try {
+            const row = this.db.prepare('SELECT * FROM plan_versions WHERE plan_id = ? AND version = ?').get(planId, version);
+            if (row) {
+                row.data = migratePlanData(JSON.parse(row.data));
+            }
+            return row;
+        } catch (error) {
+            console.error('Error fetching plan version:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Restore an older version by appending a copy of it as the newest one;
+     * history is never rewritten
+     */
+    restorePlanVersion(planId, version, userId) {
+        const source = this.getPlanVersion(planId, version);
+        if (!source) return null;
+
+        return this.savePlanVersion(planId, userId, source.data, {
+            name: source.name,
+            note: `Restaurado da v${version}`,
+            restoredFrom: version
+        });
+    }
+
     getPlanById(id) {
         try {
             const stmt = this.db.prepare('SELECT * FROM plans WHERE id = ?');
             const plan = stmt.get(id);
             if (plan) {
-                plan.data = JSON.parse(plan.data);
+                plan.data = migratePlanData(JSON.parse(plan.data));
             }
             return plan;
         } catch (error) {
@@ -88,15 +695,21 @@ class AuthService {
         }
     }
 
-    createUser(username, password) {
+    createUser(username, password, role = 'planner', canApprove = false, mustChangePassword = false) {
+        if (!ROLE_PERMISSIONS[role]) {
+            throw new Error(`Invalid role: ${role}`);
+        }
+
         try {
             const salt = bcrypt.genSaltSync(10);
             const hash = bcrypt.hashSync(password, salt);
 
-            const stmt = this.db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)');
-            const info = stmt.run(username, hash);
+            const stmt = this.db.prepare(`
+                INSERT INTO users (username, password_hash, role, can_approve, must_change_password) VALUES (?, ?, ?, ?, ?)
+            `);
+            const info = stmt.run(username, hash, role, canApprove ? 1 : 0, mustChangePassword ? 1 : 0);
 
-            console.log(`👤 User '${username}' created successfully.`);
+            console.log(`👤 User '${username}' (${role}) created successfully.`);
             return info.lastInsertRowid;
         } catch (error) {
             console.error(`Error creating user ${username}:`, error.message);
@@ -109,7 +722,7 @@ class AuthService {
             const stmt = this.db.prepare('SELECT * FROM users WHERE username = ?');
             const user = stmt.get(username);
 
-            if (!user) {
+            if (!user || user.disabled) {
                 return false;
             }
 
@@ -118,7 +731,105 @@ class AuthService {
             console.error('Error verifying user:', error.message);
             return false;
         }
+}
+
+    getUserById(id) {
+        try {
+            return this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        } catch (error) {
+            console.error('Error fetching user:', error.message);
+            return null;
+        }
+    }
+
+    getUserByUsername(username) {
+        try {
+            return this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        } catch (error) {
+            console.error('Error fetching user:', error.message);
+            return null;
+        }
+    }
+
+    listUsers() {
+        try {
+            return this.db.prepare(`
+                SELECT id, username, role, disabled, can_approve, locked_until, must_change_password,
+                       auth_provider, last_login_at, created_at
+                FROM users ORDER BY username
+            `).all().map(user => ({
+                ...user,
+                disabled: Boolean(user.disabled),
+                can_approve: Boolean(user.can_approve),
+                locked: Boolean(user.locked_until && user.locked_until > Date.now()),
+                must_change_password: Boolean(user.must_change_password)
+            }));
+        } catch (error) {
+            console.error('Error listing users:', error.message);
+            return [];
+        }
+    }
+
+    countActiveAdmins(excludeUserId = null) {
+        return this.db.prepare(`
+            SELECT count(*) AS count FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?
+        `).get(excludeUserId || 0).count;
+    }
+
+    /**
+     * Change role, disabled flag or approver flag of a user
+     * @param {Object} changes - { role?, disabled?, canApprove? }
+     * @returns {Object|null} updated user (as listUsers), null when not found
+     */
+    updateUser(id, changes) {
+        if (changes.role !== undefined && !ROLE_PERMISSIONS[changes.role]) {
+            throw new Error(`Invalid role: ${changes.role}`);
+        }
+
+        const fields = [];
+        const values = [];
+        if (changes.role !== undefined) { fields.push('role = ?'); values.push(changes.role); }
+        if (changes.disabled !== undefined) { fields.push('disabled = ?'); values.push(changes.disabled ? 1 : 0); }
+        if (changes.canApprove !== undefined) { fields.push('can_approve = ?'); values.push(changes.canApprove ? 1 : 0); }
+
+        try {
+            if (fields.length > 0) {
+                this.db.prepare(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`).run(...values, id);
+            }
+            const user = this.listUsers().find(u => u.id === Number(id)) || null;
+            if (user) console.log(`👤 User '${user.username}' updated (${Object.keys(changes).join(', ')}).`);
+            return user;
+        } catch (error) {
+            console.error('Error updating user:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a new password; without one, a random temporary password is generated.
+     * Clears a lockout and makes the user choose their own password at next login.
+     * @returns {string|null} the password set, null when the user does not exist
+     */
+    resetPassword(id, password = null) {
+        const newPassword = password || crypto.randomBytes(9).toString('base64url');
+        const hash = bcrypt.hashSync(newPassword, bcrypt.genSaltSync(10));
+
+        try {
+            const info = this.db.prepare(`
+                UPDATE users SET password_hash = ?, must_change_password = 1, failed_attempts = 0, locked_until = NULL
+                WHERE id = ?
+            `).run(hash, id);
+            if (info.changes === 0) return null;
+
+            console.log(`🔑 Password reset for user ${id}.`);
+            return newPassword;
+        } catch (error) {
+            console.error('Error resetting password:', error.message);
+            throw error;
+        }
     }
 }
 
 module.exports = new AuthService();
+module.exports.ROLES = ROLES;
+module.exports.PLAN_TRANSITIONS = PLAN_TRANSITIONS;
@@ -6,6 +6,7 @@
 const { BigQuery } = require('@google-cloud/bigquery');
 const { config, validateConfig } = require('../config/bigquery-config');
 const fs = require('fs');
+const audienceModel = require('./audience-model');
 
 const MEDIA_TABLE = 'media_inventory'; // Table for catalog data
 
@@ -436,28 +437,10 @@ class BigQueryService {
             warning = `Quantidade acima do máximo recomendado (${maximo})`;
         }
 
-        // Exposure logic (copied from server.js)
-        const getExposureFactor = (formato, digital, estatico) => {
-            const formatoLower = (formato || '').toLowerCase();
-            if (formatoLower.includes('empena') || formatoLower.includes('painel')) return 50000;
-            if (formatoLower.includes('metro') || formatoLower.includes('metrô')) return 45000;
-            if (formatoLower.includes('aeroporto')) return 40000;
-            if (formatoLower.includes('shopping')) return 35000;
-            if (formatoLower.includes('parque')) return 30000;
-            if (formatoLower.includes('abrigo') || formatoLower.includes('onibus') || formatoLower.includes('ônibus')) return digital ? 25000 : 20000;
-            if (formatoLower.includes('mub') || formatoLower.includes('banca')) return 22000;
-            if (formatoLower.includes('totem')) return digital ? 28000 : 18000;
-            if (formatoLower.includes('circuito')) return 20000;
-            if (formatoLower.includes('backbus') || formatoLower.includes('back bus')) return 18000;
-            if (formatoLower.includes('backseat') || formatoLower.includes('back seat')) return 8000;
-            if (formatoLower.includes('envelopamento')) return 35000;
-            if (formatoLower.includes('exterior')) return 25000;
-            return digital ? 15000 : 12000;
-        };
-
-        const exposureFactor = getExposureFactor(item.formato, item.digital, item.estatico);
+        // Audience parameters shared by every service (see audience-model)
+        const exposureFactor = audienceModel.getExposureFactor(item.formato, item.digital, item.estatico, item.praca);
         const exposicao_estimada = quantity * exposureFactor;
-        const impactRate = item.digital ? 0.25 : 0.15;
+        const impactRate = audienceModel.getImpactRate(item);
         const impacto_estimado = exposicao_estimada * impactRate;
 
         let eficiencia = null;
@@ -478,7 +461,8 @@ class BigQueryService {
             preco_unit,
             records_found: results.length, // Note: This is just 1 because of LIMIT, actual count would require separate query if needed, but original logic just checked if results > 0
             is_estimated: true,
-            exposure_factor: exposureFactor
+            exposure_factor: exposureFactor,
+            audiencia: audienceModel.estimate([{ ...item, faces: quantity }])
         };
     }
 
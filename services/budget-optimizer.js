@@ -4,8 +4,18 @@
  * Handles budget-driven optimization for OOH media planning.
  * Given a budget and campaign cycle, determines optimal face allocation
  * based on ROI and provides recommendations.
+ *
+ * Two solvers are available:
+ * - greedy: walks faces in ROI order buying range_minimo of each (default)
+ * - exact: branch-and-bound knapsack maximizing peso-weighted exposure
  */
 
+const knapsackSolver = require('./knapsack-solver');
+const planConstraints = require('./plan-constraints');
+const audienceModel = require('./audience-model');
+
+const SOLVERS = ['greedy', 'exact'];
+
 class BudgetOptimizer {
     /**
      * Calculate ROI for a face
@@ -29,9 +39,7 @@ class BudgetOptimizer {
 
         // Peso from client ranking (1=0.9, 2=0.8, ... 12=0.02)
         // Default to 0.5 if no peso data available
-        const peso = (face.pesos !== null && face.pesos !== undefined && face.pesos > 0)
-            ? face.pesos
-            : 0.5;
+        const peso = this.getPeso(face);
 
         // Combined ROI score — peso acts as primary weighting factor
         const roi = (priceEfficiency * 0.4 + quantityScore * 0.4) * formatMultiplier * digitalBonus * peso;
@@ -54,29 +62,37 @@ class BudgetOptimizer {
     }
 
     /**
-     * Get estimated exposure factor based on format/type
-     * (Copied from BigQuery Service logic)
+     * Weekly impressions per face, from the audience model
+     * (audience_params table, falling back to the format ladder)
+     */
+    getExposureFactor(formato, digital, estatico, praca) {
+        return audienceModel.getExposureFactor(formato, digital, estatico, praca);
+    }
+
+    /**
+     * Detect circuit/package rows (all-or-nothing purchase units).
+     * Same rule as the planning table: explicit circuito field, a circuit-like
+     * formato name, or quantidade == 1 with range_minimo == range_maximo > 1.
      */
-    getExposureFactor(formato, digital, estatico) {
-        const formatoLower = (formato || '').toLowerCase();
-        // Convert to boolean explicitly (database stores as 0/1)
-        const isDigital = Boolean(digital);
-        const isEstatico = Boolean(estatico);
-
-        if (formatoLower.includes('empena') || formatoLower.includes('painel')) return 50000;
-        if (formatoLower.includes('metro') || formatoLower.includes('metrô')) return 45000;
-        if (formatoLower.includes('aeroporto')) return 40000;
-        if (formatoLower.includes('shopping')) return 35000;
-        if (formatoLower.includes('parque')) return 30000;
-        if (formatoLower.includes('abrigo') || formatoLower.includes('onibus') || formatoLower.includes('ônibus')) return isDigital ? 25000 : 20000;
-        if (formatoLower.includes('mub') || formatoLower.includes('banca')) return 22000;
-        if (formatoLower.includes('totem')) return isDigital ? 28000 : 18000;
-        if (formatoLower.includes('circuito')) return 20000;
-        if (formatoLower.includes('backbus') || formatoLower.includes('back bus')) return 18000;
-        if (formatoLower.includes('backseat') || formatoLower.includes('back seat')) return 8000;
-        if (formatoLower.includes('envelopamento')) return 35000;
-        if (formatoLower.includes('exterior')) return 25000;
-        return isDigital ? 15000 : 12000;
+    detectCircuito(face) {
+        if (face.circuito) return face.circuito;
+        const fLower = (face.formato || '').toLowerCase();
+        if (fLower.includes('circuito') || fLower.includes('pacote') || fLower.includes(' full')) {
+            return face.formato;
+        }
+        const rMin = face.range_minimo;
+        const rMax = face.range_maximo;
+        if (face.quantidade === 1 && rMin > 1 && rMin === rMax) return face.formato;
+        return null;
+    }
+
+    /**
+     * Peso used as weighting factor (defaults to 0.5 when missing)
+     */
+    getPeso(face) {
+        return (face.pesos !== null && face.pesos !== undefined && face.pesos > 0)
+            ? face.pesos
+            : 0.5;
     }
 
     /**
@@ -167,6 +183,115 @@ class BudgetOptimizer {
         };
     }
 
+    /**
+     * Allocate budget to faces with the exact branch-and-bound solver.
+     * Maximizes peso-weighted exposure subject to the budget, buying either
+     * nothing or between range_minimo and range_maximo faces of each row.
+     * Circuit rows are all-or-nothing: one package of range_maximo faces
+     * priced at unitario_bruto_negociado.
+     * `options.constraints` takes normalized planner rules (see plan-constraints).
+     */
+    allocateBudgetExact(budget, inventory, campaignCycle, options = {}) {
+        const candidates = inventory.map(face => {
+            const unitPrice = this.parseNumber(face.unitario_bruto_negociado);
+            const minQuantity = this.parseNumber(face.range_minimo);
+            const maxQuantity = Math.max(this.parseNumber(face.range_maximo), minQuantity);
+            const isCircuito = Boolean(this.detectCircuito(face));
+            const facesPerUnit = isCircuito ? maxQuantity : 1;
+            const exposurePerFace = this.getExposureFactor(face.formato, face.digital, face.estatico, face.praca);
+
+            return {
+                face,
+                isCircuito,
+                facesPerUnit,
+                item: {
+                    value: exposurePerFace * this.getPeso(face) * facesPerUnit,
+                    cost: unitPrice,
+                    min: isCircuito ? 1 : minQuantity,
+                    max: isCircuito ? (maxQuantity > 0 ? 1 : 0) : maxQuantity,
+                    allOrNothing: isCircuito
+                }
+            };
+        });
+
+        const items = candidates.map(c => c.item);
+        const { constraints: normalizedConstraints, ...searchOptions } = options;
+
+        let compiled = null;
+        let problems = [];
+        if (normalizedConstraints) {
+            compiled = planConstraints.compile(normalizedConstraints, candidates.map(c => c.face));
+            problems = planConstraints.precheck(compiled, items, budget);
+            searchOptions.constraints = compiled;
+        }
+
+        // Rules proven infeasible upfront skip the search entirely
+        const solution = problems.length > 0
+            ? { feasible: false, quantities: items.map(() => 0), value: 0, upperBound: 0, gap: null, optimal: true, nodes: 0 }
+            : knapsackSolver.solve(items, budget, searchOptions);
+
+        const constraintReport = compiled
+            ? planConstraints.analyze(compiled, items, budget, solution, problems, searchOptions)
+            : null;
+
+        const selectedFaces = [];
+        let allocatedBudget = 0;
+        let totalFacesCount = 0;
+
+        candidates.forEach((candidate, i) => {
+            const units = solution.quantities[i];
+            if (!units) return;
+
+            const { face, facesPerUnit } = candidate;
+            const quantity = units * facesPerUnit;
+            const totalCost = units * candidate.item.cost;
+
+            selectedFaces.push({
+                id: face.ID,
+                praca: face.praca,
+                uf: face.uf,
+                exibidores: face.exibidores,
+                formato: face.formato,
+                taxonomia: face.taxonomia,
+                digital: face.digital,
+                estatico: face.estatico,
+                circuito: candidate.isCircuito,
+                ranking: face.ranking || null,
+                pesos: face.pesos || null,
+                quantity,
+                unitPrice: quantity > 0 ? totalCost / quantity : 0,
+                totalCost,
+                roi: this.calculateROI(face, campaignCycle).toFixed(2),
+                weightedExposure: units * candidate.item.value
+            });
+
+            allocatedBudget += totalCost;
+            totalFacesCount += quantity;
+        });
+
+        // Highest weighted exposure first, mirroring the greedy priority order
+        selectedFaces.sort((a, b) => b.weightedExposure - a.weightedExposure);
+        selectedFaces.forEach((face, i) => {
+            face.priority = i + 1;
+        });
+
+        return {
+            selectedFaces,
+            allocatedBudget,
+            remainingBudget: budget - allocatedBudget,
+            facesCount: totalFacesCount,
+            feasible: solution.feasible,
+            constraintReport,
+            solverStats: {
+                weightedExposure: solution.value,
+                upperBound: solution.upperBound,
+                optimalityGap: solution.gap,
+                optimal: solution.optimal,
+                nodesExplored: solution.nodes
+            }
+        };
+    }
+
     /**
      * Calculate ideal budget for a given market/filters
      */
@@ -191,9 +316,40 @@ class BudgetOptimizer {
      * @param {number} budget - Total budget available
      * @param {number} campaignCycle - Campaign duration in weeks
      * @param {Array} inventory - Inventory data from BigQuery
+     * @param {Object} [options]
+     * @param {string} [options.solver='greedy'] - 'greedy' or 'exact'
+     * @param {number} [options.nodeLimit] - Exact solver node limit
+     * @param {number} [options.timeLimitMs] - Exact solver time limit
+     * @param {Object} [options.constraints] - Planner rules (shares, mandatory, banned);
+     *        they are only honoured by the exact solver, which is used whenever rules are given
      */
-    optimizeAllocation(budget, campaignCycle, inventory) {
+    optimizeAllocation(budget, campaignCycle, inventory, options = {}) {
         try {
+            let solver = options.solver || 'greedy';
+            if (!SOLVERS.includes(solver)) {
+                return {
+                    status: 'error',
+                    message: `Solver inválido: ${solver}`
+                };
+            }
+
+            let normalizedConstraints = null;
+            let bannedReport = [];
+            if (!planConstraints.isEmpty(options.constraints)) {
+                normalizedConstraints = planConstraints.normalize(options.constraints);
+                if (normalizedConstraints.errors.length > 0) {
+                    return {
+                        status: 'error',
+                        message: 'Restrições inválidas: ' + normalizedConstraints.errors.join('; ')
+                    };
+                }
+
+                const banResult = planConstraints.applyBans(inventory || [], normalizedConstraints.banned);
+                inventory = banResult.inventory;
+                bannedReport = banResult.report;
+                solver = 'exact';
+            }
+
             if (!inventory || inventory.length === 0) {
                 return {
                     status: 'error',
@@ -205,7 +361,31 @@ class BudgetOptimizer {
             const idealBudget = this.calculateIdealBudget(inventory, campaignCycle);
 
             // Allocate budget to faces
-            const allocation = this.allocateBudgetToFaces(budget, inventory, campaignCycle);
+            const allocation = solver === 'exact'
+                ? this.allocateBudgetExact(budget, inventory, campaignCycle, { ...options, constraints: normalizedConstraints })
+                : this.allocateBudgetToFaces(budget, inventory, campaignCycle);
+
+            const constraintReport = normalizedConstraints
+                ? [...(allocation.constraintReport || []), ...bannedReport]
+                : undefined;
+
+            if (allocation.feasible === false) {
+                const blocking = constraintReport.filter(c => c.status === 'infeasible').map(c => c.id);
+                return {
+                    status: 'infeasible',
+                    statusMessage: `❌ Restrições inviáveis: ${blocking.join(', ') || 'combinação de regras'}`,
+                    solver,
+                    idealBudget,
+                    allocatedBudget: 0,
+                    remainingBudget: budget,
+                    facesCount: 0,
+                    recommendedFaces: [],
+                    totalInventorySize: inventory.length,
+                    constraintReport,
+                    // false when the search hit its limit before proving infeasibility
+                    proven: allocation.solverStats.optimal
+                };
+            }
 
             // Determine budget status
             let status;
@@ -224,15 +404,22 @@ class BudgetOptimizer {
 
             // Calculate total exposure for selected faces
             const totalExposure = allocation.selectedFaces.reduce((sum, face) => {
-                const exposureFactor = this.getExposureFactor(face.formato, face.digital, face.estatico);
+                const exposureFactor = this.getExposureFactor(face.formato, face.digital, face.estatico, face.praca);
                 return sum + (face.quantity * exposureFactor);
             }, 0);
 
             const eficiencia = allocation.allocatedBudget > 0 ? totalExposure / allocation.allocatedBudget : 0;
 
-            return {
+            // Reach & frequency of the selected faces over the campaign cycle
+            const audiencia = audienceModel.estimate(
+                allocation.selectedFaces.map(face => ({ ...face, faces: face.quantity })),
+                campaignCycle
+            );
+
+            const result = {
                 status,
                 statusMessage,
+                solver,
                 idealBudget,
                 allocatedBudget: allocation.allocatedBudget,
                 remainingBudget: allocation.remainingBudget,
@@ -245,9 +432,26 @@ class BudgetOptimizer {
                 },
                 totalInventorySize: inventory.length,
                 exposicao_estimada: totalExposure,
-                eficiencia: eficiencia
+                eficiencia: eficiencia,
+                alcance: audiencia.reach,
+                alcance_percentual: audiencia.reachPercent,
+                frequencia_media: audiencia.frequency,
+                grp: audiencia.grp
             };
 
+            if (allocation.solverStats) {
+                result.exposicao_ponderada = allocation.solverStats.weightedExposure;
+                result.optimalityGap = allocation.solverStats.optimalityGap;
+                result.optimal = allocation.solverStats.optimal;
+                result.nodesExplored = allocation.solverStats.nodesExplored;
+            }
+
+            if (constraintReport) {
+                result.constraintReport = constraintReport;
+            }
+
+            return result;
+
         } catch (error) {
             console.error('Error in optimizeAllocation:', error);
             return {
@@ -259,3 +463,4 @@ class BudgetOptimizer {
 }
 
 module.exports = new BudgetOptimizer();
+module.exports.SOLVERS = SOLVERS;
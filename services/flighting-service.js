@@ -0,0 +1,260 @@
+/**
+ * Flighting Service
+ *
+ * Spreads each planning row's faces over the weeks of a campaign cycle.
+ * A row is bought in insertions whose length follows `periodicidade`
+ * (Semanal = 1 week, Bisemanal/Quinzenal = 2, Mensal = 4, "N dias" ≈ N/7),
+ * so insertions can only start every `periodWeeks` weeks. Every insertion
+ * carries 0 or between range_minimo and range_maximo faces; circuits always
+ * carry the whole package.
+ *
+ * Goals:
+ * - continuous: presence in as many insertion slots as possible, evenly split
+ * - burst: concentrate faces in the slot of `burstWeek`, spilling forward
+ * - pulse: alternate on/off slots, spilling onto the off slots only if needed
+ *
+ * The calendar grid has, per row and week, the faces starting that week
+ * (same convention as S1–S4: faces bought) and the faces on air.
+ */
+
+const budgetOptimizer = require('./budget-optimizer');
+
+const GOALS = ['continuous', 'burst', 'pulse'];
+
+class FlightingService {
+    /**
+     * Insertion length in weeks for a periodicidade label
+     */
+    getPeriodWeeks(periodicidade) {
+        const text = String(periodicidade || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[\s-]/g, '');
+
+        const days = text.match(/^(\d+)dias?$/);
+        if (days) return Math.max(1, Math.round(parseInt(days[1]) / 7));
+        if (text.startsWith('diari') || text === 'semanal') return 1;
+        if (text.startsWith('bisemanal') || text.startsWith('bissemanal') || text === 'quinzenal') return 2;
+        if (text === 'mensal') return 4;
+        return 1;
+    }
+
+    /**
+     * Faces per insertion bounds for a row
+     * @returns {Object} { min, max } (min === max for circuits)
+     */
+    getInsertionBounds(row) {
+        const rangeMin = budgetOptimizer.parseNumber(row.range_minimo);
+        const rangeMax = Math.max(budgetOptimizer.parseNumber(row.range_maximo), rangeMin);
+
+        if (row.circuito) {
+            const packageSize = Math.max(1, Math.round(budgetOptimizer.parseNumber(row.faces_por_unidade) || rangeMax || 1));
+            return { min: packageSize, max: packageSize };
+        }
+
+        const max = rangeMax > 0 ? rangeMax : Math.max(1, budgetOptimizer.parseNumber(row.totalFaces));
+        return { min: Math.max(1, Math.min(rangeMin || 1, max)), max };
+    }
+
+    /**
+     * Evenly spaced subset of `count` slots
+     */
+    spreadSlots(slots, count) {
+        if (count >= slots.length) return [...slots];
+        return Array.from({ length: count }, (_, i) => slots[Math.floor((i * slots.length) / count)]);
+    }
+
+    /**
+     * Even split of `total` over `slots`, each between min and max (or 0)
+     */
+    splitEvenly(total, slots, min, max, faces) {
+        const count = Math.min(slots.length, Math.floor(total / min));
+        if (count <= 0) return total;
+
+        const active = this.spreadSlots(slots, count);
+        const base = Math.min(max, Math.floor(total / count));
+        let left = total;
+        active.forEach(slot => {
+            faces[slot] = base;
+            left -= base;
+        });
+        // Remainder one face at a time, still capped by max
+        for (let i = 0; left > 0 && i < active.length; i++) {
+            const add = Math.min(left, max - faces[active[i]]);
+            faces[active[i]] += add;
+            left -= add;
+        }
+        return left;
+    }
+
+    /**
+     * Fill slots in preference order up to max; returns faces left over
+     */
+    fillInOrder(total, slots, min, max, faces) {
+        let left = total;
+        let lastFilled = null;
+
+        for (const slot of slots) {
+            if (left <= 0) break;
+            const room = max - faces[slot];
+            if (room <= 0) continue;
+            // An empty slot must reach the minimum to be used at all
+            if (faces[slot] === 0 && left < min) {
+                // Borrow from the previous slot when it can stay above the minimum
+                if (lastFilled !== null && faces[lastFilled] - (min - left) >= min) {
+                    faces[lastFilled] -= min - left;
+                    faces[slot] = min;
+                    left = 0;
+                }
+                break;
+            }
+            const add = Math.min(room, left);
+            faces[slot] += add;
+            left -= add;
+            lastFilled = slot;
+        }
+        return left;
+    }
+
+    /**
+     * Flight one row
+     * @returns {Object} row grid entry
+     */
+    flightRow(row, campaignCycle, goal, burstWeek) {
+        const periodWeeks = this.getPeriodWeeks(row.periodicidade);
+        const { min, max } = this.getInsertionBounds(row);
+        const totalFaces = Math.max(0, Math.round(budgetOptimizer.parseNumber(row.totalFaces)));
+        const warnings = [];
+
+        // Insertion slots: week indexes (0-based) where an insertion may start
+        const slots = [];
+        for (let week = 0; week < campaignCycle; week += periodWeeks) slots.push(week);
+        const faces = {};
+        slots.forEach(slot => { faces[slot] = 0; });
+
+        let target = totalFaces;
+        if (row.circuito && target % min !== 0) {
+            target = Math.round(target / min) * min;
+            warnings.push(`Circuito vendido em pacotes de ${min} faces: ${totalFaces} → ${target}`);
+        }
+        if (target > slots.length * max) {
+            warnings.push(`Capacidade do ciclo: ${slots.length} inserção(ões) × ${max} faces`);
+        }
+
+        let left = target;
+        if (goal === 'burst') {
+            const burstIndex = Math.max(0, Math.min(slots.length - 1, Math.floor((burstWeek - 1) / periodWeeks)));
+            const order = [...slots.slice(burstIndex), ...slots.slice(0, burstIndex).reverse()];
+            left = this.fillInOrder(left, order, min, max, faces);
+        } else if (goal === 'pulse') {
+            const on = slots.filter((_, i) => i % 2 === 0);
+            const off = slots.filter((_, i) => i % 2 === 1);
+            left = this.splitEvenly(left, on, min, max, faces);
+            left = this.fillInOrder(left, [...on, ...off], min, max, faces);
+        } else {
+            left = this.splitEvenly(left, slots, min, max, faces);
+            left = this.fillInOrder(left, slots, min, max, faces);
+        }
+
+        if (left > 0) {
+            warnings.push(`${left} face(s) não alocada(s) (mín. ${min} / máx. ${max} por inserção)`);
+        }
+
+        const weeks = new Array(campaignCycle).fill(0);
+        const onAir = new Array(campaignCycle).fill(0);
+        const insertions = [];
+        slots.forEach(slot => {
+            if (faces[slot] <= 0) return;
+            weeks[slot] = faces[slot];
+            const endWeek = Math.min(slot + periodWeeks, campaignCycle);
+            for (let w = slot; w < endWeek; w++) onAir[w] += faces[slot];
+            insertions.push({ startWeek: slot + 1, endWeek, faces: faces[slot] });
+            if (slot + periodWeeks > campaignCycle) {
+                warnings.push(`Inserção da semana ${slot + 1} ultrapassa o fim do ciclo (${row.periodicidade})`);
+            }
+        });
+
+        return {
+            exibidores: row.exibidores,
+            formato: row.formato,
+            circuito: row.circuito || null,
+            periodicidade: row.periodicidade || null,
+            periodWeeks,
+            minPerInsertion: min,
+            maxPerInsertion: max,
+            requestedFaces: totalFaces,
+            assignedFaces: target - left,
+            unassignedFaces: left,
+            insertions,
+            weeks,
+            onAir,
+            warnings
+        };
+    }
+
+    /**
+     * Build the flighting calendar for a set of planning rows
+     * @param {Array<Object>} rows - { exibidores, formato, periodicidade, range_minimo, range_maximo,
+     *        totalFaces, circuito, faces_por_unidade }
+     * @param {number} campaignCycle - Campaign duration in weeks
+     * @param {Object} [options]
+     * @param {string} [options.goal='continuous'] - 'continuous', 'burst' or 'pulse'
+     * @param {number} [options.burstWeek=1] - Week (1-based) the burst starts in
+     * @returns {Object} { status, weeks, rows, totals }
+     */
+    buildCalendar(rows, campaignCycle, options = {}) {
+        try {
+            const goal = options.goal || 'continuous';
+            const burstWeek = parseInt(options.burstWeek) || 1;
+
+            if (!GOALS.includes(goal)) {
+                return {
+                    status: 'error',
+                    message: `Objetivo inválido: ${goal} (use ${GOALS.join(', ')})`
+                };
+            }
+
+            if (!Array.isArray(rows) || rows.length === 0) {
+                return {
+                    status: 'error',
+                    message: 'Nenhuma linha para distribuir'
+                };
+            }
+
+            const calendarRows = rows.map(row => this.flightRow(row, campaignCycle, goal, burstWeek));
+
+            const weekTotals = new Array(campaignCycle).fill(0);
+            const onAirTotals = new Array(campaignCycle).fill(0);
+            calendarRows.forEach(r => {
+                r.weeks.forEach((v, i) => { weekTotals[i] += v; });
+                r.onAir.forEach((v, i) => { onAirTotals[i] += v; });
+            });
+
+            return {
+                status: 'success',
+                campaignCycle,
+                goal,
+                burstWeek: goal === 'burst' ? burstWeek : null,
+                weeks: Array.from({ length: campaignCycle }, (_, i) => `S${i + 1}`),
+                rows: calendarRows,
+                totals: {
+                    weeks: weekTotals,
+                    onAir: onAirTotals,
+                    weeksWithPresence: onAirTotals.filter(v => v > 0).length,
+                    unassignedFaces: calendarRows.reduce((s, r) => s + r.unassignedFaces, 0)
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in buildCalendar:', error);
+            return {
+                status: 'error',
+                message: 'Erro ao distribuir semanas: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = new FlightingService();
+module.exports.GOALS = GOALS;
@@ -0,0 +1,224 @@
+/**
+ * Frontier Service
+ *
+ * Sweeps budget levels for a filtered inventory and builds the efficient
+ * frontier of budget vs. exposure ("what do we get with 20% less money?").
+ * Each level is solved by the BudgetOptimizer; points that buy no more
+ * exposure than a cheaper point are dominated and left off the frontier.
+ * The knee is the frontier point farthest from the straight line joining
+ * its cheapest and most expensive points (normalized axes).
+ */
+
+const budgetOptimizer = require('./budget-optimizer');
+
+const DEFAULT_STEPS = 12;
+const MAX_STEPS = 40;
+const POINT_TIME_LIMIT_MS = 1000;
+
+class FrontierService {
+    /**
+     * Budget range worth sweeping: from the cheapest single purchase up to
+     * buying every row at range_maximo
+     */
+    getBudgetRange(inventory) {
+        let minCost = Infinity;
+        let maxCost = 0;
+
+        inventory.forEach(face => {
+            const unitPrice = budgetOptimizer.parseNumber(face.unitario_bruto_negociado);
+            const minQuantity = budgetOptimizer.parseNumber(face.range_minimo);
+            const maxQuantity = Math.max(budgetOptimizer.parseNumber(face.range_maximo), minQuantity);
+            if (unitPrice <= 0 || maxQuantity <= 0) return;
+
+            // Circuits are one package priced at the unit price
+            const isCircuito = Boolean(budgetOptimizer.detectCircuito(face));
+            const entryCost = isCircuito ? unitPrice : unitPrice * Math.max(1, minQuantity);
+            const fullCost = isCircuito ? unitPrice : unitPrice * maxQuantity;
+
+            minCost = Math.min(minCost, entryCost);
+            maxCost += fullCost;
+        });
+
+        return { minBudget: minCost === Infinity ? 0 : minCost, maxBudget: maxCost };
+    }
+
+    /**
+     * Evenly spaced budget levels between min and max (inclusive)
+     */
+    buildBudgetLevels(minBudget, maxBudget, steps) {
+        if (steps <= 1 || maxBudget <= minBudget) return [maxBudget];
+        const stepSize = (maxBudget - minBudget) / (steps - 1);
+        return Array.from({ length: steps }, (_, i) => Math.round(minBudget + stepSize * i));
+    }
+
+    /**
+     * Budget/exposure point for one optimizer result
+     */
+    buildPoint(budget, optimization) {
+        const formatGroups = {};
+        optimization.recommendedFaces.forEach(face => {
+            const formato = face.formato || 'Outros';
+            if (!formatGroups[formato]) {
+                formatGroups[formato] = { formato, faces: 0, cost: 0, exposure: 0 };
+            }
+            const group = formatGroups[formato];
+            group.faces += face.quantity;
+            group.cost += face.totalCost;
+            group.exposure += face.quantity * budgetOptimizer.getExposureFactor(face.formato, face.digital, face.estatico, face.praca);
+        });
+
+        const allocated = optimization.allocatedBudget;
+        const formatMix = Object.values(formatGroups)
+            .map(group => ({ ...group, share: allocated > 0 ? group.cost / allocated : 0 }))
+            .sort((a, b) => b.cost - a.cost);
+
+        const point = {
+            budget,
+            allocatedBudget: allocated,
+            exposure: optimization.exposicao_estimada,
+            faces: optimization.facesCount,
+            cpf: optimization.facesCount > 0 ? allocated / optimization.facesCount : 0,
+            reach: optimization.alcance,
+            frequency: optimization.frequencia_media,
+            grp: optimization.grp,
+            formatMix
+        };
+
+        if (optimization.exposicao_ponderada !== undefined) {
+            point.weightedExposure = optimization.exposicao_ponderada;
+            point.optimalityGap = optimization.optimalityGap;
+        }
+
+        return point;
+    }
+
+    /**
+     * Keep only points that buy more exposure than every cheaper point
+     */
+    filterEfficient(points) {
+        const sorted = [...points].sort((a, b) =>
+            a.allocatedBudget - b.allocatedBudget || b.exposure - a.exposure
+        );
+
+        const frontier = [];
+        let bestExposure = -Infinity;
+        sorted.forEach(point => {
+            if (point.exposure > bestExposure) {
+                frontier.push(point);
+                bestExposure = point.exposure;
+            }
+        });
+        return frontier;
+    }
+
+    /**
+     * Knee point: largest distance above the chord between the frontier
+     * endpoints, with both axes scaled to [0, 1]
+     */
+    findKnee(frontier) {
+        if (frontier.length < 3) return null;
+
+        const first = frontier[0];
+        const last = frontier[frontier.length - 1];
+        const budgetSpan = last.allocatedBudget - first.allocatedBudget;
+        const exposureSpan = last.exposure - first.exposure;
+        if (budgetSpan <= 0 || exposureSpan <= 0) return null;
+
+        let knee = null;
+        let bestDistance = 0;
+        frontier.forEach(point => {
+            const x = (point.allocatedBudget - first.allocatedBudget) / budgetSpan;
+            const y = (point.exposure - first.exposure) / exposureSpan;
+            // Chord is y = x; concave frontiers sit above it
+            const distance = y - x;
+            if (distance > bestDistance) {
+                bestDistance = distance;
+                knee = point;
+            }
+        });
+
+        return knee;
+    }
+
+    /**
+     * Sweep budgets and build the efficient frontier
+     * @param {Array} inventory - Inventory already filtered by praça/taxonomia
+     * @param {number} campaignCycle - Campaign duration in weeks
+     * @param {Object} [options]
+     * @param {number} [options.minBudget] - Lowest budget (default: cheapest purchase)
+     * @param {number} [options.maxBudget] - Highest budget (default: whole inventory at range_maximo)
+     * @param {number} [options.steps=12] - Number of budget levels (max 40)
+     * @param {string} [options.solver='exact'] - Optimizer solver
+     * @param {Object} [options.constraints] - Planner rules passed to the optimizer
+     * @returns {Object} { status, points, frontier, knee }
+     */
+    computeFrontier(inventory, campaignCycle, options = {}) {
+        try {
+            if (!inventory || inventory.length === 0) {
+                return {
+                    status: 'error',
+                    message: 'Nenhuma face disponível com os filtros aplicados'
+                };
+            }
+
+            const range = this.getBudgetRange(inventory);
+            const minBudget = options.minBudget > 0 ? options.minBudget : range.minBudget;
+            const maxBudget = options.maxBudget > 0 ? options.maxBudget : range.maxBudget;
+            const steps = Math.min(Math.max(parseInt(options.steps) || DEFAULT_STEPS, 1), MAX_STEPS);
+            const solver = options.solver || 'exact';
+
+            if (maxBudget < minBudget) {
+                return {
+                    status: 'error',
+                    message: 'Budget máximo menor que o mínimo'
+                };
+            }
+
+            const points = [];
+            const skipped = [];
+            for (const budget of this.buildBudgetLevels(minBudget, maxBudget, steps)) {
+                const optimization = budgetOptimizer.optimizeAllocation(budget, campaignCycle, inventory, {
+                    solver,
+                    constraints: options.constraints,
+                    timeLimitMs: POINT_TIME_LIMIT_MS
+                });
+
+                if (optimization.status === 'error') {
+                    return optimization;
+                }
+                if (optimization.status === 'infeasible' || optimization.facesCount === 0) {
+                    skipped.push({ budget, reason: optimization.statusMessage || 'Nenhuma face cabe no budget' });
+                    continue;
+                }
+
+                points.push(this.buildPoint(budget, optimization));
+            }
+
+            const frontier = this.filterEfficient(points);
+            const knee = this.findKnee(frontier);
+
+            console.log(`📈 Fronteira: ${points.length} pontos, ${frontier.length} eficientes (${solver})`);
+
+            return {
+                status: 'success',
+                solver,
+                campaignCycle,
+                minBudget,
+                maxBudget,
+                points,
+                frontier,
+                knee,
+                skipped
+            };
+
+        } catch (error) {
+            console.error('Error in computeFrontier:', error);
+            return {
+                status: 'error',
+                message: 'Erro ao calcular fronteira de budget: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = new FrontierService();
@@ -0,0 +1,299 @@
+/**
+ * Insertion Order Service
+ * Pedidos de Inserção (PI): one order per exibidor of an approved plan,
+ * with a sequential number per year (PI-2026-0001…) stored in the users
+ * database. Orders point to the plan version they were issued from, so the
+ * documents (XLSX and PDF) can be generated again at any time with the same
+ * content; issuing again for the same version keeps the numbers.
+ *
+ * Values are priced like the XLSX export (services/plan-export.js):
+ * negotiated = tabela × (1 − desconto), net = negotiated × faces / faces per unit.
+ */
+
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const authService = require('./auth-service');
+const planExport = require('./plan-export');
+const planProposal = require('./plan-proposal');
+
+// Plans can only be sent to the vehicles once approved
+const ISSUABLE_STATUSES = ['approved', 'sent'];
+const MAX_PDF_WEEK_COLUMNS = 8;
+
+const CURRENCY = '"R$" #,##0.00';
+const PERCENT = '0.0%';
+
+const formatCurrency = (value) => 'R$ ' + Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatPercent = (value) => `${(Number(value || 0) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+
+class InsertionOrderService {
+    get db() {
+        return authService.db;
+    }
+
+    initialize() {
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS insertion_orders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    pi_number TEXT UNIQUE NOT NULL,
+                    year INTEGER NOT NULL,
+                    sequence INTEGER NOT NULL,
+                    plan_id INTEGER NOT NULL,
+                    plan_version INTEGER NOT NULL,
+                    exibidor TEXT NOT NULL,
+                    lines INTEGER NOT NULL,
+                    faces INTEGER NOT NULL,
+                    net_total REAL NOT NULL,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (plan_id, plan_version, exibidor),
+                    UNIQUE (year, sequence),
+                    FOREIGN KEY (plan_id) REFERENCES plans(id),
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                );
+                CREATE INDEX IF NOT EXISTS idx_insertion_orders_plan ON insertion_orders(plan_id);
+            `);
+            console.log('✅ Insertion order service initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Insertion order service:', error.message);
+        }
+    }
+
+    canIssue(plan) {
+        return ISSUABLE_STATUSES.includes(plan.status) && !!plan.status_version;
+    }
+
+    /**
+     * Rows of a plan version grouped by exibidor, priced like the XLSX export
+     * @returns {Array<Object>} { exibidor, lines: [{ block, row, weeks, faces, tabela, discount, negotiated, total }], faces, netTotal }
+     */
+    groupByExibidor(blocks) {
+        const groups = new Map();
+
+        (blocks || [])
+            .filter(block => block.active && Array.isArray(block.planningRows))
+            .forEach(block => {
+                planExport.getExportRows(block).forEach(item => {
+                    const exibidor = String(item.row.exibidores || '').trim() || 'Sem exibidor';
+                    if (!groups.has(exibidor)) groups.set(exibidor, { exibidor, lines: [], faces: 0, netTotal: 0 });
+
+                    const group = groups.get(exibidor);
+                    group.lines.push({ block, ...item });
+                    group.faces += item.faces;
+                    group.netTotal += item.total;
+                });
+            });
+
+        return [...groups.values()].sort((a, b) => a.exibidor.localeCompare(b.exibidor, 'pt-BR'));
+    }
+
+    /**
+     * Issue the orders of the approved version of a plan. Exibidores that
+     * already have an order for this version keep their number.
+     * @returns {Object} { version, orders, created }
+     */
+    issueOrders(plan, userId) {
+        const version = authService.getPlanVersion(plan.id, plan.status_version);
+        if (!version) throw new Error(`Version ${plan.status_version} of plan ${plan.id} not found`);
+
+        const year = new Date().getFullYear();
+        const groups = this.groupByExibidor(version.data);
+        let created = 0;
+
+        const issue = this.db.transaction(() => {
+            groups.forEach(group => {
+                const existing = this.db.prepare(`
+                    SELECT id FROM insertion_orders WHERE plan_id = ? AND plan_version = ? AND exibidor = ?
+                `).get(plan.id, version.version, group.exibidor);
+                if (existing) return;
+
+                const { next } = this.db.prepare(`
+                    SELECT COALESCE(MAX(sequence), 0) + 1 AS next FROM insertion_orders WHERE year = ?
+                `).get(year);
+                const piNumber = `PI-${year}-${String(next).padStart(4, '0')}`;
+
+                this.db.prepare(`
+                    INSERT INTO insertion_orders (pi_number, year, sequence, plan_id, plan_version, exibidor, lines, faces, net_total, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(piNumber, year, next, plan.id, version.version, group.exibidor,
+                    group.lines.length, group.faces, Math.round(group.netTotal * 100) / 100, userId);
+                created++;
+            });
+        });
+        issue();
+
+        if (created > 0) {
+            console.log(`🧾 ${created} pedido(s) de inserção emitido(s) para o plano ${plan.id} v${version.version}`);
+        }
+        return { version: version.version, orders: this.listOrders(plan.id), created };
+    }
+
+    /**
+     * Orders of a plan, newest version first
+     */
+    listOrders(planId) {
+        try {
+            return this.db.prepare(`
+                SELECT o.id, o.pi_number, o.plan_id, o.plan_version, o.exibidor, o.lines, o.faces, o.net_total,
+                       o.created_at, u.username AS created_by
+                FROM insertion_orders o
+                LEFT JOIN users u ON u.id = o.created_by
+                WHERE o.plan_id = ?
+                ORDER BY o.plan_version DESC, o.exibidor
+            `).all(planId);
+        } catch (error) {
+            console.error('Error fetching insertion orders:', error.message);
+            return [];
+        }
+    }
+
+    getOrder(planId, piNumber) {
+        return this.db.prepare(`
+            SELECT o.*, u.username AS created_by_username
+            FROM insertion_orders o
+            LEFT JOIN users u ON u.id = o.created_by
+            WHERE o.plan_id = ? AND o.pi_number = ?
+        `).get(planId, piNumber);
+    }
+
+    /**
+     * Content of an order, rebuilt from the plan version it was issued from
+     * @returns {Object|null} { order, plan, lines, weeks, faces, netTotal }
+     */
+    getOrderDocument(plan, order) {
+        const version = authService.getPlanVersion(plan.id, order.plan_version);
+        if (!version) return null;
+
+        const group = this.groupByExibidor(version.data).find(g => g.exibidor === order.exibidor)
+            || { lines: [], faces: 0, netTotal: 0 };
+        const weeks = Math.max(4, ...group.lines.map(line => Math.max(Number(line.block.campaignCycle) || 4, line.weeks.length)));
+
+        return { order, plan: { ...version, status: plan.status }, lines: group.lines, weeks, faces: group.faces, netTotal: group.netTotal };
+    }
+
+    // ============================================
+    // DOCUMENTS
+    // ============================================
+
+    /**
+     * @returns {Buffer} .xlsx file with the order header and one line per media
+     */
+    toXlsx(document) {
+        const { order, plan, lines, weeks } = document;
+        const weekLabels = Array.from({ length: weeks }, (_, i) => `S${i + 1}`);
+        const header = ['Praça', 'Taxonomia', 'Formato', 'Circuito', 'Material', ...weekLabels, 'Quantidade',
+            'Unitário tabela', 'Desconto', 'Unitário negociado', 'Valor líquido', 'Observações'];
+
+        const aoa = [
+            ['Pedido de Inserção', order.pi_number],
+            ['Exibidor', order.exibidor],
+            ['Plano', `${plan.name} (#${order.plan_id})`],
+            ['Versão', order.plan_version],
+            ['Emitido em', order.created_at],
+            ['Emitido por', order.created_by_username || ''],
+            [],
+            header
+        ];
+        const firstLine = aoa.length + 1;
+
+        lines.forEach(({ block, row, weeks: values, faces, tabela, discount, negotiated, total }) => {
+            aoa.push([
+                block.praca || '',
+                block.taxonomia || '',
+                row.formato || '',
+                row.circuito || '',
+                row.digital ? 'Digital' : 'Estático',
+                ...weekLabels.map((_, i) => values[i] || 0),
+                faces,
+                tabela,
+                discount,
+                negotiated,
+                total,
+                row.obs || ''
+            ]);
+        });
+        const lastLine = aoa.length;
+        aoa.push(['TOTAL', '', '', '', '', ...weekLabels.map(() => ''), document.faces, '', '', '', Math.round(document.netTotal * 100) / 100, '']);
+
+        const sheet = XLSX.utils.aoa_to_sheet(aoa);
+        const col = (offset) => XLSX.utils.encode_col(5 + weeks + offset);
+        const totalLine = lastLine + 1;
+
+        for (let r = firstLine; r <= lastLine; r++) {
+            sheet[`${col(1)}${r}`].z = CURRENCY;
+            sheet[`${col(2)}${r}`].z = PERCENT;
+            sheet[`${col(3)}${r}`].z = CURRENCY;
+            sheet[`${col(4)}${r}`].z = CURRENCY;
+        }
+        if (lines.length > 0) {
+            sheet[`${col(0)}${totalLine}`].f = `SUM(${col(0)}${firstLine}:${col(0)}${lastLine})`;
+            sheet[`${col(4)}${totalLine}`].f = `SUM(${col(4)}${firstLine}:${col(4)}${lastLine})`;
+        }
+        sheet[`${col(4)}${totalLine}`].z = CURRENCY;
+
+        sheet['!cols'] = header.map((label, i) => ({ wch: [0, 1, 2].includes(i) ? 24 : (label === 'Observações' ? 40 : Math.max(8, label.length + 2)) }));
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, order.pi_number);
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    /**
+     * @returns {Promise<Buffer>} PDF in the layout of the plan proposal tables
+     */
+    toPdf(document) {
+        const { order, plan, lines, weeks } = document;
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                layout: 'landscape',
+                margin: 36,
+                bufferPages: true,
+                info: { Title: `Pedido de Inserção ${order.pi_number} — ${order.exibidor}`, Author: 'OOH Planner' }
+            });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                planProposal.drawTitle(doc, `Pedido de Inserção ${order.pi_number}`,
+                    `Exibidor: ${order.exibidor} · Plano: ${plan.name} v${order.plan_version} · Emitido em ${order.created_at}` +
+                    (order.created_by_username ? ` por ${order.created_by_username}` : ''));
+
+                const weekColumns = weeks <= MAX_PDF_WEEK_COLUMNS
+                    ? Array.from({ length: weeks }, (_, i) => ({
+                        label: `S${i + 1}`, width: 0.6, align: 'right', value: l => String(l.weeks[i] || 0)
+                    }))
+                    : [{ label: `Semanas (S1–S${weeks})`, width: 3, wrap: true, value: l => l.weeks.join(' ') }];
+
+                const columns = [
+                    { label: 'Praça', width: 2, value: l => l.block.praca || '' },
+                    { label: 'Formato', width: 2.6, value: l => l.row.formato || '' },
+                    { label: 'Circuito', width: 1.4, value: l => l.row.circuito || '' },
+                    ...weekColumns,
+                    { label: 'Qtd.', width: 0.8, align: 'right', value: l => String(l.faces) },
+                    { label: 'Tabela unit.', width: 1.8, align: 'right', value: l => formatCurrency(l.tabela) },
+                    { label: 'Desc.', width: 0.9, align: 'right', value: l => formatPercent(l.discount) },
+                    { label: 'Valor líquido', width: 1.9, align: 'right', value: l => formatCurrency(l.total) },
+                    { label: 'Observações', width: 3, wrap: true, value: l => l.row.obs || '' }
+                ];
+                const total = columns.map(() => '');
+                total[0] = 'Total';
+                total[columns.findIndex(c => c.label === 'Qtd.')] = String(document.faces);
+                total[columns.findIndex(c => c.label === 'Valor líquido')] = formatCurrency(document.netTotal);
+
+                planProposal.drawTable(doc, columns, lines, { total });
+                planProposal.drawFooters(doc, `${order.pi_number} · ${order.exibidor}`);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+module.exports = new InsertionOrderService();
+module.exports.ISSUABLE_STATUSES = ISSUABLE_STATUSES;
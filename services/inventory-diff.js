@@ -0,0 +1,199 @@
+/**
+ * Inventory Diff Service
+ *
+ * Compares two inventory snapshots (see inventory-snapshot-service.js), e.g.
+ * two spreadsheets sent by the client:
+ * - rows are keyed by taxonomia + praça + exibidor + formato + circuito, plus
+ *   the material (static and digital versions of a medium are separate rows)
+ * - reports new and removed rows and, for rows in both, changes of price
+ *   (unitário tabela / negociado), range (mínimo / máximo) and peso (pesos,
+ *   ranking)
+ * - finds the saved plans that buy affected media: plan rows are matched by
+ *   praça + taxonomia + exibidor + formato + material, the grouping
+ *   /api/get-planning-data uses to build them (see plan-analytics.js)
+ */
+
+const planAnalytics = require('./plan-analytics');
+
+// Compared fields, by kind of change
+const FIELD_GROUPS = {
+    price: ['unitario_bruto_tabela', 'unitario_bruto_negociado'],
+    range: ['range_minimo', 'range_maximo'],
+    peso: ['pesos', 'ranking']
+};
+
+const REASON_LABELS = { removed: 'removida', price: 'preço', range: 'range', peso: 'peso' };
+
+// Tolerance for float noise in spreadsheet values
+const EPSILON = 1e-6;
+
+const text = (value) => String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+
+class InventoryDiff {
+    materialOf(row) {
+        return row.digital ? 'DIG' : (row.estatico ? 'EST' : 'N/A');
+    }
+
+    rowKey(row) {
+        return [row.taxonomia, row.praca, row.exibidores, row.formato, row.circuito, this.materialOf(row)].map(text).join('|');
+    }
+
+    /**
+     * Key of the plan rows built from an inventory row (planAnalytics.getActiveRows `key`)
+     */
+    planKey(row) {
+        return [row.praca, row.taxonomia, row.exibidores, row.formato, row.material || this.materialOf(row)]
+            .map(v => String(v || '').toLowerCase())
+            .join('|');
+    }
+
+    /**
+     * Index rows by key; repeated keys get a #2, #3… suffix in file order
+     */
+    index(rows) {
+        const map = new Map();
+        rows.forEach(row => {
+            const base = this.rowKey(row);
+            let key = base;
+            for (let n = 2; map.has(key); n++) key = `${base}#${n}`;
+            map.set(key, row);
+        });
+        return map;
+    }
+
+    describe(key, row) {
+        return {
+            key,
+            taxonomia: row.taxonomia,
+            praca: row.praca,
+            uf: row.uf,
+            exibidores: row.exibidores,
+            formato: row.formato,
+            circuito: row.circuito,
+            material: this.materialOf(row),
+            unitario_bruto_tabela: row.unitario_bruto_tabela,
+            unitario_bruto_negociado: row.unitario_bruto_negociado,
+            range_minimo: row.range_minimo,
+            range_maximo: row.range_maximo,
+            pesos: row.pesos
+        };
+    }
+
+    same(a, b) {
+        if (a === null || a === undefined || b === null || b === undefined) {
+            return (a === null || a === undefined) === (b === null || b === undefined);
+        }
+        return Math.abs(Number(a) - Number(b)) < EPSILON;
+    }
+
+    /**
+     * Compare two inventories
+     * @param {Array<Object>} fromRows - inventory rows of the older snapshot
+     * @param {Array<Object>} toRows - inventory rows of the newer snapshot
+     * @returns {Object} { summary, added, removed, changed }
+     */
+    compare(fromRows, toRows) {
+        const before = this.index(fromRows || []);
+        const after = this.index(toRows || []);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        after.forEach((row, key) => {
+            if (!before.has(key)) added.push(this.describe(key, row));
+        });
+
+        before.forEach((row, key) => {
+            const next = after.get(key);
+            if (!next) return removed.push(this.describe(key, row));
+
+            const changes = {};
+            Object.entries(FIELD_GROUPS).forEach(([kind, fields]) => {
+                fields.forEach(field => {
+                    if (this.same(row[field], next[field])) return;
+                    const change = { field, from: row[field], to: next[field] };
+                    if (kind === 'price' && Number(row[field]) > 0 && next[field] !== null && next[field] !== undefined) {
+                        change.pct = Math.round((Number(next[field]) / Number(row[field]) - 1) * 10000) / 100;
+                    }
+                    (changes[kind] = changes[kind] || []).push(change);
+                });
+            });
+
+            if (Object.keys(changes).length > 0) {
+                changed.push({ ...this.describe(key, next), kinds: Object.keys(changes), changes });
+            }
+        });
+
+        const countKind = (kind) => changed.filter(c => c.kinds.includes(kind)).length;
+
+        return {
+            summary: {
+                fromRows: before.size,
+                toRows: after.size,
+                added: added.length,
+                removed: removed.length,
+                changed: changed.length,
+                priceChanges: countKind('price'),
+                rangeChanges: countKind('range'),
+                pesoChanges: countKind('peso'),
+                unchanged: before.size - removed.length - changed.length
+            },
+            added,
+            removed,
+            changed
+        };
+    }
+
+    /**
+     * Saved plans buying media that was removed or changed
+     * @param {Object} diff - result of compare()
+     * @param {Array<Object>} plans - { id, name, status, workspace_name?, data }
+     * @returns {Array<Object>} { id, name, status, workspace_name, rows: [{ blockId, praca, taxonomia, exibidores, formato, material, faces, reasons }] }
+     */
+    affectedPlans(diff, plans) {
+        // Plan row key → reasons (several inventory rows can feed one plan row)
+        const impacts = new Map();
+        const flag = (row, reasons) => {
+            const key = this.planKey(row);
+            if (!impacts.has(key)) impacts.set(key, new Set());
+            reasons.forEach(reason => impacts.get(key).add(reason));
+        };
+        diff.removed.forEach(row => flag(row, ['removed']));
+        diff.changed.forEach(row => flag(row, row.kinds));
+
+        return (plans || [])
+            .map(plan => {
+                const rows = planAnalytics.getActiveRows(plan.data)
+                    .filter(row => impacts.has(row.key))
+                    .map(row => ({
+                        blockId: row.blockId,
+                        praca: row.praca,
+                        taxonomia: row.taxonomia,
+                        exibidores: row.exibidores,
+                        formato: row.formato,
+                        material: row.material,
+                        faces: row.faces,
+                        investment: row.investment,
+                        reasons: [...impacts.get(row.key)]
+                    }));
+
+                return {
+                    id: plan.id,
+                    name: plan.name,
+                    status: plan.status,
+                    workspace_name: plan.workspace_name || null,
+                    investment: rows.reduce((s, r) => s + r.investment, 0),
+                    rows
+                };
+            })
+            .filter(plan => plan.rows.length > 0);
+    }
+
+    reasonLabel(reason) {
+        return REASON_LABELS[reason] || reason;
+    }
+}
+
+module.exports = new InventoryDiff();
+module.exports.FIELD_GROUPS = FIELD_GROUPS;
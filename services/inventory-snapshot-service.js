@@ -0,0 +1,283 @@
+/**
+ * Inventory Snapshot Service
+ * Every import (database/import.js, database/import-excel.js) builds a new
+ * SQLite file in database/snapshots/ instead of deleting ooh_planner.db.
+ * The snapshot is registered in manifest.json with its source file, source
+ * hash, row count and validation summary, and only becomes the active
+ * inventory when validation passes: activation copies it next to
+ * ooh_planner.db and renames it over the live file in one step.
+ *
+ * The running server picks the new file up by itself (sqlite-service
+ * reopens when ooh_planner.db is replaced). Older snapshots stay on disk for
+ * rollback; only the last INVENTORY_SNAPSHOTS_KEEP (default 5) are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DB_PATH = path.join(__dirname, '../database/ooh_planner.db');
+const SNAPSHOT_DIR = path.join(__dirname, '../database/snapshots');
+const MANIFEST_PATH = path.join(SNAPSHOT_DIR, 'manifest.json');
+const DEFAULT_KEEP = 5;
+
+class InventorySnapshotService {
+    get keep() {
+        const keep = parseInt(process.env.INVENTORY_SNAPSHOTS_KEEP, 10);
+        return keep > 0 ? keep : DEFAULT_KEEP;
+    }
+
+    readManifest() {
+        try {
+            return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+        } catch (error) {
+            return { active: null, snapshots: [] };
+        }
+    }
+
+    writeManifest(manifest) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        const tmpPath = `${MANIFEST_PATH}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmpPath, MANIFEST_PATH);
+    }
+
+    filePath(snapshot) {
+        return path.join(SNAPSHOT_DIR, snapshot.file);
+    }
+
+    hashFile(filePath) {
+        return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    }
+
+    countRows(filePath) {
+        const Database = require('better-sqlite3');
+        const db = new Database(filePath, { readonly: true, fileMustExist: true });
+        try {
+            return db.prepare('SELECT COUNT(*) AS total FROM inventory').get().total;
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Snapshots, newest first, with an `active` flag
+     */
+    list() {
+        const manifest = this.readManifest();
+        return manifest.snapshots
+            .map(snapshot => ({ ...snapshot, active: snapshot.id === manifest.active }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    get(id) {
+        return this.list().find(snapshot => snapshot.id === id) || null;
+    }
+
+    getActive() {
+        return this.list().find(snapshot => snapshot.active) || null;
+    }
+
+    /**
+     * Inventory rows of a snapshot
+     * @param {string} ref - snapshot id (or, with allowFiles, the path of an inventory .db file)
+     * @returns {Object} { snapshot: { id, source, createdAt, active, rows }, rows } or { error, status }
+     */
+    readInventory(ref, { allowFiles = false } = {}) {
+        let snapshot = this.get(ref);
+        let filePath = snapshot ? this.filePath(snapshot) : null;
+
+        if (!snapshot && allowFiles && ref && fs.existsSync(ref)) {
+            filePath = path.resolve(ref);
+            snapshot = { id: path.basename(filePath), source: filePath, createdAt: fs.statSync(filePath).mtime.toISOString(), active: false };
+        }
+        if (!snapshot) return { error: `Snapshot ${ref} não encontrado`, status: 404 };
+        if (!fs.existsSync(filePath)) return { error: `Arquivo do snapshot ${ref} não encontrado`, status: 410 };
+
+        const Database = require('better-sqlite3');
+        const db = new Database(filePath, { readonly: true, fileMustExist: true });
+        try {
+            const rows = db.prepare('SELECT * FROM inventory').all();
+            return {
+                snapshot: { id: snapshot.id, source: snapshot.source, createdAt: snapshot.createdAt, active: snapshot.active, rows: rows.length },
+                rows
+            };
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Snapshots to compare: `to` defaults to the active one and `from` to the
+     * snapshot created just before `to`
+     * @returns {Object} { from, to } ids or { error, status }
+     */
+    resolvePair(from, to) {
+        const snapshots = this.list();
+        const target = to || (snapshots.find(s => s.active) || {}).id;
+        if (!target) return { error: 'Nenhum snapshot ativo para comparar', status: 404 };
+        if (from) return { from, to: target };
+
+        const index = snapshots.findIndex(s => s.id === target);
+        const previous = index >= 0 ? snapshots[index + 1] : null;
+        if (!previous) return { error: `Nenhum snapshot anterior a ${target}`, status: 404 };
+        return { from: previous.id, to: target };
+    }
+
+    /**
+     * Reserve a new snapshot file for an import
+     * @param {string} sourcePath - File being imported (hashed into the id)
+     * @returns {Object} { id, path, sourceHash }
+     */
+    create(sourcePath) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        const sourceHash = this.hashFile(sourcePath);
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+        let id = `${stamp}-${sourceHash.slice(0, 8)}`;
+        const taken = new Set(this.readManifest().snapshots.map(s => s.id));
+        for (let n = 2; taken.has(id) || fs.existsSync(path.join(SNAPSHOT_DIR, `${id}.db`)); n++) {
+            id = `${stamp}-${sourceHash.slice(0, 8)}-${n}`;
+        }
+
+        return { id, path: path.join(SNAPSHOT_DIR, `${id}.db`), sourceHash };
+    }
+
+    /**
+     * Copy the audience parameters of the active inventory into a snapshot
+     * being built (they are seeded per database, not imported)
+     * @param {Object} db - better-sqlite3 handle of the new snapshot
+     * @returns {number} rows copied
+     */
+    carryOverAudienceParams(db) {
+        if (!fs.existsSync(DB_PATH)) return 0;
+
+        db.prepare('ATTACH DATABASE ? AS previous').run(DB_PATH);
+        try {
+            const hasTable = db.prepare("SELECT name FROM previous.sqlite_master WHERE type = 'table' AND name = 'audience_params'").get();
+            if (!hasTable) return 0;
+
+            const previous = new Set(db.prepare('PRAGMA previous.table_info(audience_params)').all().map(c => c.name));
+            const columns = db.prepare('PRAGMA main.table_info(audience_params)').all()
+                .map(c => c.name)
+                .filter(name => name !== 'id' && previous.has(name))
+                .join(', ');
+
+            return db.prepare(`INSERT INTO main.audience_params (${columns}) SELECT ${columns} FROM previous.audience_params`).run().changes;
+        } finally {
+            db.prepare('DETACH DATABASE previous').run();
+        }
+    }
+
+    /**
+     * Record a built snapshot (not active yet)
+     * @param {Object} info - { id, path, sourceHash, source, importer, rows, validation: { passed, errors, warnings, report }, createdAt? }
+     * @returns {Object} snapshot
+     */
+    register(info) {
+        const manifest = this.readManifest();
+        const snapshot = {
+            id: info.id,
+            file: path.basename(info.path),
+            source: info.source,
+            sourceHash: info.sourceHash,
+            importer: info.importer,
+            rows: info.rows,
+            createdAt: info.createdAt || new Date().toISOString(),
+            validation: info.validation || null,
+            activatedAt: null,
+            activatedBy: null
+        };
+        manifest.snapshots.push(snapshot);
+        this.writeManifest(manifest);
+        this.prune();
+        return snapshot;
+    }
+
+    /**
+     * Register the current ooh_planner.db as a snapshot when none is active,
+     * so the first managed import can still be rolled back
+     * @returns {Object|null} baseline snapshot
+     */
+    ensureBaseline() {
+        const manifest = this.readManifest();
+        if (manifest.active || !fs.existsSync(DB_PATH)) return null;
+
+        const reserved = this.create(DB_PATH);
+        fs.copyFileSync(DB_PATH, reserved.path);
+
+        let rows = null;
+        try {
+            rows = this.countRows(reserved.path);
+        } catch (error) {
+            console.warn('⚠️  Banco atual sem tabela inventory:', error.message);
+        }
+
+        const snapshot = this.register({
+            ...reserved,
+            source: path.basename(DB_PATH),
+            importer: 'baseline',
+            rows,
+            createdAt: fs.statSync(DB_PATH).mtime.toISOString(),
+            validation: null
+        });
+
+        const updated = this.readManifest();
+        updated.active = snapshot.id;
+        this.writeManifest(updated);
+        return snapshot;
+    }
+
+    /**
+     * Make a snapshot the live inventory (also used for rollback)
+     * @param {string} id
+     * @param {Object} options - { by: username, force: activate a snapshot that failed validation }
+     * @returns {Object} { snapshot, previous } or { error, status }
+     */
+    activate(id, { by = null, force = false } = {}) {
+        const manifest = this.readManifest();
+        const snapshot = manifest.snapshots.find(s => s.id === id);
+        if (!snapshot) return { error: 'Snapshot não encontrado', status: 404 };
+        if (!fs.existsSync(this.filePath(snapshot))) return { error: 'Arquivo do snapshot não encontrado', status: 410 };
+        if (snapshot.validation && snapshot.validation.passed === false && !force) {
+            return { error: 'Snapshot reprovado na validação', status: 409 };
+        }
+
+        const previous = manifest.active;
+        const tmpPath = `${DB_PATH}.activating`;
+        fs.copyFileSync(this.filePath(snapshot), tmpPath);
+        fs.renameSync(tmpPath, DB_PATH);
+
+        snapshot.activatedAt = new Date().toISOString();
+        snapshot.activatedBy = by;
+        manifest.active = snapshot.id;
+        this.writeManifest(manifest);
+        this.prune();
+
+        return { snapshot: { ...snapshot, active: true }, previous };
+    }
+
+    /**
+     * Delete the oldest snapshots beyond `keep` (the active one always stays)
+     * @returns {Array<string>} removed ids
+     */
+    prune(keep = this.keep) {
+        const manifest = this.readManifest();
+        const sorted = [...manifest.snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const removed = sorted.slice(keep).filter(s => s.id !== manifest.active);
+        if (removed.length === 0) return [];
+
+        removed.forEach(snapshot => {
+            const filePath = this.filePath(snapshot);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+
+        const ids = new Set(removed.map(s => s.id));
+        manifest.snapshots = manifest.snapshots.filter(s => !ids.has(s.id));
+        this.writeManifest(manifest);
+        return [...ids];
+    }
+}
+
+module.exports = new InventorySnapshotService();
+module.exports.SNAPSHOT_DIR = SNAPSHOT_DIR;
@@ -0,0 +1,217 @@
+/**
+ * Knapsack Solver
+ *
+ * Branch-and-bound solver for the face allocation problem. Each item is a
+ * semi-continuous integer variable: either 0 units or between `min` and `max`
+ * units (exactly `max` for all-or-nothing items such as circuits). The solver
+ * maximizes total value subject to the budget.
+ *
+ * The upper bound at every node is the LP relaxation (fractional knapsack with
+ * the minimums relaxed to 0), so when the search stops on its node/time limit
+ * the reported gap is still a proven bound on the distance to the optimum.
+ *
+ * Side constraints (planner rules) are supported:
+ * - shares: spend of a group of items between min and max share of total spend
+ * - requireAny: at least one item of a group must be bought
+ * They are checked on every candidate solution; share caps also prune the
+ * tree as soon as a group's spend exceeds its cap over the whole budget.
+ */
+
+const DEFAULT_NODE_LIMIT = 200000;
+const DEFAULT_TIME_LIMIT_MS = 3000;
+const EPSILON = 1e-6;
+
+class KnapsackSolver {
+    /**
+     * Solve the bounded knapsack
+     * @param {Array<Object>} items - { value, cost, min, max, allOrNothing } (value/cost per unit)
+     * @param {number} capacity - Budget available
+     * @param {Object} [options]
+     * @param {number} [options.nodeLimit] - Max nodes explored before stopping
+     * @param {number} [options.timeLimitMs] - Max search time before stopping
+     * @param {Object} [options.constraints] - { shares: [{ members, min, max }], requireAny: [{ members }] }
+     *        where `members` is a boolean array aligned with `items`
+     * @returns {Object} { feasible, quantities, value, cost, upperBound, gap, optimal, nodes }
+     */
+    solve(items, capacity, options = {}) {
+        const nodeLimit = options.nodeLimit || DEFAULT_NODE_LIMIT;
+        const deadline = Date.now() + (options.timeLimitMs || DEFAULT_TIME_LIMIT_MS);
+        const shares = (options.constraints && options.constraints.shares) || [];
+        const requireAny = (options.constraints && options.constraints.requireAny) || [];
+
+        const quantities = new Array(items.length).fill(0);
+        let fixedValue = 0;
+        const remainingCapacity = capacity;
+
+        // Free items are always taken at max; worthless items never enter the search
+        const order = [];
+        items.forEach((item, index) => {
+            if (!(item.value > 0) || !(item.max > 0)) return;
+            if (item.cost <= 0) {
+                quantities[index] = item.max;
+                fixedValue += item.value * item.max;
+                return;
+            }
+            order.push({
+                index,
+                value: item.value,
+                cost: item.cost,
+                min: item.allOrNothing ? item.max : Math.max(1, Math.min(item.min || 1, item.max)),
+                max: item.max,
+                density: item.value / item.cost
+            });
+        });
+
+        // Density order makes the fractional bound a simple prefix scan
+        order.sort((a, b) => b.density - a.density);
+
+        const n = order.length;
+        const current = new Array(n).fill(0);
+
+        // Side constraint state, indexed by position in `order`
+        const shareMembers = shares.map(c => order.map(item => Boolean(c.members[item.index])));
+        const shareSpend = shares.map(() => 0);
+        const requireMembers = requireAny.map(c => order.map(item => Boolean(c.members[item.index])));
+        const requireCount = requireAny.map(c =>
+            // Free items taken upfront already satisfy their groups
+            items.reduce((count, item, index) => count + (c.members[index] && quantities[index] > 0 ? 1 : 0), 0)
+        );
+        const requireLast = requireMembers.map(members => members.lastIndexOf(true));
+
+        const isFeasible = (spent) => {
+            for (let j = 0; j < requireAny.length; j++) {
+                if (requireCount[j] === 0) return false;
+            }
+            for (let j = 0; j < shares.length; j++) {
+                const { min, max } = shares[j];
+                if (spent <= EPSILON) {
+                    if (min > 0) return false;
+                    continue;
+                }
+                const share = shareSpend[j] / spent;
+                if (min !== null && min !== undefined && share < min - EPSILON) return false;
+                if (max !== null && max !== undefined && share > max + EPSILON) return false;
+            }
+            return true;
+        };
+
+        const canStillSatisfy = (k) => {
+            for (let j = 0; j < requireAny.length; j++) {
+                if (requireCount[j] === 0 && requireLast[j] < k) return false;
+            }
+            for (let j = 0; j < shares.length; j++) {
+                const { max } = shares[j];
+                if (max !== null && max !== undefined && shareSpend[j] > max * capacity + EPSILON) return false;
+            }
+            return true;
+        };
+
+        const take = (k, q, sign) => {
+            const spend = sign * q * order[k].cost;
+            for (let j = 0; j < shares.length; j++) {
+                if (shareMembers[j][k]) shareSpend[j] += spend;
+            }
+            for (let j = 0; j < requireAny.length; j++) {
+                if (requireMembers[j][k]) requireCount[j] += sign;
+            }
+        };
+
+        let bestValue = -Infinity;
+        let bestCost = 0;
+        let bestCounts = null;
+        let nodes = 0;
+        let stopped = false;
+        let openBound = 0;
+
+        const fractionalBound = (k, remaining) => {
+            let value = 0;
+            for (let i = k; i < n; i++) {
+                const item = order[i];
+                const fullCost = item.cost * item.max;
+                if (fullCost <= remaining) {
+                    value += item.value * item.max;
+                    remaining -= fullCost;
+                } else {
+                    value += item.density * remaining;
+                    break;
+                }
+            }
+            return value;
+        };
+
+        const search = (k, remaining, value) => {
+            nodes++;
+            if ((nodes & 1023) === 0 && Date.now() > deadline) stopped = true;
+            if (nodes >= nodeLimit) stopped = true;
+
+            if (value > bestValue + EPSILON && isFeasible(remainingCapacity - remaining)) {
+                bestValue = value;
+                bestCost = remainingCapacity - remaining;
+                bestCounts = current.slice();
+            }
+            if (k >= n || !canStillSatisfy(k)) return;
+
+            const upper = value + fractionalBound(k, remaining);
+            if (upper <= bestValue + EPSILON) return;
+            if (stopped) {
+                // Unexplored subtree: remember its bound so the gap stays honest
+                openBound = Math.max(openBound, upper);
+                return;
+            }
+
+            const item = order[k];
+            const affordable = Math.min(item.max, Math.floor((remaining + EPSILON) / item.cost));
+
+            // Try the largest quantities first; the bound only decreases as q drops
+            for (let q = affordable; q >= item.min; q--) {
+                const childRemaining = remaining - q * item.cost;
+                const childValue = value + q * item.value;
+                if (childValue + fractionalBound(k + 1, childRemaining) <= bestValue + EPSILON) break;
+                current[k] = q;
+                take(k, q, 1);
+                search(k + 1, childRemaining, childValue);
+                take(k, q, -1);
+                current[k] = 0;
+            }
+
+            search(k + 1, remaining, value);
+        };
+
+        search(0, remainingCapacity, 0);
+
+        if (!bestCounts) {
+            return {
+                feasible: false,
+                quantities: new Array(items.length).fill(0),
+                value: 0,
+                cost: 0,
+                upperBound: fixedValue + openBound,
+                gap: null,
+                // Without a stop the whole tree was pruned: infeasibility is proven
+                optimal: !stopped,
+                nodes
+            };
+        }
+
+        order.forEach((item, i) => {
+            quantities[item.index] = bestCounts[i];
+        });
+
+        const value = fixedValue + bestValue;
+        const upperBound = fixedValue + Math.max(bestValue, openBound);
+        const gap = upperBound > 0 ? (upperBound - value) / upperBound : 0;
+
+        return {
+            feasible: true,
+            quantities,
+            value,
+            cost: bestCost,
+            upperBound,
+            gap: gap < EPSILON ? 0 : gap,
+            optimal: !stopped || openBound <= bestValue + EPSILON,
+            nodes
+        };
+    }
+}
+
+module.exports = new KnapsackSolver();
@@ -0,0 +1,246 @@
+/**
+ * National Allocator Service
+ *
+ * Splits one national budget across several praça/taxonomia markets.
+ * Each market's exposure curve is sampled on a budget grid with the exact
+ * BudgetOptimizer (peso-weighted exposure), then a dynamic program picks the
+ * grid level per market that maximizes total weighted exposure while
+ * respecting the total and the optional min/max per market. Because the
+ * curves are not concave (circuits, range_minimo), the DP is used instead of
+ * handing out money greedily.
+ *
+ * For each market the result reports the marginal weighted exposure per
+ * extra real: the gain of moving it one grid step up, divided by the step.
+ */
+
+const budgetOptimizer = require('./budget-optimizer');
+const recommendationService = require('./recommendation-service');
+
+const DEFAULT_STEPS = 20;
+const MAX_STEPS = 100;
+const POINT_TIME_LIMIT_MS = 500;
+
+class NationalAllocator {
+    /**
+     * Validate and normalize the market list
+     * @returns {Object} { markets, errors }
+     */
+    normalizeMarkets(markets) {
+        const errors = [];
+
+        if (!Array.isArray(markets) || markets.length === 0) {
+            return { markets: [], errors: ['Informe ao menos uma praça'] };
+        }
+
+        const seen = new Set();
+        const normalized = markets.map((market, i) => {
+            const praca = market && market.praca;
+            const taxonomia = market && market.taxonomia;
+            const minBudget = Number(market && market.minBudget) || 0;
+            const maxBudget = market && market.maxBudget ? Number(market.maxBudget) : null;
+
+            if (!praca || !taxonomia) {
+                errors.push(`pracas[${i}]: praça e taxonomia são obrigatórias`);
+            }
+            if (minBudget < 0 || (maxBudget !== null && (isNaN(maxBudget) || maxBudget < minBudget))) {
+                errors.push(`pracas[${i}]: min/max inválidos`);
+            }
+
+            const key = `${String(praca).toLowerCase()}|${String(taxonomia).toLowerCase()}`;
+            if (seen.has(key)) {
+                errors.push(`pracas[${i}]: ${praca} / ${taxonomia} repetida`);
+            }
+            seen.add(key);
+
+            return { praca, taxonomia, minBudget, maxBudget };
+        });
+
+        return { markets: normalized, errors };
+    }
+
+    /**
+     * Weighted exposure bought by the exact solver at a given budget
+     */
+    solveMarket(budget, campaignCycle, inventory) {
+        if (budget <= 0) {
+            return { weightedExposure: 0, optimization: null };
+        }
+        const optimization = budgetOptimizer.optimizeAllocation(budget, campaignCycle, inventory, {
+            solver: 'exact',
+            timeLimitMs: POINT_TIME_LIMIT_MS
+        });
+        return {
+            weightedExposure: optimization.exposicao_ponderada || 0,
+            optimization
+        };
+    }
+
+    /**
+     * Multiple-choice knapsack over grid levels
+     * @param {Array<Array<number>>} curves - curves[m][k] = value of market m at k steps (null = not allowed)
+     * @param {number} totalSteps - Grid steps available
+     * @returns {Array<number>|null} Chosen level per market, null when no combination fits
+     */
+    pickLevels(curves, totalSteps) {
+        // best[s] = best total value using at most s steps over the markets seen so far
+        let best = new Array(totalSteps + 1).fill(0);
+        const choices = [];
+
+        curves.forEach(curve => {
+            const next = new Array(totalSteps + 1).fill(-Infinity);
+            const choice = new Array(totalSteps + 1).fill(-1);
+
+            for (let s = 0; s <= totalSteps; s++) {
+                for (let k = 0; k <= s && k < curve.length; k++) {
+                    if (curve[k] === null || best[s - k] === -Infinity) continue;
+                    const value = best[s - k] + curve[k];
+                    if (value > next[s]) {
+                        next[s] = value;
+                        choice[s] = k;
+                    }
+                }
+            }
+
+            choices.push(choice);
+            best = next;
+        });
+
+        if (best[totalSteps] === -Infinity) return null;
+
+        const levels = new Array(curves.length);
+        let s = totalSteps;
+        for (let m = curves.length - 1; m >= 0; m--) {
+            levels[m] = choices[m][s];
+            s -= levels[m];
+        }
+        return levels;
+    }
+
+    /**
+     * Split a national budget across markets
+     * @param {number} totalBudget - National budget
+     * @param {Array<Object>} markets - [{ praca, taxonomia, minBudget?, maxBudget? }]
+     * @param {number} campaignCycle - Campaign duration in weeks
+     * @param {Array} inventory - Full inventory dataset
+     * @param {Object} [options]
+     * @param {number} [options.steps=20] - Grid steps the total budget is divided into (max 100)
+     * @returns {Object} { status, step, allocations, ... }
+     */
+    allocate(totalBudget, markets, campaignCycle, inventory, options = {}) {
+        try {
+            const { markets: normalized, errors } = this.normalizeMarkets(markets);
+            if (errors.length > 0) {
+                return {
+                    status: 'error',
+                    message: 'Praças inválidas: ' + errors.join('; ')
+                };
+            }
+
+            const totalSteps = Math.min(Math.max(parseInt(options.steps) || DEFAULT_STEPS, 1), MAX_STEPS);
+            const step = totalBudget / totalSteps;
+
+            const minTotal = normalized.reduce((sum, m) => sum + m.minBudget, 0);
+            if (minTotal > totalBudget) {
+                return {
+                    status: 'error',
+                    message: `Soma dos mínimos por praça (${budgetOptimizer.formatCurrency(minTotal)}) acima do budget total`
+                };
+            }
+
+            // Sample every market's curve on the grid
+            const samples = normalized.map(market => {
+                const marketInventory = recommendationService.filterInventory(inventory, market.taxonomia, market.praca);
+                const minLevel = Math.ceil(market.minBudget / step - 1e-9);
+                const maxLevel = market.maxBudget !== null
+                    ? Math.floor(market.maxBudget / step + 1e-9)
+                    : totalSteps;
+
+                const curve = [];
+                for (let k = 0; k <= totalSteps; k++) {
+                    if (k < minLevel || k > maxLevel || marketInventory.length === 0) {
+                        curve.push(k === 0 && marketInventory.length === 0 ? 0 : null);
+                        continue;
+                    }
+                    curve.push(this.solveMarket(k * step, campaignCycle, marketInventory).weightedExposure);
+                }
+
+                return { market, marketInventory, curve, minLevel, maxLevel };
+            });
+
+            const emptyMarkets = samples.filter(s => s.marketInventory.length === 0);
+            if (emptyMarkets.some(s => s.market.minBudget > 0)) {
+                return {
+                    status: 'error',
+                    message: 'Praça sem inventário com budget mínimo: ' +
+                        emptyMarkets.map(s => `${s.market.praca} / ${s.market.taxonomia}`).join(', ')
+                };
+            }
+
+            const levels = this.pickLevels(samples.map(s => s.curve), totalSteps);
+            if (!levels) {
+                return {
+                    status: 'error',
+                    message: 'Mínimos/máximos por praça não cabem na grade de budget (aumente steps)'
+                };
+            }
+
+            let allocatedBudget = 0;
+            let totalWeightedExposure = 0;
+
+            const allocations = samples.map((sample, m) => {
+                const level = levels[m];
+                const budget = level * step;
+                const { optimization } = this.solveMarket(budget, campaignCycle, sample.marketInventory);
+                const weightedExposure = sample.curve[level] || 0;
+
+                // Gain of one more grid step (0 when the market is capped)
+                const nextValue = level + 1 <= sample.maxLevel ? sample.curve[level + 1] : null;
+                const marginalExposurePerReal = nextValue !== null && nextValue !== undefined
+                    ? Math.max(0, nextValue - weightedExposure) / step
+                    : 0;
+
+                const spent = optimization && optimization.recommendedFaces ? optimization.allocatedBudget : 0;
+                allocatedBudget += spent;
+                totalWeightedExposure += weightedExposure;
+
+                return {
+                    praca: sample.market.praca,
+                    taxonomia: sample.market.taxonomia,
+                    minBudget: sample.market.minBudget,
+                    maxBudget: sample.market.maxBudget,
+                    budget,
+                    share: totalBudget > 0 ? budget / totalBudget : 0,
+                    allocatedBudget: spent,
+                    facesCount: optimization && optimization.facesCount ? optimization.facesCount : 0,
+                    exposicao_estimada: optimization && optimization.exposicao_estimada ? optimization.exposicao_estimada : 0,
+                    exposicao_ponderada: weightedExposure,
+                    marginalExposurePerReal,
+                    inventorySize: sample.marketInventory.length,
+                    recommendedFaces: optimization && optimization.recommendedFaces ? optimization.recommendedFaces : []
+                };
+            });
+
+            console.log(`🇧🇷 Budget nacional: ${budgetOptimizer.formatCurrency(totalBudget)} em ${allocations.length} praças (passo ${budgetOptimizer.formatCurrency(step)})`);
+
+            return {
+                status: 'success',
+                totalBudget,
+                campaignCycle,
+                step,
+                allocatedBudget,
+                remainingBudget: totalBudget - allocatedBudget,
+                exposicao_ponderada: totalWeightedExposure,
+                allocations
+            };
+
+        } catch (error) {
+            console.error('Error in national allocation:', error);
+            return {
+                status: 'error',
+                message: 'Erro ao distribuir budget nacional: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = new NationalAllocator();
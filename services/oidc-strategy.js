@@ -0,0 +1,157 @@
+/**
+ * OpenID Connect login strategy
+ * Authorization code flow with PKCE against the identity provider at
+ * `issuer` (endpoints from its discovery document). The ID token is checked
+ * against the provider's JWKS (RS256), issuer, audience, expiry and nonce.
+ *
+ * Strategy interface used by server.js (/auth/:strategy/*):
+ * - createLoginRequest() → { url, pending }  pending is kept in the session
+ * - handleCallback(query, pending) → profile { subject, username, email, name, groups }
+ */
+
+const crypto = require('crypto');
+
+const HTTP_TIMEOUT = 10000;
+// Tolerated clock difference with the provider when checking exp/iat
+const CLOCK_SKEW = 60;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+class OidcStrategy {
+    /**
+     * @param {Object} options - config.oidc from config/auth-config.js
+     */
+    constructor(options) {
+        this.name = 'oidc';
+        this.label = options.label;
+        this.options = options;
+        this.metadata = null;
+        this.keys = new Map();
+    }
+
+    async fetchJson(url, init = {}) {
+        const response = await fetch(url, { ...init, signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`${url} → ${response.status} ${body.error_description || body.error || ''}`.trim());
+        }
+        return body;
+    }
+
+    /**
+     * Provider endpoints (discovery document, cached after the first success)
+     */
+    async discover() {
+        if (!this.metadata) {
+            this.metadata = await this.fetchJson(`${this.options.issuer}/.well-known/openid-configuration`);
+        }
+        return this.metadata;
+    }
+
+    /**
+     * Public key for a `kid`; the JWKS is fetched again when the key is unknown (key rotation)
+     */
+    async getSigningKey(kid) {
+        if (!this.keys.has(kid)) {
+            const { jwks_uri: jwksUri } = await this.discover();
+            const { keys = [] } = await this.fetchJson(jwksUri);
+            this.keys = new Map(keys
+                .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+                .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+        }
+
+        const key = this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null);
+        if (!key) throw new Error(`Unknown signing key '${kid}'`);
+        return key;
+    }
+
+    async createLoginRequest() {
+        const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+        const pending = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+
+        const url = new URL(authorizationEndpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.options.clientId,
+            redirect_uri: this.options.redirectUri,
+            scope: this.options.scopes,
+            state: pending.state,
+            nonce: pending.nonce,
+            code_challenge: crypto.createHash('sha256').update(pending.verifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return { url: url.toString(), pending };
+    }
+
+    async handleCallback(query, pending) {
+        if (query.error) throw new Error(`Provider error: ${query.error_description || query.error}`);
+        if (!pending || !query.state || query.state !== pending.state) throw new Error('State mismatch');
+        if (!query.code) throw new Error('Missing authorization code');
+
+        const metadata = await this.discover();
+        const tokens = await this.fetchJson(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: query.code,
+                redirect_uri: this.options.redirectUri,
+                client_id: this.options.clientId,
+                ...(this.options.clientSecret ? { client_secret: this.options.clientSecret } : {}),
+                code_verifier: pending.verifier
+            }).toString()
+        });
+
+        let claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+
+        // Some providers only expose groups through the userinfo endpoint
+        if (claims[this.options.groupsClaim] === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+            const userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` }
+            });
+            if (userinfo.sub === claims.sub) claims = { ...userinfo, ...claims };
+        }
+
+        return this.toProfile(claims);
+    }
+
+    async verifyIdToken(idToken, nonce) {
+        const segments = String(idToken || '').split('.');
+        if (segments.length !== 3) throw new Error('Malformed ID token');
+
+        const [header, payload, signature] = segments;
+        const { alg, kid } = decodeSegment(header);
+        if (alg !== 'RS256') throw new Error(`Unsupported ID token algorithm ${alg}`);
+
+        const key = await this.getSigningKey(kid);
+        const valid = crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'));
+        if (!valid) throw new Error('Invalid ID token signature');
+
+        const claims = decodeSegment(payload);
+        const now = Math.floor(Date.now() / 1000);
+        const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+        if (claims.iss !== this.metadata.issuer) throw new Error(`Unexpected issuer ${claims.iss}`);
+        if (!audience.includes(this.options.clientId)) throw new Error('ID token not issued for this client');
+        if (!claims.exp || claims.exp + CLOCK_SKEW < now) throw new Error('ID token expired');
+        if (claims.nonce !== nonce) throw new Error('Nonce mismatch');
+        if (!claims.sub) throw new Error('ID token without subject');
+
+        return claims;
+    }
+
+    toProfile(claims) {
+        const groups = claims[this.options.groupsClaim];
+        return {
+            subject: String(claims.sub),
+            username: String(claims[this.options.usernameClaim] || claims.email || claims.sub),
+            email: claims.email || null,
+            name: claims.name || null,
+            groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : [])
+        };
+    }
+}
+
+module.exports = OidcStrategy;
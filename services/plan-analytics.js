@@ -0,0 +1,442 @@
+/**
+ * Plan Analytics Service
+ *
+ * KPIs and row-level comparison of saved plans. Works on the block array
+ * stored in `plans.data` (state.mediaBlocks of the editor) and mirrors the
+ * dashboard math of the front-end (renderGlobalDashboard):
+ * - only active blocks with planningRows count, and only rows with faces
+ * - investment = Σ ttNeg, faces = Σ facesUsadas, CPF = investment / faces
+ * - format/exibidor mix = share of investment
+ * Exposure and reach come from the audience model, as in the optimizer.
+ *
+ * Rows are matched across plans by praça + taxonomia + exibidor + formato +
+ * material, the same grouping /api/get-planning-data uses to build them.
+ * Versions of one plan are diffed block by block (editor slot id) and, inside
+ * a block, by exibidor + formato + material.
+ */
+
+const audienceModel = require('./audience-model');
+
+const MIN_PLANS = 2;
+const MAX_PLANS = 5;
+
+// Row fields compared line by line
+const DIFF_FIELDS = ['faces', 'weeks', 'investment', 'grossTotal', 'discount', 'costPerFace'];
+
+// Block settings reported by the version diff
+const BLOCK_FIELDS = ['active', 'praca', 'taxonomia', 'campaignCycle', 'budget'];
+
+class PlanAnalytics {
+    sumWeeks(row) {
+        return (row.weeks_edit || []).reduce((s, v) => s + (Number(v) || 0), 0);
+    }
+
+    /**
+     * Flatten the active rows of a plan, tagged with their block's praça/taxonomia
+     * @param {Array<Object>} blocks - plans.data
+     * @returns {Array<Object>} { key, praca, taxonomia, exibidores, formato, material, faces, weeks, investment, ... }
+     */
+    getActiveRows(blocks) {
+        const rows = [];
+
+        (blocks || []).forEach(block => {
+            if (!block.active || !Array.isArray(block.planningRows)) return;
+            this.getBlockRows(block).forEach(row => rows.push(row));
+        });
+
+        return rows;
+    }
+
+    /**
+     * Rows of one block that have faces, in the shape of getActiveRows
+     */
+    getBlockRows(block) {
+        const rows = [];
+
+        (block.planningRows || []).forEach(row => {
+            const faces = row.facesUsadas !== undefined ? Number(row.facesUsadas) || 0 : this.sumWeeks(row);
+            if (faces <= 0) return;
+
+            const material = row.digital ? 'DIG' : (row.estatico ? 'EST' : 'N/A');
+            rows.push({
+                key: [block.praca, block.taxonomia, row.exibidores, row.formato, material]
+                    .map(v => String(v || '').toLowerCase())
+                    .join('|'),
+                rowKey: [row.exibidores, row.formato, material]
+                    .map(v => String(v || '').toLowerCase())
+                    .join('|'),
+                blockId: block.id,
+                praca: block.praca,
+                taxonomia: block.taxonomia,
+                campaignCycle: block.campaignCycle || 4,
+                exibidores: row.exibidores,
+                formato: row.formato,
+                material,
+                digital: row.digital,
+                estatico: row.estatico,
+                faces,
+                weeks: (row.weeks_edit || []).map(v => Number(v) || 0),
+                investment: Number(row.ttNeg) || 0,
+                grossTotal: Number(row.totalLinha) || 0,
+                discount: Number(row.negociacao_edit) || 0,
+                costPerFace: Number(row.custoFace) || 0,
+                tabela: Number(row.unitario_bruto_tabela) || 0,
+                tabelaBase: this.getBaseTabela(block, row)
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Inventory tabela price of a row, from the block's planningData
+     * (the untouched /api/get-planning-data rows saved with the plan)
+     */
+    getBaseTabela(block, row) {
+        const base = (block.planningData || []).find(item =>
+            item.exibidores === row.exibidores &&
+            item.formato === row.formato &&
+            item.digital === row.digital &&
+            item.estatico === row.estatico
+        );
+        return base ? Number(base.unitario_bruto_tabela) || 0 : null;
+    }
+
+    getRowExposure(row) {
+        return row.faces * audienceModel.getExposureFactor(row.formato, row.digital, row.estatico, row.praca);
+    }
+
+    /**
+     * Share of investment by a row field, sorted by investment
+     */
+    getMix(rows, field, totalInvest) {
+        const groups = {};
+        rows.forEach(row => {
+            const label = row[field] || 'Outros';
+            if (!groups[label]) groups[label] = { label, investment: 0, faces: 0 };
+            groups[label].investment += row.investment;
+            groups[label].faces += row.faces;
+        });
+
+        return Object.values(groups)
+            .map(group => ({ ...group, share: totalInvest > 0 ? group.investment / totalInvest : 0 }))
+            .sort((a, b) => b.investment - a.investment);
+    }
+
+    /**
+     * Dashboard KPIs of one plan
+     * @param {Array<Object>} blocks - plans.data
+     * @returns {Object} { totalFaces, totalInvest, grossTotal, cpfMedio, recortes, exposure, reach, ... }
+     */
+    summarize(blocks) {
+        const rows = this.getActiveRows(blocks);
+        const activeBlocks = (blocks || []).filter(b => b.active && Array.isArray(b.planningRows));
+
+        const totalFaces = rows.reduce((s, r) => s + r.faces, 0);
+        const totalInvest = rows.reduce((s, r) => s + r.investment, 0);
+        const grossTotal = rows.reduce((s, r) => s + r.grossTotal, 0);
+        const exposure = rows.reduce((s, r) => s + this.getRowExposure(r), 0);
+        const audience = audienceModel.estimate(rows);
+
+        return {
+            totalFaces,
+            totalInvest,
+            grossTotal,
+            discount: grossTotal > 0 ? 1 - totalInvest / grossTotal : 0,
+            cpfMedio: totalFaces > 0 ? totalInvest / totalFaces : 0,
+            recortes: activeBlocks.length,
+            pracas: [...new Set(rows.map(r => r.praca))].filter(Boolean),
+            exposure,
+            reach: audience.reach,
+            reachPercent: audience.reachPercent,
+            frequency: audience.frequency,
+            grp: audience.grp,
+            formatMix: this.getMix(rows, 'formato', totalInvest),
+            exibidorMix: this.getMix(rows, 'exibidores', totalInvest)
+        };
+    }
+
+    /**
+     * Rows of a plan merged by key (a praça/taxonomia may appear in several blocks)
+     */
+    indexRows(rows) {
+        const index = new Map();
+        rows.forEach(row => {
+            const existing = index.get(row.key);
+            if (!existing) {
+                index.set(row.key, { ...row });
+                return;
+            }
+            existing.faces += row.faces;
+            existing.investment += row.investment;
+            existing.grossTotal += row.grossTotal;
+            existing.weeks = existing.weeks.map((v, i) => v + (row.weeks[i] || 0));
+            row.weeks.slice(existing.weeks.length).forEach(v => existing.weeks.push(v));
+            existing.costPerFace = existing.faces > 0 ? existing.investment / existing.faces : 0;
+        });
+        return index;
+    }
+
+    /**
+     * Line-by-line diff of a plan against the baseline
+     * @returns {Object} { rows: [{ key, status, base, other, changes, delta }], summary }
+     */
+    diffRows(baseRows, otherRows) {
+        const base = this.indexRows(baseRows);
+        const other = this.indexRows(otherRows);
+        const keys = [...new Set([...base.keys(), ...other.keys()])];
+        const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+        const rows = keys.map(key => {
+            const before = base.get(key) || null;
+            const after = other.get(key) || null;
+            const reference = after || before;
+
+            let status;
+            let changes = [];
+            if (!before) status = 'added';
+            else if (!after) status = 'removed';
+            else {
+                changes = DIFF_FIELDS.filter(field =>
+                    JSON.stringify(before[field]) !== JSON.stringify(after[field])
+                );
+                status = changes.length > 0 ? 'changed' : 'unchanged';
+            }
+            summary[status]++;
+
+            return {
+                key,
+                status,
+                praca: reference.praca,
+                taxonomia: reference.taxonomia,
+                exibidores: reference.exibidores,
+                formato: reference.formato,
+                material: reference.material,
+                base: before,
+                other: after,
+                changes,
+                delta: {
+                    faces: (after ? after.faces : 0) - (before ? before.faces : 0),
+                    investment: (after ? after.investment : 0) - (before ? before.investment : 0)
+                }
+            };
+        });
+
+        // Changes first, then by investment moved
+        const order = { added: 0, removed: 1, changed: 2, unchanged: 3 };
+        rows.sort((a, b) =>
+            order[a.status] - order[b.status] ||
+            Math.abs(b.delta.investment) - Math.abs(a.delta.investment)
+        );
+
+        return { rows, summary };
+    }
+
+    /**
+     * Compare 2–5 plans side by side; the first one is the baseline
+     * @param {Array<Object>} plans - { id, name, version?, label?, data }
+     * @returns {Object} { status, baselineId, plans: [{ id, name, kpis, delta, diff }] }
+     */
+    compare(plans) {
+        try {
+            if (!Array.isArray(plans) || plans.length < MIN_PLANS || plans.length > MAX_PLANS) {
+                return {
+                    status: 'error',
+                    message: `Selecione de ${MIN_PLANS} a ${MAX_PLANS} planos para comparar`
+                };
+            }
+
+            const baseRows = this.getActiveRows(plans[0].data);
+            const summaries = plans.map(plan => this.summarize(plan.data));
+            const baseline = summaries[0];
+            const kpiFields = ['totalFaces', 'totalInvest', 'cpfMedio', 'exposure', 'reach', 'frequency', 'grp'];
+
+            const compared = plans.map((plan, i) => {
+                const kpis = summaries[i];
+                const delta = {};
+                kpiFields.forEach(field => {
+                    delta[field] = kpis[field] - baseline[field];
+                });
+
+                return {
+                    id: plan.id,
+                    version: plan.version || null,
+                    name: plan.name,
+                    label: plan.label || plan.name,
+                    createdAt: plan.created_at || null,
+                    kpis,
+                    delta,
+                    diff: i === 0 ? null : this.diffRows(baseRows, this.getActiveRows(plan.data))
+                };
+            });
+
+            return {
+                status: 'success',
+                baselineId: plans[0].id,
+                plans: compared
+            };
+
+        } catch (error) {
+            console.error('Error in compare:', error);
+            return {
+                status: 'error',
+                message: 'Erro ao comparar planos: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Changes of one row between two versions
+     * @returns {Array<Object>} { field, from, to, week? }
+     */
+    diffRowFields(before, after) {
+        const changes = [];
+
+        const weekCount = Math.max(before.weeks.length, after.weeks.length);
+        for (let i = 0; i < weekCount; i++) {
+            const from = before.weeks[i] || 0;
+            const to = after.weeks[i] || 0;
+            if (from !== to) changes.push({ field: 'week', week: i + 1, from, to });
+        }
+
+        if (before.discount !== after.discount) {
+            changes.push({ field: 'discount', from: before.discount, to: after.discount });
+        }
+        if (before.tabela !== after.tabela) {
+            changes.push({
+                field: 'tabela',
+                from: before.tabela,
+                to: after.tabela,
+                base: after.tabelaBase,
+                overridden: after.tabelaBase !== null && after.tabela !== after.tabelaBase
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Rows of a block in two versions, matched by exibidor + formato + material
+     */
+    diffBlockRows(beforeBlock, afterBlock) {
+        const index = block => {
+            const map = new Map();
+            if (block && block.active) {
+                this.getBlockRows(block).forEach(row => map.set(row.rowKey, row));
+            }
+            return map;
+        };
+        const before = index(beforeBlock);
+        const after = index(afterBlock);
+        const keys = [...new Set([...before.keys(), ...after.keys()])];
+
+        return keys.map(key => {
+            const from = before.get(key) || null;
+            const to = after.get(key) || null;
+            const reference = to || from;
+            const changes = from && to ? this.diffRowFields(from, to) : [];
+
+            let status = 'unchanged';
+            if (!from) status = 'added';
+            else if (!to) status = 'removed';
+            else if (changes.length > 0) status = 'changed';
+
+            return {
+                key,
+                status,
+                exibidores: reference.exibidores,
+                formato: reference.formato,
+                material: reference.material,
+                changes,
+                faces: { from: from ? from.faces : 0, to: to ? to.faces : 0 },
+                delta: {
+                    faces: (to ? to.faces : 0) - (from ? from.faces : 0),
+                    investment: (to ? to.investment : 0) - (from ? from.investment : 0),
+                    exposure: (to ? this.getRowExposure(to) : 0) - (from ? this.getRowExposure(from) : 0)
+                }
+            };
+        }).filter(row => row.status !== 'unchanged');
+    }
+
+    /**
+     * Structured diff between two versions of a plan, block by block
+     * @param {Object} from - { version, data, ... } older side
+     * @param {Object} to - { version, data, ... } newer side
+     * @returns {Object} { status, from, to, kpis, delta, blocks: [{ blockId, status, changes, rows }], summary }
+     */
+    diffVersions(from, to) {
+        try {
+            const blocksById = data => new Map((data || []).map(block => [block.id, block]));
+            const before = blocksById(from.data);
+            const after = blocksById(to.data);
+            const ids = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+            const summary = { blocksAdded: 0, blocksRemoved: 0, blocksChanged: 0, rowsAdded: 0, rowsRemoved: 0, rowsChanged: 0 };
+
+            const blocks = [];
+            ids.forEach(id => {
+                const oldBlock = before.get(id) || null;
+                const newBlock = after.get(id) || null;
+                const wasActive = Boolean(oldBlock && oldBlock.active);
+                const isActive = Boolean(newBlock && newBlock.active);
+                if (!wasActive && !isActive) return;
+
+                const changes = wasActive && isActive
+                    ? BLOCK_FIELDS
+                        .filter(field => JSON.stringify(oldBlock[field]) !== JSON.stringify(newBlock[field]))
+                        .map(field => ({ field, from: oldBlock[field], to: newBlock[field] }))
+                    : [];
+                const rows = this.diffBlockRows(oldBlock, newBlock);
+                if (wasActive && isActive && changes.length === 0 && rows.length === 0) return;
+
+                const status = !wasActive ? 'added' : (!isActive ? 'removed' : 'changed');
+                const reference = isActive ? newBlock : oldBlock;
+                summary[`blocks${status[0].toUpperCase()}${status.slice(1)}`]++;
+                rows.forEach(row => {
+                    summary[`rows${row.status[0].toUpperCase()}${row.status.slice(1)}`]++;
+                });
+
+                blocks.push({
+                    blockId: id,
+                    status,
+                    praca: reference.praca,
+                    taxonomia: reference.taxonomia,
+                    changes,
+                    rows,
+                    delta: {
+                        faces: rows.reduce((s, r) => s + r.delta.faces, 0),
+                        investment: rows.reduce((s, r) => s + r.delta.investment, 0),
+                        exposure: rows.reduce((s, r) => s + r.delta.exposure, 0)
+                    }
+                });
+            });
+
+            const fromKpis = this.summarize(from.data);
+            const toKpis = this.summarize(to.data);
+
+            return {
+                status: 'success',
+                from: { version: from.version, name: from.name, createdAt: from.created_at || null },
+                to: { version: to.version, name: to.name, createdAt: to.created_at || null },
+                kpis: { from: fromKpis, to: toKpis },
+                delta: {
+                    investment: toKpis.totalInvest - fromKpis.totalInvest,
+                    faces: toKpis.totalFaces - fromKpis.totalFaces,
+                    exposure: toKpis.exposure - fromKpis.exposure,
+                    reach: toKpis.reach - fromKpis.reach
+                },
+                blocks,
+                summary
+            };
+
+        } catch (error) {
+            console.error('Error in diffVersions:', error);
+            return {
+                status: 'error',
+                message: 'Erro ao comparar versões: ' + error.message
+            };
+        }
+    }
+}
+
+module.exports = new PlanAnalytics();
+module.exports.MAX_PLANS = MAX_PLANS;
@@ -0,0 +1,350 @@
+/**
+ * Plan Constraints Service
+ *
+ * Planner-defined hard rules honoured by the exact budget optimizer:
+ * - shares: min/max share of the invested budget by exibidores, formato,
+ *   cluster_formato or material (digital/estatico)
+ * - mandatory: at least one inventory row matching the rule must be bought
+ * - banned: inventory rows matching the rule are never bought
+ *
+ * Example:
+ * {
+ *   shares: [
+ *     { field: 'material', value: 'digital', min: 0.3 },
+ *     { field: 'exibidores', max: 0.4 }            // applies to every exibidor
+ *   ],
+ *   mandatory: [{ exibidores: 'Eletromidia', praca: 'sao paulo' }],
+ *   banned: [{ formato: 'Backseat' }]
+ * }
+ *
+ * After solving, every rule is reported as satisfied, binding (it cost
+ * exposure or sits on its limit) or infeasible (it cannot be met).
+ */
+
+const knapsackSolver = require('./knapsack-solver');
+
+const SHARE_FIELDS = ['exibidores', 'formato', 'cluster_formato', 'material'];
+const MATCH_FIELDS = ['id', 'praca', 'uf', 'taxonomia', 'exibidores', 'formato', 'cluster_formato', 'circuito', 'material'];
+const MATERIALS = ['digital', 'estatico'];
+const BINDING_TOLERANCE = 0.005;
+const ANALYSIS_NODE_LIMIT = 20000;
+
+class PlanConstraints {
+    /**
+     * True when the request carries no rule at all
+     */
+    isEmpty(constraints) {
+        if (!constraints) return true;
+        const { shares = [], mandatory = [], banned = [] } = constraints;
+        return shares.length === 0 && mandatory.length === 0 && banned.length === 0;
+    }
+
+    /**
+     * Validate and normalize the request constraint object
+     * @returns {Object} { shares, mandatory, banned, errors }
+     */
+    normalize(constraints) {
+        const errors = [];
+        const { shares = [], mandatory = [], banned = [] } = constraints || {};
+
+        if (!Array.isArray(shares) || !Array.isArray(mandatory) || !Array.isArray(banned)) {
+            return { shares: [], mandatory: [], banned: [], errors: ['shares, mandatory e banned devem ser listas'] };
+        }
+
+        const isRatio = (v) => v === null || v === undefined || (typeof v === 'number' && v >= 0 && v <= 1);
+
+        const normalizedShares = shares.map((share, i) => {
+            const field = share.field;
+            const min = share.min === undefined ? null : share.min;
+            const max = share.max === undefined ? null : share.max;
+            const value = share.value === undefined || share.value === '' ? null : share.value;
+
+            if (!SHARE_FIELDS.includes(field)) {
+                errors.push(`shares[${i}]: campo inválido "${field}" (use ${SHARE_FIELDS.join(', ')})`);
+            }
+            if (field === 'material' && value !== null && !MATERIALS.includes(this.normalizeText(value))) {
+                errors.push(`shares[${i}]: material deve ser "digital" ou "estatico"`);
+            }
+            if (!isRatio(min) || !isRatio(max)) {
+                errors.push(`shares[${i}]: min/max devem estar entre 0 e 1`);
+            } else if (min === null && max === null) {
+                errors.push(`shares[${i}]: informe min e/ou max`);
+            } else if (min !== null && max !== null && min > max) {
+                errors.push(`shares[${i}]: min maior que max`);
+            }
+
+            return { field, value, min, max };
+        });
+
+        const normalizeRules = (rules, kind) => rules.map((rule, i) => {
+            const keys = Object.keys(rule || {});
+            if (keys.length === 0) {
+                errors.push(`${kind}[${i}]: regra vazia`);
+            }
+            keys.filter(k => !MATCH_FIELDS.includes(k)).forEach(k => {
+                errors.push(`${kind}[${i}]: campo inválido "${k}" (use ${MATCH_FIELDS.join(', ')})`);
+            });
+            return { ...rule };
+        });
+
+        return {
+            shares: normalizedShares,
+            mandatory: normalizeRules(mandatory, 'mandatory'),
+            banned: normalizeRules(banned, 'banned'),
+            errors
+        };
+    }
+
+    /**
+     * Case/accent-insensitive comparison key ("São Paulo" === "sao paulo")
+     */
+    normalizeText(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Value of a constraint field on an inventory row
+     */
+    getFieldValue(row, field) {
+        if (field === 'material') {
+            if (Number(row.digital) === 1) return 'digital';
+            if (Number(row.estatico) === 1) return 'estatico';
+            return null;
+        }
+        if (field === 'id') return row.ID !== undefined ? row.ID : row.id;
+        return row[field];
+    }
+
+    /**
+     * Check whether an inventory row matches every field of a rule
+     */
+    matches(row, rule) {
+        return Object.keys(rule).every(field => {
+            const rowValue = this.getFieldValue(row, field);
+            if (rowValue === null || rowValue === undefined) return false;
+            return this.normalizeText(rowValue) === this.normalizeText(rule[field]);
+        });
+    }
+
+    /**
+     * Remove banned rows from the inventory
+     * @returns {Object} { inventory, report }
+     */
+    applyBans(inventory, banned) {
+        const removedByRule = banned.map(() => 0);
+
+        const allowed = inventory.filter(row => {
+            let isBanned = false;
+            banned.forEach((rule, i) => {
+                if (this.matches(row, rule)) {
+                    removedByRule[i]++;
+                    isBanned = true;
+                }
+            });
+            return !isBanned;
+        });
+
+        const report = banned.map((rule, i) => ({
+            id: `banned:${i}`,
+            type: 'banned',
+            rule,
+            removedRows: removedByRule[i],
+            status: 'applied'
+        }));
+
+        return { inventory: allowed, report };
+    }
+
+    /**
+     * Expand share rules without value into one rule per distinct value
+     * ("no exibidor above 40%") and build the solver membership arrays.
+     * @param {Object} normalized - Output of normalize()
+     * @param {Array} rows - Inventory rows aligned with the solver items
+     */
+    compile(normalized, rows) {
+        const shares = [];
+
+        normalized.shares.forEach((share, i) => {
+            let values;
+            if (share.value !== null) {
+                values = [share.value];
+            } else {
+                const seen = new Map();
+                rows.forEach(row => {
+                    const v = this.getFieldValue(row, share.field);
+                    if (v === null || v === undefined || v === '') return;
+                    const key = this.normalizeText(v);
+                    if (!seen.has(key)) seen.set(key, v);
+                });
+                values = [...seen.values()];
+            }
+
+            values.forEach(value => {
+                const key = this.normalizeText(value);
+                shares.push({
+                    id: `share:${i}:${share.field}=${key}`,
+                    field: share.field,
+                    value,
+                    min: share.min,
+                    max: share.max,
+                    members: rows.map(row => this.normalizeText(this.getFieldValue(row, share.field)) === key)
+                });
+            });
+        });
+
+        const requireAny = normalized.mandatory.map((rule, i) => ({
+            id: `mandatory:${i}`,
+            rule,
+            members: rows.map(row => this.matches(row, rule))
+        }));
+
+        return { shares, requireAny };
+    }
+
+    /**
+     * Checks that prove infeasibility without searching
+     * @returns {Array<Object>} [{ id, reason }]
+     */
+    precheck(compiled, items, budget) {
+        const problems = [];
+
+        compiled.requireAny.forEach(c => {
+            const memberCosts = items
+                .filter((item, index) => c.members[index] && item.max > 0)
+                .map(item => item.cost * (item.allOrNothing ? item.max : Math.max(1, item.min || 1)));
+            if (memberCosts.length === 0) {
+                problems.push({ id: c.id, reason: 'Nenhuma linha do inventário corresponde à regra' });
+            } else if (Math.min(...memberCosts) > budget) {
+                problems.push({ id: c.id, reason: `Compra mínima (${Math.round(Math.min(...memberCosts))}) acima do budget` });
+            }
+        });
+
+        compiled.shares.forEach(c => {
+            if (c.min > 0 && !c.members.some(Boolean)) {
+                problems.push({ id: c.id, reason: 'Share mínimo exigido, mas não há inventário para o grupo' });
+            }
+        });
+
+        // Minimum shares of distinct values of the same field cannot add up to more than 100%
+        const minByField = {};
+        compiled.shares.forEach(c => {
+            if (c.min > 0) minByField[c.field] = (minByField[c.field] || 0) + c.min;
+        });
+        compiled.shares.forEach(c => {
+            if (c.min > 0 && minByField[c.field] > 1 + 1e-9) {
+                problems.push({ id: c.id, reason: `Shares mínimos de ${c.field} somam mais de 100%` });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Compiled constraints minus one rule (used to find binding/infeasible rules)
+     */
+    without(compiled, id) {
+        return {
+            shares: compiled.shares.filter(c => c.id !== id),
+            requireAny: compiled.requireAny.filter(c => c.id !== id)
+        };
+    }
+
+    /**
+     * Build the per-rule report for a solved (or infeasible) problem
+     * @param {Object} compiled - Output of compile()
+     * @param {Array} items - Solver items
+     * @param {number} budget - Budget used in the solve
+     * @param {Object} solution - Solver result
+     * @param {Array} problems - Output of precheck()
+     * @param {Object} solverOptions - Options used in the main solve
+     */
+    analyze(compiled, items, budget, solution, problems, solverOptions = {}) {
+        const analysisOptions = {
+            ...solverOptions,
+            nodeLimit: Math.min(solverOptions.nodeLimit || ANALYSIS_NODE_LIMIT, ANALYSIS_NODE_LIMIT)
+        };
+        const resolveWithout = (id) => knapsackSolver.solve(items, budget, {
+            ...analysisOptions,
+            constraints: this.without(compiled, id)
+        });
+
+        const problemById = {};
+        problems.forEach(p => { problemById[p.id] = p.reason; });
+
+        // Infeasible: a rule is blamed when dropping it alone makes the plan feasible
+        let culprits = null;
+        if (!solution.feasible) {
+            culprits = new Set(Object.keys(problemById));
+            if (culprits.size === 0) {
+                [...compiled.shares, ...compiled.requireAny].forEach(c => {
+                    if (resolveWithout(c.id).feasible) culprits.add(c.id);
+                });
+            }
+        }
+
+        const spent = items.reduce((sum, item, i) => sum + item.cost * solution.quantities[i], 0);
+
+        const shareReport = compiled.shares.map(c => {
+            const groupSpend = items.reduce((sum, item, i) => sum + (c.members[i] ? item.cost * solution.quantities[i] : 0), 0);
+            const share = spent > 0 ? groupSpend / spent : 0;
+            const entry = {
+                id: c.id,
+                type: 'share',
+                field: c.field,
+                value: c.value,
+                min: c.min,
+                max: c.max,
+                actualShare: solution.feasible ? share : null,
+                status: 'satisfied'
+            };
+
+            if (!solution.feasible) {
+                entry.status = culprits.has(c.id) || culprits.size === 0 ? 'infeasible' : 'satisfied';
+                if (problemById[c.id]) entry.reason = problemById[c.id];
+                return entry;
+            }
+
+            const atMin = c.min !== null && Math.abs(share - c.min) <= BINDING_TOLERANCE;
+            const atMax = c.max !== null && Math.abs(share - c.max) <= BINDING_TOLERANCE;
+            if (atMin || atMax) {
+                entry.status = 'binding';
+                const relaxed = resolveWithout(c.id);
+                entry.exposureCost = relaxed.feasible ? Math.max(0, relaxed.value - solution.value) : 0;
+            }
+            return entry;
+        });
+
+        const mandatoryReport = compiled.requireAny.map(c => {
+            const selectedRows = c.members.filter((isMember, i) => isMember && solution.quantities[i] > 0).length;
+            const entry = {
+                id: c.id,
+                type: 'mandatory',
+                rule: c.rule,
+                matchedRows: c.members.filter(Boolean).length,
+                selectedRows,
+                status: 'satisfied'
+            };
+
+            if (!solution.feasible) {
+                entry.status = culprits.has(c.id) || culprits.size === 0 ? 'infeasible' : 'satisfied';
+                if (problemById[c.id]) entry.reason = problemById[c.id];
+                return entry;
+            }
+
+            const relaxed = resolveWithout(c.id);
+            if (relaxed.feasible && relaxed.value > solution.value + 1e-6) {
+                entry.status = 'binding';
+                entry.exposureCost = relaxed.value - solution.value;
+            }
+            return entry;
+        });
+
+        return [...shareReport, ...mandatoryReport];
+    }
+}
+
+module.exports = new PlanConstraints();
@@ -0,0 +1,237 @@
+/**
+ * Plan Export Service
+ *
+ * Writes a saved plan as an XLSX workbook in the agency's spreadsheet layout:
+ * - "Resumo": one line per block with faces/investment pulled by formulas
+ *   from the block sheets, totals, CPF and share of investment
+ * - one "PLAN" sheet per active block, columns in the same order as the
+ *   client's PLAN tabs read by database/import-excel.js (COL_MAP), so an
+ *   exported plan can be read back by the importer. Campaigns longer than
+ *   four weeks get their extra weeks (S5…) after the standard columns.
+ *
+ * Quantity, negotiated unit price and row total are Excel formulas (with
+ * their values cached), so edits in Excel recalculate like the editor:
+ * negotiated = tabela × (1 − desconto), total = negotiated × faces / faces
+ * per unit (circuits are priced per unit of `faces_por_unidade` faces).
+ */
+
+const XLSX = require('xlsx');
+
+const CURRENCY = '"R$" #,##0.00';
+const INTEGER = '#,##0';
+const PERCENT = '0.0%';
+
+// Standard PLAN columns (database/import-excel.js COL_MAP), header labels as in the client's sheets
+const PLAN_COLUMNS = [
+    'taxonomia', 'regional', 'uf', 'praca', 'exibidores', 'formato', 'circuito', 'avulso',
+    'ranking', 'pesos', 'estatico', 'digital', 'range minimo', 'range maximo', 'quantidade',
+    'periodicidade', 'S1', 'S2', 'S3', 'S4', 'flight', 'unitario bruto tabela', 'desconto',
+    'unitario bruto negociado', 'total bruto negociado'
+];
+const COL = {
+    quantidade: 14,
+    firstWeek: 16,
+    flight: 20,
+    tabela: 21,
+    desconto: 22,
+    negociado: 23,
+    total: 24
+};
+
+const colName = (index) => XLSX.utils.encode_col(index);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PlanExport {
+    /**
+     * Rows of a block that carry faces, with the editor's pricing
+     */
+    getExportRows(block) {
+        return (block.planningRows || [])
+            .map(row => {
+                const weeks = (row.weeks_edit || []).map(v => Number(v) || 0);
+                const faces = weeks.reduce((s, v) => s + v, 0);
+                const facesPerUnit = row.circuito && row.faces_por_unidade > 0 ? Number(row.faces_por_unidade) : 1;
+                const tabela = Number(row.unitario_bruto_tabela) || 0;
+                const discount = Number(row.negociacao_edit) || 0;
+                const negotiated = round2(tabela * (1 - discount));
+
+                return {
+                    row,
+                    weeks,
+                    faces,
+                    facesPerUnit,
+                    tabela,
+                    discount,
+                    negotiated,
+                    total: round2(negotiated * faces / facesPerUnit),
+                    grossTotal: tabela * faces / facesPerUnit
+                };
+            })
+            .filter(item => item.faces > 0);
+    }
+
+    /**
+     * Sheet name for a block: unique, at most 31 characters, no []:*?/\
+     */
+    getSheetName(block, index, used) {
+        const base = `PLAN ${index + 1} ${block.praca || ''}`.replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, 27)} (${n})`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    /**
+     * @param {Object} block - editor block (plans.data item)
+     * @param {Object} location - { regional, uf } of the block's praça
+     * @returns {Object} { sheet, lastRow, rows }
+     */
+    buildBlockSheet(block, location) {
+        const rows = this.getExportRows(block);
+        const cycle = Math.max(4, Number(block.campaignCycle) || 4, ...rows.map(r => r.weeks.length));
+        const extraWeeks = Array.from({ length: cycle - 4 }, (_, i) => `S${i + 5}`);
+
+        const aoa = [[...PLAN_COLUMNS, ...extraWeeks]];
+        rows.forEach(({ row, weeks, faces, negotiated, total }) => {
+            aoa.push([
+                block.taxonomia || '',
+                location.regional || '',
+                location.uf || '',
+                block.praca || '',
+                row.exibidores || '',
+                row.formato || '',
+                row.circuito || '',
+                '',
+                row.ranking || '',
+                row.pesos || '',
+                row.estatico ? 'X' : '',
+                row.digital ? 'X' : '',
+                row.range_minimo || 0,
+                row.range_maximo || 0,
+                faces,
+                row.periodicidade || '',
+                ...[0, 1, 2, 3].map(i => weeks[i] || 0),
+                weeks.filter(v => v > 0).length,
+                Number(row.unitario_bruto_tabela) || 0,
+                Number(row.negociacao_edit) || 0,
+                negotiated,
+                total,
+                ...extraWeeks.map((_, i) => weeks[i + 4] || 0)
+            ]);
+        });
+
+        const sheet = XLSX.utils.aoa_to_sheet(aoa);
+        const lastWeekCol = colName(PLAN_COLUMNS.length + extraWeeks.length - 1);
+
+        rows.forEach((item, i) => {
+            const r = i + 2;
+            const cell = (col) => sheet[`${colName(col)}${r}`];
+            const weekRange = `${colName(COL.firstWeek)}${r}:${colName(COL.firstWeek + 3)}${r}` +
+                (extraWeeks.length > 0 ? `,${colName(PLAN_COLUMNS.length)}${r}:${lastWeekCol}${r}` : '');
+
+            cell(COL.quantidade).f = `SUM(${weekRange})`;
+            cell(COL.negociado).f = `ROUND(${colName(COL.tabela)}${r}*(1-${colName(COL.desconto)}${r}),2)`;
+            cell(COL.total).f = `ROUND(${colName(COL.negociado)}${r}*${colName(COL.quantidade)}${r}` +
+                (item.facesPerUnit > 1 ? `/${item.facesPerUnit}` : '') + ',2)';
+
+            cell(COL.quantidade).z = INTEGER;
+            [COL.tabela, COL.negociado, COL.total].forEach(col => { cell(col).z = CURRENCY; });
+            cell(COL.desconto).z = PERCENT;
+        });
+
+        sheet['!cols'] = [...PLAN_COLUMNS, ...extraWeeks].map((label, i) => ({
+            wch: [4, 5].includes(i) ? 28 : Math.max(8, label.length + 2)
+        }));
+        sheet['!autofilter'] = { ref: `A1:${lastWeekCol}${Math.max(rows.length + 1, 1)}` };
+
+        return { sheet, lastRow: rows.length + 1, rows };
+    }
+
+    /**
+     * Build the workbook of a plan
+     * @param {Object} plan - plan (or version) with parsed `data`, `name`, `version`
+     * @param {Object} [locations] - praça → { regional, uf }
+     * @returns {Object} XLSX workbook
+     */
+    buildWorkbook(plan, locations = {}) {
+        const workbook = XLSX.utils.book_new();
+        const blocks = (plan.data || []).filter(b => b.active && Array.isArray(b.planningRows));
+        const used = new Set(['resumo']);
+
+        const blockSheets = blocks.map((block, index) => ({
+            block,
+            name: this.getSheetName(block, index, used),
+            ...this.buildBlockSheet(block, locations[block.praca] || {})
+        }));
+
+        // Summary: per-block totals are formulas over the block sheets
+        const firstLine = 7;
+        const lastLine = firstLine + blockSheets.length - 1;
+        const totalLine = lastLine + 1;
+        const ref = (name, col, lastRow) => `'${name.replace(/'/g, "''")}'!${colName(col)}2:${colName(col)}${Math.max(lastRow, 2)}`;
+
+        const aoa = [
+            ['Plano', plan.name],
+            ['Versão', plan.version || plan.current_version || 1],
+            ['Status', plan.status || 'draft'],
+            ['Gerado em', new Date().toLocaleString('pt-BR')],
+            [],
+            ['Recorte', 'Taxonomia', 'Praça', 'Ciclo (semanas)', 'Linhas', 'Faces', 'Bruto tabela', 'Investimento líquido', 'Desconto', 'Custo/face', '% investimento']
+        ];
+
+        const totalInvest = blockSheets.reduce((s, b) => s + b.rows.reduce((t, r) => t + r.total, 0), 0);
+        blockSheets.forEach(({ block, name, rows }) => {
+            const faces = rows.reduce((s, r) => s + r.faces, 0);
+            const gross = rows.reduce((s, r) => s + r.grossTotal, 0);
+            const invest = rows.reduce((s, r) => s + r.total, 0);
+            aoa.push([name, block.taxonomia || '', block.praca || '', Number(block.campaignCycle) || 4, rows.length,
+                faces, round2(gross), invest, gross > 0 ? 1 - invest / gross : 0, faces > 0 ? invest / faces : 0,
+                totalInvest > 0 ? invest / totalInvest : 0]);
+        });
+
+        const sum = (col) => blockSheets.length > 0 ? `SUM(${col}${firstLine}:${col}${lastLine})` : '0';
+        const totalFaces = blockSheets.reduce((s, b) => s + b.rows.reduce((t, r) => t + r.faces, 0), 0);
+        const totalGross = blockSheets.reduce((s, b) => s + b.rows.reduce((t, r) => t + r.grossTotal, 0), 0);
+        aoa.push(['TOTAL', '', '', '', blockSheets.reduce((s, b) => s + b.rows.length, 0), totalFaces, round2(totalGross),
+            totalInvest, totalGross > 0 ? 1 - totalInvest / totalGross : 0, totalFaces > 0 ? totalInvest / totalFaces : 0, 1]);
+
+        const summary = XLSX.utils.aoa_to_sheet(aoa);
+        const set = (address, props) => Object.assign(summary[address], props);
+
+        blockSheets.forEach(({ name, lastRow }, i) => {
+            const r = firstLine + i;
+            set(`F${r}`, { f: `SUM(${ref(name, COL.quantidade, lastRow)})`, z: INTEGER });
+            set(`G${r}`, { z: CURRENCY });
+            set(`H${r}`, { f: `SUM(${ref(name, COL.total, lastRow)})`, z: CURRENCY });
+            set(`I${r}`, { f: `IF(G${r}>0,1-H${r}/G${r},0)`, z: PERCENT });
+            set(`J${r}`, { f: `IF(F${r}>0,H${r}/F${r},0)`, z: CURRENCY });
+            set(`K${r}`, { f: `IF($H$${totalLine}>0,H${r}/$H$${totalLine},0)`, z: PERCENT });
+        });
+        set(`E${totalLine}`, { f: sum('E'), z: INTEGER });
+        set(`F${totalLine}`, { f: sum('F'), z: INTEGER });
+        set(`G${totalLine}`, { f: sum('G'), z: CURRENCY });
+        set(`H${totalLine}`, { f: sum('H'), z: CURRENCY });
+        set(`I${totalLine}`, { f: `IF(G${totalLine}>0,1-H${totalLine}/G${totalLine},0)`, z: PERCENT });
+        set(`J${totalLine}`, { f: `IF(F${totalLine}>0,H${totalLine}/F${totalLine},0)`, z: CURRENCY });
+        set(`K${totalLine}`, { f: sum('K'), z: PERCENT });
+
+        summary['!cols'] = [{ wch: 30 }, { wch: 22 }, { wch: 22 }, { wch: 14 }, { wch: 8 }, { wch: 10 },
+            { wch: 16 }, { wch: 20 }, { wch: 10 }, { wch: 12 }, { wch: 14 }];
+
+        XLSX.utils.book_append_sheet(workbook, summary, 'Resumo');
+        blockSheets.forEach(({ name, sheet }) => XLSX.utils.book_append_sheet(workbook, sheet, name));
+        return workbook;
+    }
+
+    /**
+     * @returns {Buffer} .xlsx file
+     */
+    toBuffer(plan, locations = {}) {
+        return XLSX.write(this.buildWorkbook(plan, locations), { type: 'buffer', bookType: 'xlsx' });
+    }
+}
+
+module.exports = new PlanExport();
+module.exports.PLAN_COLUMNS = PLAN_COLUMNS;
@@ -0,0 +1,280 @@
+/**
+ * Plan Import Service
+ *
+ * Reads back a plan file edited outside the planner — the editor's CSV
+ * export (exportCSV) or the XLSX export (services/plan-export.js), also
+ * after being opened and saved in Excel — and applies its quantities per
+ * week, discounts and tabela prices to a plan:
+ * - rows are matched to the plan by block + exibidor + formato + material
+ *   (the row key of the version diff in plan-analytics)
+ * - the block comes from the "Plano N" column (CSV) or from praça and
+ *   taxonomia (XLSX, falling back to the "PLAN N" sheet number)
+ * - changed rows are recalculated like recalculatePlanningRows in the editor
+ *
+ * Nothing is saved here: server.js previews the result with
+ * planAnalytics.diffVersions and saves it as a new version on confirmation.
+ */
+
+const XLSX = require('xlsx');
+
+const normalize = (value) => String(value === undefined || value === null ? '' : value)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .trim().toLowerCase();
+
+// Header aliases (normalized) of the CSV and XLSX layouts
+const COLUMNS = {
+    block: ['plano'],
+    praca: ['praca'],
+    taxonomia: ['taxonomia'],
+    exibidor: ['veiculo', 'exibidores', 'exibidor'],
+    formato: ['formato'],
+    material: ['tipo material'],
+    estatico: ['estatico'],
+    digital: ['digital'],
+    tabela: ['tabela unit.', 'unitario bruto tabela'],
+    discount: ['negociacao %', 'desconto']
+};
+
+// Unmatched rows reported in the preview (the rest is only counted)
+const MAX_REPORTED = 200;
+
+class PlanImport {
+    /**
+     * Number from a cell: numbers as they are, text in pt-BR or en format
+     * ("R$ 1.234,56", "1234.56", "10%"). Empty cells are null (no change).
+     * @returns {Object|null} { value, percent }
+     */
+    parseNumber(cell) {
+        if (cell === undefined || cell === null || cell === '') return null;
+        if (typeof cell === 'number') return Number.isFinite(cell) ? { value: cell, percent: false } : null;
+
+        let text = String(cell).replace(/R\$/g, '').replace(/\s/g, '');
+        if (text === '') return null;
+        const percent = text.endsWith('%');
+        if (percent) text = text.slice(0, -1);
+        if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+
+        const value = Number(text);
+        return Number.isFinite(value) ? { value, percent } : NaN;
+    }
+
+    /**
+     * Discount as a fraction: "10%", 0.1 and 10 all mean 10%
+     */
+    parseDiscount(cell) {
+        const parsed = this.parseNumber(cell);
+        if (parsed === null || Number.isNaN(parsed)) return parsed;
+        return parsed.percent || parsed.value > 1 ? parsed.value / 100 : parsed.value;
+    }
+
+    materialOf(row) {
+        return row.digital ? 'DIG' : (row.estatico ? 'EST' : 'N/A');
+    }
+
+    rowKey(exibidor, formato, material) {
+        return [exibidor, formato, material].map(normalize).join('|');
+    }
+
+    /**
+     * Tables of the file: one per sheet (a CSV is a single sheet)
+     * @returns {Array<Object>} { sheet, rows (arrays of cells) }
+     */
+    readTables(buffer) {
+        const isZip = buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+        const workbook = isZip
+            ? XLSX.read(buffer, { type: 'buffer' })
+            // CSV: keep cells as text, numbers are parsed by parseNumber
+            : XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+
+        return workbook.SheetNames.map(name => ({
+            sheet: name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: true, blankrows: false })
+        }));
+    }
+
+    /**
+     * Header row of a table (the first one with exibidor and formato columns)
+     * @returns {Object|null} { line, columns: { field: index }, weeks: [index of S1, S2…] }
+     */
+    findHeader(rows) {
+        for (let line = 0; line < Math.min(rows.length, 20); line++) {
+            const labels = rows[line].map(normalize);
+            const columns = {};
+            Object.entries(COLUMNS).forEach(([field, aliases]) => {
+                const index = labels.findIndex(label => aliases.includes(label));
+                if (index >= 0) columns[field] = index;
+            });
+            if (columns.exibidor === undefined || columns.formato === undefined) continue;
+
+            const weeks = [];
+            labels.forEach((label, index) => {
+                const match = /^s(\d+)$/.exec(label);
+                if (match) weeks[Number(match[1]) - 1] = index;
+            });
+            return { line, columns, weeks };
+        }
+        return null;
+    }
+
+    /**
+     * Block of a file row
+     * @returns {Object} { block } or { reason }
+     */
+    resolveBlock(cells, columns, sheet, activeBlocks) {
+        if (columns.block !== undefined) {
+            const match = /(\d+)/.exec(String(cells[columns.block]));
+            const block = match ? activeBlocks.find(b => b.id === Number(match[1])) : null;
+            return block ? { block } : { reason: `recorte "${cells[columns.block]}" não existe no plano` };
+        }
+
+        const sheetMatch = /^plan\s+(\d+)/i.exec(sheet);
+        const bySheet = sheetMatch ? activeBlocks[Number(sheetMatch[1]) - 1] : null;
+
+        if (columns.praca !== undefined) {
+            const praca = normalize(cells[columns.praca]);
+            const taxonomia = columns.taxonomia !== undefined ? normalize(cells[columns.taxonomia]) : null;
+            const candidates = activeBlocks.filter(b => normalize(b.praca) === praca &&
+                (taxonomia === null || normalize(b.taxonomia) === taxonomia));
+
+            if (candidates.length === 1) return { block: candidates[0] };
+            if (candidates.length > 1 && candidates.includes(bySheet)) return { block: bySheet };
+            return {
+                reason: candidates.length > 1
+                    ? `mais de um recorte em ${cells[columns.praca]}`
+                    : `nenhum recorte em ${cells[columns.praca]}${taxonomia ? ` / ${cells[columns.taxonomia]}` : ''}`
+            };
+        }
+
+        return bySheet ? { block: bySheet } : { reason: 'recorte não identificado (sem coluna Plano ou praça)' };
+    }
+
+    /**
+     * Same derived fields as recalculatePlanningRows (public/js/app.js)
+     */
+    recalculateRow(row) {
+        row.facesUsadas = (row.weeks_edit || []).reduce((s, v) => s + (v || 0), 0);
+        row.totalFaces = row.facesUsadas;
+
+        const perUnit = row.circuito && row.faces_por_unidade > 0;
+        const multiplicador = perUnit ? row.facesUsadas / row.faces_por_unidade : row.facesUsadas;
+        row.totalLinha = row.unitario_bruto_tabela * multiplicador;
+
+        const baseValueForFace = perUnit ? row.unitario_bruto_tabela / row.faces_por_unidade : row.unitario_bruto_tabela;
+        row.custoFace = Math.round(baseValueForFace * (1 - (row.negociacao_edit || 0)) * 100) / 100;
+        row.ttNeg = Math.round(row.custoFace * row.facesUsadas * 100) / 100;
+        row.index = Math.round(row.facesUsadas * (row.pesos || 0.5) * 100) / 100;
+    }
+
+    /**
+     * Apply a file to the data of a plan
+     * @param {Array<Object>} blocks - plans.data (not modified)
+     * @param {Buffer} buffer - CSV or XLSX file
+     * @returns {Object} { data, layout, rows, matched, changedRows, unmatched, unmatchedCount, warnings } or { error }
+     */
+    apply(blocks, buffer) {
+        const data = JSON.parse(JSON.stringify(blocks || []));
+        const activeBlocks = data.filter(b => b.active && Array.isArray(b.planningRows));
+
+        let tables;
+        try {
+            tables = this.readTables(buffer)
+                .map(table => ({ ...table, header: this.findHeader(table.rows) }))
+                .filter(table => table.header);
+        } catch (error) {
+            return { error: `Arquivo ilegível: ${error.message}` };
+        }
+        if (tables.length === 0) {
+            return { error: 'Arquivo sem as colunas do plano (Veículo/exibidores e Formato)' };
+        }
+
+        const result = { layout: null, rows: 0, matched: 0, changedRows: 0, unmatched: [], unmatchedCount: 0, warnings: [] };
+        result.layout = tables.some(t => t.header.columns.block !== undefined) ? 'csv' : 'xlsx';
+
+        const seen = new Set();
+        const changed = new Set();
+        const report = (entry) => {
+            result.unmatchedCount++;
+            if (result.unmatched.length < MAX_REPORTED) result.unmatched.push(entry);
+        };
+        const warn = (text) => {
+            if (result.warnings.length < MAX_REPORTED) result.warnings.push(text);
+        };
+
+        tables.forEach(({ sheet, rows, header }) => {
+            const { columns, weeks } = header;
+
+            rows.slice(header.line + 1).forEach((cells, i) => {
+                const exibidor = String(cells[columns.exibidor] || '').trim();
+                const formato = String(cells[columns.formato] || '').trim();
+                // Total and blank lines
+                if (!exibidor || !formato) return;
+
+                const line = header.line + i + 2;
+                const material = columns.material !== undefined
+                    ? (normalize(cells[columns.material]).startsWith('dig') ? 'DIG' : (normalize(cells[columns.material]).startsWith('est') ? 'EST' : 'N/A'))
+                    : (normalize(cells[columns.digital]) ? 'DIG' : (normalize(cells[columns.estatico]) ? 'EST' : 'N/A'));
+                const where = { sheet, line, exibidor, formato, material };
+                result.rows++;
+
+                const { block, reason } = this.resolveBlock(cells, columns, sheet, activeBlocks);
+                if (!block) return report({ ...where, reason });
+
+                const key = this.rowKey(exibidor, formato, material);
+                const row = block.planningRows.find(r => this.rowKey(r.exibidores, r.formato, this.materialOf(r)) === key);
+                if (!row) return report({ ...where, reason: `mídia não encontrada no recorte ${block.id} (${block.praca})` });
+
+                const rowId = `${block.id}|${key}`;
+                if (seen.has(rowId)) warn(`Linha ${line} (${sheet}): ${exibidor} / ${formato} repetida; vale a última`);
+                seen.add(rowId);
+                result.matched++;
+
+                const before = JSON.stringify([row.weeks_edit, row.negociacao_edit, row.unitario_bruto_tabela]);
+                const cycle = Math.max(parseInt(block.campaignCycle) || 4, 1);
+                const values = [...(row.weeks_edit || [])];
+
+                weeks.forEach((index, week) => {
+                    if (index === undefined) return;
+                    const parsed = this.parseNumber(cells[index]);
+                    if (parsed === null) return;
+                    if (Number.isNaN(parsed) || parsed.value < 0) {
+                        return warn(`Linha ${line} (${sheet}): S${week + 1} inválida ("${cells[index]}")`);
+                    }
+                    if (week >= cycle) {
+                        if (parsed.value > 0) warn(`Linha ${line} (${sheet}): S${week + 1} fora do ciclo de ${cycle} semanas do recorte; ignorada`);
+                        return;
+                    }
+                    values[week] = Math.round(parsed.value);
+                });
+                row.weeks_edit = Array.from(values, value => Number(value) || 0);
+
+                if (columns.discount !== undefined) {
+                    const discount = this.parseDiscount(cells[columns.discount]);
+                    if (Number.isNaN(discount) || (discount !== null && (discount < 0 || discount >= 1))) {
+                        warn(`Linha ${line} (${sheet}): desconto inválido ("${cells[columns.discount]}")`);
+                    } else if (discount !== null) {
+                        row.negociacao_edit = Math.round(discount * 10000) / 10000;
+                    }
+                }
+
+                if (columns.tabela !== undefined) {
+                    const tabela = this.parseNumber(cells[columns.tabela]);
+                    if (Number.isNaN(tabela) || (tabela !== null && tabela.value < 0)) {
+                        warn(`Linha ${line} (${sheet}): tabela inválida ("${cells[columns.tabela]}")`);
+                    } else if (tabela !== null) {
+                        row.unitario_bruto_tabela = tabela.value;
+                    }
+                }
+
+                if (JSON.stringify([row.weeks_edit, row.negociacao_edit, row.unitario_bruto_tabela]) !== before) {
+                    this.recalculateRow(row);
+                    changed.add(rowId);
+                }
+            });
+        });
+
+        result.changedRows = changed.size;
+        return { data, ...result };
+    }
+}
+
+module.exports = new PlanImport();
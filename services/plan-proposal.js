@@ -0,0 +1,345 @@
+/**
+ * Plan Proposal Service
+ *
+ * Renders a saved plan as a client-ready PDF proposal with pdfkit (pure
+ * JavaScript, built-in Helvetica fonts: no browser, no network):
+ * - cover with plan, version, status and the dashboard KPI boxes
+ *   (faces, investment, CPF, recortes — as renderGlobalDashboard)
+ * - summary per praça and investment mix charts by formato and exibidor
+ * - one planning table per active block, with the observations column
+ *
+ * KPIs and mixes come from plan-analytics, so the PDF shows the same
+ * numbers as the dashboard and the plan comparison.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const planAnalytics = require('./plan-analytics');
+
+const LOGO_PATH = path.join(__dirname, '../public/logo.png');
+
+const COLORS = {
+    primary: '#00B386',
+    text: '#1E293B',
+    muted: '#64748B',
+    border: '#E2E8F0',
+    header: '#F1F5F9',
+    // Same palette as the dashboard charts
+    chart: ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#06B6D4', '#F97316', '#14B8A6', '#6366F1']
+};
+
+const STATUS_LABELS = {
+    draft: 'Rascunho',
+    in_review: 'Em revisão',
+    approved: 'Aprovado',
+    rejected: 'Reprovado',
+    sent: 'Enviado'
+};
+
+// Blocks with longer campaigns show the weeks in one column instead of S1…Sn
+const MAX_WEEK_COLUMNS = 8;
+// Bars per mix chart; the rest is grouped as "Outros"
+const MAX_CHART_BARS = 8;
+const ROW_HEIGHT = 16;
+
+const formatCurrency = (value) => 'R$ ' + Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatNumber = (value) => Number(value || 0).toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+const formatPercent = (value) => `${(Number(value || 0) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+
+class PlanProposal {
+    /**
+     * @param {Object} plan - plan (or version) with parsed `data`, `name`, `version`, `status`
+     * @param {Object} [meta] - { workspace, author } shown on the cover
+     * @returns {Promise<Buffer>} PDF file
+     */
+    render(plan, meta = {}) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                layout: 'landscape',
+                margin: 36,
+                bufferPages: true,
+                info: { Title: `Proposta de Mídia OOH — ${plan.name}`, Author: meta.author || 'OOH Planner' }
+            });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                const blocks = (plan.data || []).filter(b => b.active && Array.isArray(b.planningRows));
+                const kpis = planAnalytics.summarize(plan.data);
+
+                this.drawCover(doc, plan, kpis, meta);
+                doc.addPage();
+                this.drawSummary(doc, kpis, planAnalytics.getActiveRows(plan.data));
+                blocks.forEach((block, index) => {
+                    doc.addPage();
+                    this.drawBlock(doc, block, index);
+                });
+                this.drawFooters(doc, `${plan.name} · v${plan.version || plan.current_version || 1}`);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // ============================================
+    // PAGES
+    // ============================================
+
+    drawCover(doc, plan, kpis, meta) {
+        const { left } = doc.page.margins;
+        const width = this.contentWidth(doc);
+
+        doc.rect(0, 0, doc.page.width, 8).fill(COLORS.primary);
+        if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, left, 60, { width: 70 });
+
+        doc.fillColor(COLORS.muted).font('Helvetica').fontSize(12)
+            .text('O BOTICÁRIO · PROPOSTA DE MÍDIA OOH', left + 90, 70);
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(28)
+            .text(plan.name, left + 90, 90, { width: width - 90 });
+
+        const details = [
+            ['Versão', `v${plan.version || plan.current_version || 1}`],
+            ['Status', STATUS_LABELS[plan.status] || plan.status || STATUS_LABELS.draft],
+            ['Workspace', meta.workspace || '—'],
+            ['Praças', kpis.pracas.length > 0 ? kpis.pracas.join(', ') : '—'],
+            ['Gerado em', new Date().toLocaleDateString('pt-BR')]
+        ];
+        let y = 180;
+        details.forEach(([label, value]) => {
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(10).text(label.toUpperCase(), left, y, { width: 100 });
+            doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(value, left + 110, y - 1, { width: width - 110 });
+            y = doc.y + 8;
+        });
+
+        this.drawKpis(doc, kpis, Math.max(y + 20, 330));
+    }
+
+    /**
+     * KPI boxes of the dashboard: faces, investment, CPF and recortes
+     */
+    drawKpis(doc, kpis, y) {
+        const boxes = [
+            ['Total de faces', formatNumber(kpis.totalFaces)],
+            ['Investimento total', formatCurrency(kpis.totalInvest)],
+            ['CPF médio', formatCurrency(kpis.cpfMedio)],
+            ['Recortes ativos', String(kpis.recortes)]
+        ];
+        const gap = 12;
+        const boxWidth = (this.contentWidth(doc) - gap * (boxes.length - 1)) / boxes.length;
+
+        boxes.forEach(([label, value], i) => {
+            const x = doc.page.margins.left + i * (boxWidth + gap);
+            doc.roundedRect(x, y, boxWidth, 64, 6).lineWidth(1).strokeColor(COLORS.border).stroke();
+            doc.rect(x, y + 6, 3, 52).fill(COLORS.primary);
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(label.toUpperCase(), x + 14, y + 14, { width: boxWidth - 20 });
+            doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(18).text(value, x + 14, y + 32, { width: boxWidth - 20, lineBreak: false });
+        });
+        doc.y = y + 64;
+    }
+
+    drawSummary(doc, kpis, rows) {
+        this.drawTitle(doc, 'Resumo por praça');
+
+        const byPraca = {};
+        rows.forEach(row => {
+            const key = row.praca || '—';
+            if (!byPraca[key]) byPraca[key] = { praca: key, blocks: new Set(), taxonomias: new Set(), faces: 0, investment: 0 };
+            byPraca[key].blocks.add(row.blockId);
+            if (row.taxonomia) byPraca[key].taxonomias.add(row.taxonomia);
+            byPraca[key].faces += row.faces;
+            byPraca[key].investment += row.investment;
+        });
+        const summary = Object.values(byPraca).sort((a, b) => b.investment - a.investment);
+
+        this.drawTable(doc, [
+            { label: 'Praça', width: 3, value: r => r.praca },
+            { label: 'Taxonomias', width: 4, value: r => [...r.taxonomias].join(', ') },
+            { label: 'Recortes', width: 1.2, align: 'right', value: r => String(r.blocks.size) },
+            { label: 'Faces', width: 1.5, align: 'right', value: r => formatNumber(r.faces) },
+            { label: 'Investimento', width: 2.5, align: 'right', value: r => formatCurrency(r.investment) },
+            { label: 'CPF', width: 2, align: 'right', value: r => formatCurrency(r.faces > 0 ? r.investment / r.faces : 0) },
+            { label: '% invest.', width: 1.5, align: 'right', value: r => formatPercent(kpis.totalInvest > 0 ? r.investment / kpis.totalInvest : 0) }
+        ], summary, {
+            total: ['Total', '', String(kpis.recortes), formatNumber(kpis.totalFaces), formatCurrency(kpis.totalInvest), formatCurrency(kpis.cpfMedio), '100%']
+        });
+
+        // Mix charts side by side below the table (new page when there is no room)
+        const chartHeight = 40 + MAX_CHART_BARS * 18;
+        if (doc.y + 30 + chartHeight > this.pageBottom(doc)) doc.addPage();
+        const y = doc.y + 24;
+        const half = (this.contentWidth(doc) - 24) / 2;
+        this.drawMixChart(doc, 'Investimento por formato', kpis.formatMix, doc.page.margins.left, y, half);
+        this.drawMixChart(doc, 'Investimento por exibidor', kpis.exibidorMix, doc.page.margins.left + half + 24, y, half);
+    }
+
+    /**
+     * Horizontal bars with the share of investment of each label
+     */
+    drawMixChart(doc, title, mix, x, y, width) {
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(title, x, y, { width });
+
+        let items = mix;
+        if (mix.length > MAX_CHART_BARS) {
+            const rest = mix.slice(MAX_CHART_BARS - 1);
+            items = [...mix.slice(0, MAX_CHART_BARS - 1), {
+                label: 'Outros',
+                investment: rest.reduce((s, m) => s + m.investment, 0),
+                share: rest.reduce((s, m) => s + m.share, 0)
+            }];
+        }
+
+        const labelWidth = width * 0.35;
+        const valueWidth = 110;
+        const barWidth = width - labelWidth - valueWidth - 12;
+        const maxShare = Math.max(...items.map(m => m.share), 0.0001);
+
+        items.forEach((item, i) => {
+            const rowY = y + 22 + i * 18;
+            doc.fillColor(COLORS.text).font('Helvetica').fontSize(8)
+                .text(item.label, x, rowY + 2, { width: labelWidth - 6, lineBreak: false, ellipsis: true });
+            doc.rect(x + labelWidth, rowY, Math.max(barWidth * item.share / maxShare, 1), 12)
+                .fill(COLORS.chart[i % COLORS.chart.length]);
+            doc.fillColor(COLORS.muted).fontSize(8)
+                .text(`${formatPercent(item.share)} · ${formatCurrency(item.investment)}`, x + labelWidth + barWidth + 12, rowY + 2, {
+                    width: valueWidth, lineBreak: false
+                });
+        });
+    }
+
+    drawBlock(doc, block, index) {
+        const rows = block.planningRows.filter(row => (row.weeks_edit || []).some(v => Number(v) > 0));
+        const cycle = Number(block.campaignCycle) || 4;
+        const faces = row => (row.weeks_edit || []).reduce((s, v) => s + (Number(v) || 0), 0);
+
+        this.drawTitle(doc, `Recorte ${index + 1} · ${block.praca || '—'}`,
+            `${block.taxonomia || ''} · ${cycle} semanas${block.budget ? ` · verba ${formatCurrency(block.budget)}` : ''}`);
+
+        const weekColumns = cycle <= MAX_WEEK_COLUMNS
+            ? Array.from({ length: cycle }, (_, i) => ({
+                label: `S${i + 1}`, width: 0.6, align: 'right', value: r => formatNumber((r.weeks_edit || [])[i])
+            }))
+            : [{ label: `Semanas (S1–S${cycle})`, width: 3, wrap: true, value: r => (r.weeks_edit || []).join(' ') }];
+
+        const investment = rows.reduce((s, r) => s + (Number(r.ttNeg) || 0), 0);
+        const totalFaces = rows.reduce((s, r) => s + faces(r), 0);
+
+        const columns = [
+            { label: 'Exibidor', width: 2.2, value: r => r.exibidores },
+            { label: 'Formato', width: 2.6, value: r => r.formato },
+            { label: 'Material', width: 1.2, value: r => (r.digital ? 'Digital' : 'Estático') },
+            { label: 'Circuito', width: 1.4, value: r => r.circuito || '' },
+            ...weekColumns,
+            { label: 'Faces', width: 0.9, align: 'right', value: r => formatNumber(faces(r)) },
+            { label: 'Tabela unit.', width: 1.8, align: 'right', value: r => formatCurrency(r.unitario_bruto_tabela) },
+            { label: 'Desc.', width: 0.9, align: 'right', value: r => formatPercent(r.negociacao_edit) },
+            { label: 'Custo/face', width: 1.6, align: 'right', value: r => formatCurrency(r.custoFace) },
+            { label: 'TT Neg.', width: 1.9, align: 'right', value: r => formatCurrency(r.ttNeg) },
+            { label: 'Observações', width: 2.6, wrap: true, value: r => r.obs || '' }
+        ];
+
+        const total = columns.map(() => '');
+        total[0] = 'Total';
+        total[columns.findIndex(c => c.label === 'Faces')] = formatNumber(totalFaces);
+        total[columns.findIndex(c => c.label === 'TT Neg.')] = formatCurrency(investment);
+
+        if (rows.length === 0) {
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(10).text('Nenhuma mídia com faces neste recorte.');
+            return;
+        }
+        this.drawTable(doc, columns, rows, { total });
+    }
+
+    /**
+     * Page numbers and a reference (plan, PI…) on every page
+     */
+    drawFooters(doc, label) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const bottom = doc.page.margins.bottom;
+            // Writing inside the bottom margin would otherwise start a new page
+            doc.page.margins.bottom = 0;
+            doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(
+                `${label} · Página ${i + 1} de ${range.count}`,
+                doc.page.margins.left, doc.page.height - 24, { width: this.contentWidth(doc), align: 'right', lineBreak: false }
+            );
+            doc.page.margins.bottom = bottom;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    contentWidth(doc) {
+        return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    }
+
+    pageBottom(doc) {
+        return doc.page.height - doc.page.margins.bottom;
+    }
+
+    drawTitle(doc, title, subtitle = null) {
+        const { left } = doc.page.margins;
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(16).text(title, left, doc.page.margins.top);
+        if (subtitle) doc.fillColor(COLORS.muted).font('Helvetica').fontSize(10).text(subtitle, left);
+        doc.moveTo(left, doc.y + 6).lineTo(left + this.contentWidth(doc), doc.y + 6).lineWidth(1).strokeColor(COLORS.primary).stroke();
+        doc.y += 16;
+    }
+
+    /**
+     * Table with proportional column widths, repeated header on page breaks,
+     * wrapped cells for `wrap` columns and an optional total line
+     * @param {Array<Object>} columns - { label, width (relative), align?, wrap?, value(row) }
+     * @param {Object} [options] - { total: Array<string> }
+     */
+    drawTable(doc, columns, rows, options = {}) {
+        const left = doc.page.margins.left;
+        const totalWidth = this.contentWidth(doc);
+        const units = columns.reduce((s, c) => s + c.width, 0);
+        const widths = columns.map(c => totalWidth * c.width / units);
+        const fontSize = 7.5;
+        const padding = 3;
+
+        const drawRow = (cells, { header = false, bold = false, fill = null } = {}) => {
+            doc.font(header || bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+            const height = Math.max(ROW_HEIGHT, ...cells.map((text, i) => (columns[i].wrap && !header
+                ? doc.heightOfString(text, { width: widths[i] - padding * 2 }) + padding * 2 + 2
+                : 0)));
+
+            if (doc.y + height > this.pageBottom(doc)) {
+                doc.addPage();
+                doc.y = doc.page.margins.top;
+                if (!header) drawHeader();
+            }
+
+            const y = doc.y;
+            if (fill) doc.rect(left, y, totalWidth, height).fill(fill);
+            let x = left;
+            cells.forEach((text, i) => {
+                doc.fillColor(header ? COLORS.muted : COLORS.text)
+                    .font(header || bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize)
+                    .text(text, x + padding, y + padding + 1, {
+                        width: widths[i] - padding * 2,
+                        align: columns[i].align || 'left',
+                        ...(columns[i].wrap && !header ? {} : { lineBreak: false, ellipsis: true, height: ROW_HEIGHT })
+                    });
+                x += widths[i];
+            });
+            doc.moveTo(left, y + height).lineTo(left + totalWidth, y + height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+            doc.y = y + height;
+        };
+        const drawHeader = () => drawRow(columns.map(c => c.label), { header: true, fill: COLORS.header });
+
+        drawHeader();
+        rows.forEach(row => drawRow(columns.map(c => String(c.value(row) ?? ''))));
+        if (options.total) drawRow(options.total, { bold: true, fill: COLORS.header });
+    }
+}
+
+module.exports = new PlanProposal();
@@ -15,9 +15,10 @@ class RecommendationService {
      * @param {string} taxonomia - Taxonomy filter
      * @param {string} praca - City/market filter
      * @param {Array} inventory - Full inventory dataset
+     * @param {Object} [options] - Optimizer options (e.g. { solver: 'exact', constraints })
      * @returns {Object} Ideal plan with format-level recommendations
      */
-    getIdealPlan(budget, campaignCycle, taxonomia, praca, inventory) {
+    getIdealPlan(budget, campaignCycle, taxonomia, praca, inventory, options = {}) {
         try {
             // Filter inventory by taxonomia and praça
             const filteredInventory = this.filterInventory(inventory, taxonomia, praca);
@@ -33,10 +34,11 @@ class RecommendationService {
             const optimization = budgetOptimizer.optimizeAllocation(
                 budget,
                 campaignCycle,
-                filteredInventory
+                filteredInventory,
+                options
             );
 
-            if (optimization.status === 'error') {
+            if (optimization.status === 'error' || optimization.status === 'infeasible') {
                 return optimization;
             }
 
@@ -53,7 +55,8 @@ class RecommendationService {
                     const exposureFactor = budgetOptimizer.getExposureFactor(
                         f.formato,
                         f.digital,
-                        f.estatico
+                        f.estatico,
+                        f.praca
                     );
                     return sum + (f.quantity * exposureFactor);
                 }, 0);
@@ -71,20 +74,36 @@ class RecommendationService {
             // Sort by total cost (descending) to show most significant formats first
             formats.sort((a, b) => b.totalCost - a.totalCost);
 
-            return {
+            const idealPlan = {
                 status: 'success',
                 taxonomia,
                 praca,
                 budget,
                 campaignCycle,
+                solver: optimization.solver,
                 formats,
                 totalCost: optimization.allocatedBudget,
                 totalExposure: optimization.exposicao_estimada,
+                reach: optimization.alcance,
+                reachPercent: optimization.alcance_percentual,
+                frequency: optimization.frequencia_media,
+                grp: optimization.grp,
                 totalFaces: optimization.facesCount,
                 efficiency: optimization.eficiencia,
                 remainingBudget: optimization.remainingBudget
             };
 
+            if (optimization.optimalityGap !== undefined) {
+                idealPlan.optimalityGap = optimization.optimalityGap;
+                idealPlan.optimal = optimization.optimal;
+            }
+
+            if (optimization.constraintReport) {
+                idealPlan.constraintReport = optimization.constraintReport;
+            }
+
+            return idealPlan;
+
         } catch (error) {
             console.error('Error generating ideal plan:', error);
             return {
@@ -154,7 +173,8 @@ class RecommendationService {
                 const exposureFactor = budgetOptimizer.getExposureFactor(
                     representativeFace.formato,
                     representativeFace.digital,
-                    representativeFace.estatico
+                    representativeFace.estatico,
+                    representativeFace.praca
                 );
 
                 return sum + (f.adjustedQty * exposureFactor);
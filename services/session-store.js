@@ -0,0 +1,125 @@
+/**
+ * SQLite Session Store
+ * express-session store persisted in database/sessions.db (next to users.db),
+ * so sessions survive restarts and are shared by every instance on the host.
+ * Each row keeps the user id so all sessions of a user can be ended at once.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const session = require('express-session');
+
+const DB_PATH = path.join(__dirname, '../database/sessions.db');
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+class SQLiteSessionStore extends session.Store {
+    /**
+     * @param {Object} [options] - { dbPath, ttl } ttl (ms) when the cookie has no expiry
+     */
+    constructor(options = {}) {
+        super();
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+        this.db = new Database(options.dbPath || DB_PATH);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                user_id INTEGER,
+                data TEXT NOT NULL,
+                expires INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires);
+        `);
+
+        this.clearExpired();
+        setInterval(() => this.clearExpired(), CLEANUP_INTERVAL).unref();
+    }
+
+    getExpires(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + this.ttl;
+    }
+
+    get(sid, callback) {
+        try {
+            const row = this.db.prepare('SELECT data, expires FROM sessions WHERE sid = ?').get(sid);
+            if (!row) return callback(null, null);
+            if (row.expires <= Date.now()) {
+                this.db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+                return callback(null, null);
+            }
+            callback(null, JSON.parse(row.data));
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    set(sid, sess, callback = () => { }) {
+        try {
+            this.db.prepare(`
+                INSERT INTO sessions (sid, user_id, data, expires) VALUES (?, ?, ?, ?)
+                ON CONFLICT (sid) DO UPDATE SET user_id = excluded.user_id, data = excluded.data, expires = excluded.expires
+            `).run(sid, sess.user ? sess.user.id : null, JSON.stringify(sess), this.getExpires(sess));
+            callback(null);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    touch(sid, sess, callback = () => { }) {
+        try {
+            this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?').run(this.getExpires(sess), sid);
+            callback(null);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    destroy(sid, callback = () => { }) {
+        try {
+            this.db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+            callback(null);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    length(callback) {
+        try {
+            callback(null, this.db.prepare('SELECT count(*) AS count FROM sessions WHERE expires > ?').get(Date.now()).count);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    clear(callback = () => { }) {
+        try {
+            this.db.exec('DELETE FROM sessions');
+            callback(null);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    clearExpired() {
+        const info = this.db.prepare('DELETE FROM sessions WHERE expires <= ?').run(Date.now());
+        if (info.changes > 0) console.log(`🧹 ${info.changes} sessão(ões) expirada(s) removida(s)`);
+    }
+
+    /**
+     * End every session of a user ("log out everywhere")
+     * @returns {number} sessions removed
+     */
+    destroyUserSessions(userId) {
+        return this.db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId).changes;
+    }
+
+    countUserSessions(userId) {
+        return this.db.prepare('SELECT count(*) AS count FROM sessions WHERE user_id = ? AND expires > ?')
+            .get(userId, Date.now()).count;
+    }
+}
+
+module.exports = SQLiteSessionStore;
@@ -4,19 +4,24 @@
  */
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const audienceModel = require('./audience-model');
 
 const DB_PATH = path.join(__dirname, '../database/ooh_planner.db');
 
 class SQLiteService {
     constructor() {
         this.db = null;
+        this.inode = null;
         this.initialized = false;
     }
 
     async initialize() {
         try {
+            if (this.db) this.db.close();
             this.db = new Database(DB_PATH, { readonly: true });
+            this.inode = fs.statSync(DB_PATH).ino;
             this.initialized = true;
             console.log('✅ SQLite service initialized (fallback mode)');
             return true;
@@ -26,8 +31,28 @@ class SQLiteService {
         }
     }
 
+    /**
+     * Open the database, or reopen it when an import or rollback replaced
+     * ooh_planner.db with another inventory snapshot
+     */
+    async ensureCurrent() {
+        if (!this.initialized) return this.initialize();
+
+        let inode = null;
+        try {
+            inode = fs.statSync(DB_PATH).ino;
+        } catch (error) {
+            return true;
+        }
+        if (inode === this.inode) return true;
+
+        console.log('🔄 Inventário substituído, reabrindo ooh_planner.db');
+        audienceModel.reload();
+        return this.initialize();
+    }
+
     async getFilters() {
-        if (!this.initialized) await this.initialize();
+        await this.ensureCurrent();
 
         const query = `
             SELECT DISTINCT uf FROM inventory WHERE uf IS NOT NULL ORDER BY uf
@@ -56,7 +81,7 @@ class SQLiteService {
     }
 
     async getAvailableFilters(filters) {
-        if (!this.initialized) await this.initialize();
+        await this.ensureCurrent();
 
         const fields = ['uf', 'praca', 'taxonomia', 'exibidores', 'formato', 'regional_boticario', 'cluster_exibidores', 'cluster_formato', 'periodicidade', 'flight'];
         const availableOptions = {};
@@ -92,7 +117,7 @@ class SQLiteService {
     }
 
     async getInventory(filters) {
-        if (!this.initialized) await this.initialize();
+        await this.ensureCurrent();
 
         let query = 'SELECT * FROM inventory WHERE 1=1';
         const params = [];
@@ -151,7 +176,7 @@ class SQLiteService {
     }
 
     async getStats() {
-        if (!this.initialized) await this.initialize();
+        await this.ensureCurrent();
 
         const query = `
             SELECT 
@@ -165,7 +190,7 @@ class SQLiteService {
     }
 
     async calculate(filters, quantity, discount) {
-        if (!this.initialized) await this.initialize();
+        await this.ensureCurrent();
 
         const inventory = await this.getInventory(filters);
 
@@ -192,28 +217,10 @@ class SQLiteService {
             warning = `Quantidade acima do máximo recomendado (${maximo})`;
         }
 
-        // Exposure logic matching BigQuery service
-        const getExposureFactor = (formato, digital, estatico) => {
-            const formatoLower = (formato || '').toLowerCase();
-            if (formatoLower.includes('empena') || formatoLower.includes('painel')) return 50000;
-            if (formatoLower.includes('metro') || formatoLower.includes('metrô')) return 45000;
-            if (formatoLower.includes('aeroporto')) return 40000;
-            if (formatoLower.includes('shopping')) return 35000;
-            if (formatoLower.includes('parque')) return 30000;
-            if (formatoLower.includes('abrigo') || formatoLower.includes('onibus') || formatoLower.includes('ônibus')) return digital ? 25000 : 20000;
-            if (formatoLower.includes('mub') || formatoLower.includes('banca')) return 22000;
-            if (formatoLower.includes('totem')) return digital ? 28000 : 18000;
-            if (formatoLower.includes('circuito')) return 20000;
-            if (formatoLower.includes('backbus') || formatoLower.includes('back bus')) return 18000;
-            if (formatoLower.includes('backseat') || formatoLower.includes('back seat')) return 8000;
-            if (formatoLower.includes('envelopamento')) return 35000;
-            if (formatoLower.includes('exterior')) return 25000;
-            return digital ? 15000 : 12000;
-        };
-
-        const exposureFactor = getExposureFactor(item.formato, item.digital, item.estatico);
+        // Audience parameters shared by every service (see audience-model)
+        const exposureFactor = audienceModel.getExposureFactor(item.formato, item.digital, item.estatico, item.praca);
         const exposicao_estimada = quantity * exposureFactor;
-        const impactRate = item.digital ? 0.25 : 0.15;
+        const impactRate = audienceModel.getImpactRate(item);
         const impacto_estimado = exposicao_estimada * impactRate;
 
         let eficiencia = null;
@@ -233,7 +240,8 @@ class SQLiteService {
             exposicao_estimada,
             eficiencia,
             impacto_estimado,
-            exposure_factor: exposureFactor
+            exposure_factor: exposureFactor,
+            audiencia: audienceModel.estimate([{ ...item, faces: quantity }])
         };
     }
 
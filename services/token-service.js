@@ -0,0 +1,103 @@
+/**
+ * API Token Service
+ * Personal, named API tokens for scripts (BI, automation). A token acts as
+ * its user, limited to the scopes chosen when it was created; only a SHA-256
+ * hash is stored, the token itself is shown once.
+ */
+
+const crypto = require('crypto');
+const authService = require('./auth-service');
+
+// Scopes a token can carry (a subset of the user's permissions)
+const TOKEN_SCOPES = ['inventory:read', 'plans:read', 'plans:write'];
+const TOKEN_PREFIX = 'ooh_';
+
+class TokenService {
+    get db() {
+        return authService.db;
+    }
+
+    initialize() {
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    token_hint TEXT NOT NULL,
+                    scopes TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_used_at DATETIME,
+                    last_used_ip TEXT,
+                    revoked_at DATETIME,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                );
+                CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+            `);
+            console.log('✅ Token service initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Token service:', error.message);
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Create a token
+     * @returns {Object} { id, name, scopes, token } — the only time the token is returned
+     */
+    createToken(userId, name, scopes) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const info = this.db.prepare(`
+            INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes) VALUES (?, ?, ?, ?, ?)
+        `).run(userId, name, this.hashToken(token), token.slice(-4), scopes.join(','));
+
+        console.log(`🔑 API token '${name}' (${scopes.join(', ')}) created by user ${userId}.`);
+        return { id: Number(info.lastInsertRowid), name, scopes, token };
+    }
+
+    /**
+     * Tokens of a user, most recent first (without hashes)
+     */
+    listTokens(userId) {
+        try {
+            return this.db.prepare(`
+                SELECT id, name, token_hint, scopes, created_at, last_used_at, last_used_ip, revoked_at
+                FROM api_tokens WHERE user_id = ?
+                ORDER BY id DESC
+            `).all(userId).map(token => ({ ...token, scopes: token.scopes.split(',') }));
+        } catch (error) {
+            console.error('Error fetching API tokens:', error.message);
+            return [];
+        }
+    }
+
+    revokeToken(userId, tokenId) {
+        return this.db.prepare(`
+            UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `).run(tokenId, userId).changes > 0;
+    }
+
+    /**
+     * Resolve a Bearer token and record its use
+     * @returns {Object|null} { id, name, userId, scopes }, null for unknown or revoked tokens
+     */
+    verifyToken(token, ip) {
+        if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const row = this.db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL')
+            .get(this.hashToken(token));
+        if (!row) return null;
+
+        this.db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?')
+            .run(ip, row.id);
+        return { id: row.id, name: row.name, userId: row.user_id, scopes: row.scopes.split(',') };
+    }
+}
+
+module.exports = new TokenService();
+module.exports.TOKEN_SCOPES = TOKEN_SCOPES;
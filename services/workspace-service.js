@@ -0,0 +1,306 @@
+/**
+ * Workspace Service
+ * Team/client workspaces that own plans, their members, and share links
+ * for single plans. Lives in the users database next to AuthService.
+ *
+ * Access to a plan (getPlanAccess), highest wins:
+ * - 'edit'  — workspace manager/editor, an edit share link, or an admin
+ * - 'read'  — workspace viewer, a read share link, or an approver looking
+ *             at a submitted plan
+ * Users without `plans:write` never get more than 'read'.
+ */
+
+const crypto = require('crypto');
+const authService = require('./auth-service');
+
+// Workspace member roles, from most to least rights
+const MEMBER_ROLES = ['manager', 'editor', 'viewer'];
+const SHARE_ACCESS = ['read', 'edit'];
+
+class WorkspaceService {
+    get db() {
+        return authService.db;
+    }
+
+    initialize() {
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS workspaces (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                );
+
+                CREATE TABLE IF NOT EXISTS workspace_members (
+                    workspace_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    role TEXT NOT NULL DEFAULT 'editor',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (workspace_id, user_id),
+                    FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                );
+
+                CREATE TABLE IF NOT EXISTS plan_shares (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    plan_id INTEGER NOT NULL,
+                    token TEXT UNIQUE NOT NULL,
+                    access TEXT NOT NULL,
+                    created_by INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    revoked_at DATETIME,
+                    FOREIGN KEY (plan_id) REFERENCES plans(id)
+                );
+
+                CREATE TABLE IF NOT EXISTS plan_share_grants (
+                    share_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (share_id, user_id),
+                    FOREIGN KEY (share_id) REFERENCES plan_shares(id),
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                );
+            `);
+
+            this.migratePlanOwnership();
+            console.log('✅ Workspace service initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Workspace service:', error.message);
+        }
+    }
+
+    /**
+     * Plans used to belong to a single user. Each user that owns plans gets a
+     * personal workspace (as manager) and their plans move into it.
+     */
+    migratePlanOwnership() {
+        const columns = this.db.prepare('PRAGMA table_info(plans)').all().map(c => c.name);
+        if (!columns.includes('workspace_id')) {
+            this.db.exec('ALTER TABLE plans ADD COLUMN workspace_id INTEGER REFERENCES workspaces(id)');
+        }
+
+        const owners = this.db.prepare(`
+            SELECT DISTINCT u.id, u.username FROM plans p JOIN users u ON u.id = p.user_id
+            WHERE p.workspace_id IS NULL
+        `).all();
+
+        owners.forEach(owner => {
+            const workspaceId = this.getPersonalWorkspaceId(owner.id);
+            this.db.prepare('UPDATE plans SET workspace_id = ? WHERE user_id = ? AND workspace_id IS NULL')
+                .run(workspaceId, owner.id);
+        });
+        if (owners.length > 0) {
+            console.log(`🗂️  Planos de ${owners.length} usuário(s) movidos para workspaces pessoais`);
+        }
+    }
+
+    /**
+     * The user's personal workspace, created on first use
+     * @returns {number} workspace id
+     */
+    getPersonalWorkspaceId(userId) {
+        const user = authService.getUserById(userId);
+        const name = `Pessoal - ${user.username}`;
+
+        const existing = this.db.prepare('SELECT id FROM workspaces WHERE name = ?').get(name);
+        if (existing) return existing.id;
+
+        return this.createWorkspace(name, userId);
+    }
+
+    // ============================================
+    // WORKSPACES & MEMBERS
+    // ============================================
+
+    /**
+     * Create a workspace; the creator becomes its manager
+     * @returns {number} workspace id
+     */
+    createWorkspace(name, userId) {
+        const create = this.db.transaction(() => {
+            const info = this.db.prepare('INSERT INTO workspaces (name, created_by) VALUES (?, ?)').run(name, userId);
+            this.db.prepare(`INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'manager')`)
+                .run(info.lastInsertRowid, userId);
+            return Number(info.lastInsertRowid);
+        });
+
+        const workspaceId = create();
+        console.log(`🏢 Workspace '${name}' created by user ${userId}.`);
+        return workspaceId;
+    }
+
+    getWorkspace(id) {
+        return this.db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+    }
+
+    /**
+     * Workspaces the user belongs to (admins see all of them)
+     */
+    getUserWorkspaces(user) {
+        try {
+            const all = user.permissions.includes('users:manage');
+            return this.db.prepare(`
+                SELECT w.id, w.name, w.created_at, m.role AS member_role,
+                       (SELECT count(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) AS members,
+                       (SELECT count(*) FROM plans p WHERE p.workspace_id = w.id) AS plans
+                FROM workspaces w
+                LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+                WHERE m.user_id IS NOT NULL OR ?
+                ORDER BY w.name
+            `).all(user.id, all ? 1 : 0);
+        } catch (error) {
+            console.error('Error fetching workspaces:', error.message);
+            return [];
+        }
+    }
+
+    getMemberRole(workspaceId, userId) {
+        const member = this.db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+            .get(workspaceId, userId);
+        return member ? member.role : null;
+    }
+
+    canManageWorkspace(workspaceId, user) {
+        return user.permissions.includes('users:manage') || this.getMemberRole(workspaceId, user.id) === 'manager';
+    }
+
+    getMembers(workspaceId) {
+        return this.db.prepare(`
+            SELECT u.id AS user_id, u.username, m.role, m.created_at
+            FROM workspace_members m JOIN users u ON u.id = m.user_id
+            WHERE m.workspace_id = ?
+            ORDER BY u.username
+        `).all(workspaceId);
+    }
+
+    /**
+     * Add a member or change their role
+     */
+    setMember(workspaceId, userId, role) {
+        this.db.prepare(`
+            INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)
+            ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role
+        `).run(workspaceId, userId, role);
+        console.log(`🏢 User ${userId} is now ${role} of workspace ${workspaceId}.`);
+    }
+
+    removeMember(workspaceId, userId) {
+        return this.db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+            .run(workspaceId, userId).changes > 0;
+    }
+
+    // ============================================
+    // PLAN ACCESS
+    // ============================================
+
+    /**
+     * Access of a user to a plan
+     * @param {Object} user - session user (with permissions)
+     * @param {Object} plan - plans row
+     * @returns {string|null} 'edit', 'read' or null
+     */
+    getPlanAccess(user, plan) {
+        const canWrite = user.permissions.includes('plans:write');
+        const levels = [];
+
+        if (user.permissions.includes('users:manage')) levels.push('edit');
+
+        const memberRole = plan.workspace_id ? this.getMemberRole(plan.workspace_id, user.id) : null;
+        if (memberRole) levels.push(memberRole === 'viewer' ? 'read' : 'edit');
+
+        this.db.prepare(`
+            SELECT s.access FROM plan_shares s
+            JOIN plan_share_grants g ON g.share_id = s.id
+            WHERE s.plan_id = ? AND g.user_id = ? AND s.revoked_at IS NULL
+        `).all(plan.id, user.id).forEach(share => levels.push(share.access));
+
+        if (user.permissions.includes('plans:approve') && plan.status && plan.status !== 'draft') {
+            levels.push('read');
+        }
+
+        if (levels.includes('edit')) return canWrite ? 'edit' : 'read';
+        return levels.length > 0 ? 'read' : null;
+    }
+
+    /**
+     * Plans of every workspace the user belongs to plus plans shared with them
+     * (admins see all plans), with workspace, owner and access level
+     */
+    getAccessiblePlans(user) {
+        try {
+            const all = user.permissions.includes('users:manage');
+            const plans = this.db.prepare(`
+                SELECT p.id, p.name, p.user_id, p.workspace_id, p.current_version, p.status, p.status_version,
+                       p.created_at, p.updated_at, w.name AS workspace_name, u.username AS created_by,
+                       (SELECT r.comment FROM plan_reviews r WHERE r.plan_id = p.id ORDER BY r.id DESC LIMIT 1) AS status_comment
+                FROM plans p
+                LEFT JOIN workspaces w ON w.id = p.workspace_id
+                LEFT JOIN users u ON u.id = p.user_id
+                WHERE ?
+                   OR p.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+                   OR p.id IN (
+                       SELECT s.plan_id FROM plan_shares s JOIN plan_share_grants g ON g.share_id = s.id
+                       WHERE g.user_id = ? AND s.revoked_at IS NULL
+                   )
+                ORDER BY p.created_at DESC
+            `).all(all ? 1 : 0, user.id, user.id);
+
+            return plans.map(plan => ({ ...plan, access: this.getPlanAccess(user, plan) }));
+        } catch (error) {
+            console.error('Error fetching accessible plans:', error.message);
+            return [];
+        }
+    }
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+
+    /**
+     * Create a share link for a plan
+     * @returns {Object} { id, token, access }
+     */
+    createShare(planId, access, userId) {
+        const token = crypto.randomBytes(18).toString('base64url');
+        const info = this.db.prepare('INSERT INTO plan_shares (plan_id, token, access, created_by) VALUES (?, ?, ?, ?)')
+            .run(planId, token, access, userId);
+
+        console.log(`🔗 Share link (${access}) created for plan ${planId} by user ${userId}.`);
+        return { id: Number(info.lastInsertRowid), token, access };
+    }
+
+    getShares(planId) {
+        return this.db.prepare(`
+            SELECT s.id, s.token, s.access, s.created_at, s.revoked_at, u.username AS created_by,
+                   (SELECT count(*) FROM plan_share_grants g WHERE g.share_id = s.id) AS users
+            FROM plan_shares s LEFT JOIN users u ON u.id = s.created_by
+            WHERE s.plan_id = ?
+            ORDER BY s.id DESC
+        `).all(planId);
+    }
+
+    revokeShare(planId, shareId) {
+        return this.db.prepare(`
+            UPDATE plan_shares SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND plan_id = ? AND revoked_at IS NULL
+        `).run(shareId, planId).changes > 0;
+    }
+
+    /**
+     * Redeem a share link: the user keeps the access until the link is revoked
+     * @returns {Object|null} { planId, access }, null for unknown or revoked links
+     */
+    acceptShare(token, userId) {
+        const share = this.db.prepare('SELECT * FROM plan_shares WHERE token = ? AND revoked_at IS NULL').get(token);
+        if (!share) return null;
+
+        this.db.prepare('INSERT OR IGNORE INTO plan_share_grants (share_id, user_id) VALUES (?, ?)').run(share.id, userId);
+        return { planId: share.plan_id, access: share.access };
+    }
+}
+
+module.exports = new WorkspaceService();
+module.exports.MEMBER_ROLES = MEMBER_ROLES;
+module.exports.SHARE_ACCESS = SHARE_ACCESS;